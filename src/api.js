@@ -1,2 +1,23 @@
 export { default as copyCollections } from "./core/copyService.js";
-export { copyCollections as copyCollectionsNamed } from "./core/copyService.js";
+export { copyCollections as copyCollectionsNamed, COPY_EVENTS } from "./core/copyService.js";
+export { syncCollections } from "./core/syncService.js";
+export { verifyCollections } from "./core/verifyService.js";
+export { compareSchemas, inferSchema } from "./core/schemaService.js";
+export { copyDatabases } from "./core/clusterService.js";
+export { iterateCopy } from "./core/copyIterator.js";
+export {
+  runBackup,
+  scheduleBackups,
+  pruneSnapshots,
+  readBackupState,
+} from "./core/backupService.js";
+export { listSnapshots, resolveChain } from "./core/snapshots.js";
+export { restoreSnapshots } from "./core/restoreService.js";
+export { parseCron, nextCronRun } from "./utils/cron.js";
+export {
+  MongodbCopyError,
+  ConfigError,
+  ConnectionError,
+  BackupFileError,
+  ConflictError,
+} from "./utils/errors.js";
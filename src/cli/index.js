@@ -1,103 +1,988 @@
 #!/usr/bin/env node
 import { Command } from "commander";
+import { EventEmitter } from "events";
+import fs from "fs";
 import path from "path";
-import logger from "../utils/logger.js";
+import { pathToFileURL } from "url";
+import { BSON } from "mongodb";
+import logger, { LOG_FORMATS, getLogFormat, setLogFormat } from "../utils/logger.js";
 import { confirmAction } from "../utils/prompt.js";
-import copyCollections from "../core/copyService.js";
-import env from "../utils/config/env.js";
+import copyCollections, { ON_CONFLICT_STRATEGIES } from "../core/copyService.js";
+import syncCollections from "../core/syncService.js";
+import verifyCollections from "../core/verifyService.js";
+import { compareSchemas } from "../core/schemaService.js";
+import copyDatabases from "../core/clusterService.js";
+import { runBackup, scheduleBackups } from "../core/backupService.js";
+import { restoreSnapshots } from "../core/restoreService.js";
+import { resolveChain } from "../core/snapshots.js";
+import { READ_PREFERENCES, assertReadPreference, normalizeWriteConcern } from "../core/clients.js";
+import { EXIT_CODES, buildRunReport, runOutcome, writeRunReport } from "../core/runReport.js";
+import env, { loadEnvFile, parseCollectionMap, validateEnv } from "../utils/config/env.js";
+import { loadProfile } from "../utils/config/profiles.js";
+import { EJSON_MODES, assertCompression } from "../utils/jsonStream.js";
+import { assertFormat } from "../utils/backupFormats.js";
+import { parseCsvTypes } from "../utils/csvStream.js";
+import { formatTable } from "../utils/table.js";
+import { compilePattern } from "../utils/patterns.js";
+import { nextCronRun } from "../utils/cron.js";
+
+// Profiles may interpolate variables from .env, so load it before anything is parsed
+loadEnvFile();
+
+const splitList = (v) =>
+  v
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const parseSampleSize = (v) => (v === "all" ? 0 : parseInt(v, 10));
+
+// Profile settings are named like the API options; these stand for differently named flags
+const PROFILE_FLAGS = {
+  dbName: "db",
+  targetDbName: "targetDb",
+  excludeDatabases: "excludeDb",
+  filter: "query",
+  deadLetterPath: "deadLetter",
+  showProgress: "progress",
+  schemaSampleSize: "schemaSample",
+  checkpointPath: "checkpoint",
+  tokenPath: "syncToken",
+  maxReportedIds: "maxIds",
+  sampleSize: "sample",
+};
+const toPairs = (map) => Object.entries(map).map(([key, value]) => `${key}:${value}`);
+const toJson = (value) => BSON.EJSON.stringify(value, { relaxed: false });
+// Conversions of profile values to what the flag's own parser would produce
+const PROFILE_VALUES = {
+  collections: (v) => [].concat(v).join(","),
+  rename: toPairs,
+  csvTypes: toPairs,
+  filter: toJson,
+  projection: toJson,
+  since: (v) => new Date(v),
+  schemaSampleSize: (v) => (typeof v === "number" ? v : parseSampleSize(v)),
+  sampleSize: (v) => (typeof v === "number" ? v : parseSampleSize(v)),
+};
+// Settings without a flag, passed to the API as they are
+const PROFILE_API_ONLY = ["collectionOptions", "retryDelay", "lagCheckInterval"];
+const profileApiOptions = {};
 
 const program = new Command();
 program
   .name("mongodbcopy")
+  .option("--profile <name>", "Use a profile from mongodbcopy.config.js/.json (flags override it)")
+  .option("--config <path>", "Configuration file holding the profiles")
+  .option("--source-uri <uri>", "Source connection string (defaults to SOURCE_DB_URI)")
+  .option("--target-uri <uri>", "Target connection string (defaults to TARGET_DB_URI)")
+  .option("--db <name>", "Database name (defaults to DB_NAME)")
   .option("-a, --all", "Copy all collections")
   .option("-c, --collections <list>", "Comma-separated collections")
+  .option("--include <patterns>", "Comma-separated glob or /regex/ collection patterns", splitList)
+  .option("--exclude <patterns>", "Comma-separated collection patterns to leave out", splitList)
+  .option("--target-db <name>", "Target database name (defaults to DB_NAME)")
+  .option(
+    "--databases <list>",
+    "Comma-separated databases (names or glob/regex patterns)",
+    splitList
+  )
+  .option("--all-databases", "Copy every database except admin, config and local")
+  .option("--exclude-db <list>", "Comma-separated databases or patterns to leave out", splitList)
+  .option(
+    "--rename <pairs>",
+    "Rename collections on the target, e.g. users:users_archive (repeatable, comma-separated)",
+    (v, prev) => [...prev, v],
+    []
+  )
   .option("--dry-run", "Simulate without writing")
+  .option(
+    "--on-conflict <strategy>",
+    `How to write into populated targets (${ON_CONFLICT_STRATEGIES.join("|")})`
+  )
+  .option("--max-retries <n>", "Retries per batch after transient errors", (v) => parseInt(v, 10))
+  .option("--dead-letter <path>", "File receiving documents the target rejects")
+  .option("--atomic", "Copy into a temporary collection and swap it in when complete")
   .option("--batch-size <n>", "Batch size", (v) => parseInt(v, 10))
+  .option("--max-docs-per-sec <n>", "Read at most n documents per second", parseFloat)
+  .option("--max-mb-per-sec <n>", "Read at most n MiB of documents per second", parseFloat)
+  .option("--read-preference <mode>", `Source read preference (${READ_PREFERENCES.join("|")})`)
+  .option("--write-concern <w>", 'Target write concern, e.g. "majority" or 1')
+  .option(
+    "--max-replication-lag <seconds>",
+    "Pause writes while target secondaries lag more than this",
+    parseFloat
+  )
+  .option("--concurrency <n>", "Number of collections to copy in parallel", (v) => parseInt(v, 10))
   .option("--yes", "Skip confirmation")
   .option("--export-json", "Export collections to JSON")
   .option("--import-json", "Import collections from JSON")
   .option("--output-dir <dir>", "Output directory for JSON", "./backup")
+  .option("--ejson [mode]", "Use Extended JSON for export/import (canonical|relaxed)")
+  .option("--compress [format]", "Compress exported JSON files (gzip|zstd)")
+  .option("--format <format>", "Export/import file format (json|ndjson|csv)")
+  .option("--fields <list>", "Comma-separated dotted fields written as CSV columns", splitList)
+  .option("--csv-types <list>", "Comma-separated field:type hints for CSV imports", splitList)
   .option("--log-path <path>", "Log file path")
+  .option("--log-format <format>", `Log line format (${LOG_FORMATS.join("|")})`, "text")
+  .option("--report <file>", "Write a JSON summary with timings and throughput per collection")
   .option("--no-progress", "Disable progress bars")
   .option("--copy-indexes", "Copy indexes from source to target")
-  .option("--validate-schema", "Validate schema before copying")
+  .option("--validate-schema", "Check documents against the target's $jsonSchema before copying")
+  .option(
+    "--schema-sample <n>",
+    "Documents checked per collection by --validate-schema, or all",
+    parseSampleSize
+  )
   .option("--incremental", "Perform incremental backup (only new/updated docs)")
   .option("--timestamp-field <field>", "Field to use for incremental backup", "_updatedAt")
   .option("--since <date>", "Date for incremental backup (ISO format)", (v) => new Date(v))
+  .option("--query <json>", "Only copy/export documents matching this (Extended) JSON filter")
+  .option("--projection <json>", "Projection applied when reading source documents")
+  .option("--transform <module>", "JS module whose default export transforms each document")
+  .option("--resume", "Resume an interrupted copy from its checkpoint without wiping the target")
+  .option("--checkpoint <path>", "Checkpoint file for resumable copies")
+  .option("--watch", "After copying, keep the target in sync via change streams until stopped")
+  .option("--sync-token <path>", "Resume token file for --watch")
+  .option("--verify", "Verify counts and checksums of each collection after copying")
   .version("1.0.0")
-  .parse(process.argv);
-
-const opts = program.opts();
-if (opts.logPath) {
-  process.env.LOG_TO_FILE = "true";
-  process.env.LOG_PATH = path.resolve(opts.logPath);
-}
-
-const all = !!opts.all;
-const collections = opts.collections
-  ? opts.collections
-      .split(",")
-      .map((s) => s.trim())
-      .filter(Boolean)
-  : [];
-const dryRun = !!opts.dryRun;
-const batchSize =
-  Number.isFinite(opts.batchSize) && opts.batchSize > 0 ? opts.batchSize : env.BATCH_SIZE || 1000;
-const yes = !!opts.yes;
-const exportJson = !!opts.exportJson;
-const importJson = !!opts.importJson;
-const outputDir = opts.outputDir || "./backup";
-const showProgress = opts.progress !== false;
-const copyIndexes = !!opts.copyIndexes;
-const validateSchema = !!opts.validateSchema;
-const incremental = !!opts.incremental;
-const timestampField = opts.timestampField || "_updatedAt";
-const since = opts.since || null;
-
-if (!all && collections.length === 0 && !exportJson && !importJson) {
-  logger.info("Provide --all or --collections or --export-json/--import-json");
-  program.help({ error: false });
-  process.exit(0);
-}
-if (exportJson && importJson) {
-  logger.error("Cannot use --export-json and --import-json together");
-  process.exit(1);
-}
-const targetCollections = all ? [] : collections;
-(async () => {
-  if (!yes) {
-    const display = all ? "ALL collections" : `collections: ${targetCollections.join(", ")}`;
-    const ok = await confirmAction(
-      `About to operate on ${display}${dryRun ? " (dry-run)" : ""}. Continue?`,
-      false
+  .action(() => runCopy(program.opts()));
+
+program
+  .command("verify")
+  .description("Compare source collections with the target (or a JSON backup) without copying")
+  .option("--against-json", "Compare the source with the JSON backup in --output-dir")
+  .option("--no-check-indexes", "Skip index comparison")
+  .option("--max-ids <n>", "Maximum _ids listed per kind of difference", (v) => parseInt(v, 10))
+  .action((_opts, cmd) => runVerify(cmd.optsWithGlobals()));
+
+program
+  .command("diff")
+  .description("Preview what a copy (or --import-json) would insert, update and delete")
+  .option("--json [file]", "Print the report as JSON, or write it to <file>")
+  .action((_opts, cmd) => runDiff(cmd.optsWithGlobals()));
+
+program
+  .command("schema")
+  .description("Infer field types from samples and report schema drift from the target")
+  .option("--against-json", "Compare the source with the JSON backup in --output-dir")
+  .option(
+    "--sample <n>",
+    "Documents sampled per collection (default 1000), or all",
+    parseSampleSize
+  )
+  .option("--json [file]", "Print the report as JSON, or write it to <file>")
+  .action((_opts, cmd) => runSchema(cmd.optsWithGlobals()));
+
+program
+  .command("backup")
+  .description("Export a timestamped snapshot into --output-dir and prune old snapshots")
+  .option("--keep-last <n>", "Keep the n newest snapshots", (v) => parseInt(v, 10))
+  .option("--keep-daily <n>", "Keep the newest snapshot of each of the last n days", (v) =>
+    parseInt(v, 10)
+  )
+  .option("--keep-weekly <n>", "Keep the newest snapshot of each of the last n weeks", (v) =>
+    parseInt(v, 10)
+  )
+  .option("--keep-monthly <n>", "Keep the newest snapshot of each of the last n months", (v) =>
+    parseInt(v, 10)
+  )
+  .option("--schedule <cron>", 'Keep running and back up on a cron schedule, e.g. "0 3 * * *"')
+  .action((_opts, cmd) => runBackupCommand(cmd.optsWithGlobals()));
+
+program
+  .command("restore")
+  .description("Restore a point in time from the snapshots in --output-dir, replaying their chain")
+  .option(
+    "--at <timestamp>",
+    "Restore the newest snapshot taken by this time (ISO date; default: the newest)",
+    (v) => new Date(v)
+  )
+  .action((_opts, cmd) => runRestore(cmd.optsWithGlobals()));
+
+/**
+ * Applies the `--profile` settings to the options the command line left unset, so flags
+ * given explicitly take precedence. Exits on an unknown profile or setting.
+ */
+async function applyProfile(command) {
+  const { profile: name, config } = command.optsWithGlobals();
+  if (!name) return;
+  let settings;
+  try {
+    settings = await loadProfile(name, { configPath: config });
+  } catch (err) {
+    logger.error(`Invalid --profile: ${err.message}`);
+    process.exit(1);
+  }
+  const commands = [program, ...program.commands];
+  const owns = (cmd, attribute) => cmd.options.some((o) => o.attributeName() === attribute);
+  for (const [key, value] of Object.entries(settings)) {
+    if (PROFILE_API_ONLY.includes(key)) {
+      profileApiOptions[key] = value;
+      continue;
+    }
+    const attribute = PROFILE_FLAGS[key] || key;
+    if (!commands.some((cmd) => owns(cmd, attribute))) {
+      logger.error(`Invalid --profile: unknown setting "${key}" in profile "${name}"`);
+      process.exit(1);
+    }
+    // Settings of other subcommands (e.g. schema's sampleSize during a copy) do not apply
+    const owner = [command, program].find((cmd) => owns(cmd, attribute));
+    if (!owner || owner.getOptionValueSource(attribute) === "cli") continue;
+    const convert = PROFILE_VALUES[key] || ((v) => v);
+    owner.setOptionValueWithSource(attribute, convert(value), "config");
+  }
+}
+
+/**
+ * Parses the options shared by copy and verify, exiting on invalid input.
+ */
+function parseCommonOptions(opts) {
+  if (opts.logPath) {
+    process.env.LOG_TO_FILE = "true";
+    process.env.LOG_PATH = path.resolve(opts.logPath);
+  }
+  try {
+    validateEnv({ sourceUri: opts.sourceUri, targetUri: opts.targetUri, dbName: opts.db });
+  } catch (err) {
+    logger.error(err.message);
+    process.exit(1);
+  }
+  const collections = opts.collections ? splitList(opts.collections) : [];
+  let rename;
+  try {
+    if (opts.rename.length > 0) {
+      rename = { ...env.COLLECTION_RENAME, ...parseCollectionMap(opts.rename.join(",")) };
+    }
+  } catch (err) {
+    logger.error(`Invalid --rename: ${err.message}`);
+    process.exit(1);
+  }
+  let filter = {};
+  let projection = null;
+  try {
+    if (opts.query) filter = BSON.EJSON.parse(opts.query);
+    if (opts.projection) projection = BSON.EJSON.parse(opts.projection);
+  } catch (err) {
+    logger.error(`Invalid --query/--projection JSON: ${err.message}`);
+    process.exit(1);
+  }
+  const ejson = opts.ejson === true ? "canonical" : opts.ejson || null;
+  if (ejson && !EJSON_MODES.includes(ejson)) {
+    logger.error(`Invalid --ejson mode "${ejson}" (expected ${EJSON_MODES.join(" or ")})`);
+    process.exit(1);
+  }
+  const include = opts.all ? [] : opts.include || [];
+  const exclude = opts.exclude || [];
+  try {
+    [...include, ...exclude].forEach(compilePattern);
+  } catch (err) {
+    logger.error(`Invalid --include/--exclude: ${err.message}`);
+    process.exit(1);
+  }
+  return {
+    ...profileApiOptions,
+    ...(opts.sourceUri && { sourceUri: opts.sourceUri }),
+    ...(opts.targetUri && { targetUri: opts.targetUri }),
+    ...(opts.db && { dbName: opts.db }),
+    all: !!opts.all,
+    collections: opts.all ? [] : collections,
+    include,
+    exclude,
+    // A database named by flag or profile is also the target unless TARGET_DB_NAME is set
+    targetDbName: opts.targetDb || (!process.env.TARGET_DB_NAME && opts.db) || undefined,
+    rename,
+    batchSize:
+      Number.isFinite(opts.batchSize) && opts.batchSize > 0
+        ? opts.batchSize
+        : env.BATCH_SIZE || 1000,
+    outputDir: opts.outputDir || "./backup",
+    ejson,
+    filter,
+    projection,
+  };
+}
+
+async function loadTransform(modulePath) {
+  // Profiles in a JS configuration file may give the function itself
+  if (typeof modulePath === "function") return modulePath;
+  const mod = await import(pathToFileURL(path.resolve(modulePath)).href);
+  const fn = typeof mod.default === "function" ? mod.default : mod.transform;
+  if (typeof fn !== "function") {
+    throw new Error(`${modulePath} must export a transform(doc, collectionName) function`);
+  }
+  return fn;
+}
+
+/**
+ * Logs the error that aborted a command: its stack as text, or a JSON line with its fields.
+ */
+function logFailure(err) {
+  if (getLogFormat() === "json" && err instanceof Error) {
+    logger.error(err, { ...(err.code && { code: err.code }) });
+  } else {
+    logger.error(err.stack || err.message || String(err));
+  }
+}
+
+/**
+ * Writes the --report file, if one was asked for.
+ */
+function saveReport(opts, run) {
+  if (!opts.report) return;
+  const filePath = path.resolve(opts.report);
+  try {
+    writeRunReport(filePath, buildRunReport(run));
+    logger.info(`Report written to ${filePath}`);
+  } catch (err) {
+    logger.error(`Could not write --report: ${err.message}`);
+  }
+}
+
+function logVerification(name, v) {
+  const counts = `${v.sourceCount}/${v.targetCount} documents`;
+  const fields = {
+    collection: name.trim(),
+    verification: v.status,
+    sourceCount: v.sourceCount,
+    targetCount: v.targetCount,
+  };
+  if (v.status === "match") {
+    logger.success(
+      `${name}: verified (${counts}, checksum ${v.sourceChecksum.slice(0, 12)})`,
+      fields
     );
+    return;
+  }
+  logger.error(
+    `${name}: mismatch (${counts}, missing=${v.missing}, extra=${v.extra}, different=${v.different})`,
+    { ...fields, missing: v.missing, extra: v.extra, different: v.different }
+  );
+  for (const kind of ["missing", "extra", "different"]) {
+    const ids = v[`${kind}Ids`];
+    if (ids.length > 0) logger.error(`  ${kind}: ${ids.map((id) => String(id)).join(", ")}`);
+  }
+  if (v.indexes) {
+    for (const [kind, names] of Object.entries(v.indexes)) {
+      if (names.length > 0) logger.error(`  ${kind} indexes: ${names.join(", ")}`);
+    }
+  }
+}
+
+function logSchemaReport(name, report) {
+  if (!report.validator) {
+    logger.info(`${name}: no $jsonSchema validator to check against`);
+    return;
+  }
+  const against = `the ${report.validator} collection's $jsonSchema`;
+  if (report.failed === 0) {
+    logger.success(`${name}: ${report.checked} document(s) match ${against}`);
+  } else {
+    const log = report.validationAction === "warn" ? logger.warn : logger.error;
+    log(`${name}: ${report.failed} of ${report.checked} document(s) fail ${against}`);
+    for (const [field, { count, rules }] of Object.entries(report.fields)) {
+      log(`  ${field}: ${count} (${rules.join(", ")})`);
+    }
+    for (const { _id, errors } of report.failures) {
+      const messages = errors.map((e) => `${e.path} ${e.message}`).join("; ");
+      log(`  ${BSON.EJSON.stringify(_id)}: ${messages}`);
+    }
+  }
+  if (report.unchecked.length > 0) {
+    logger.warn(
+      `${name}: validator conditions not checked locally: ${report.unchecked.join(", ")}`
+    );
+  }
+}
+
+async function runCopy(opts) {
+  const { all, collections: targetCollections, ...common } = parseCommonOptions(opts);
+  const { targetDbName, include, exclude } = common;
+  const dryRun = !!opts.dryRun;
+  const concurrency =
+    Number.isFinite(opts.concurrency) && opts.concurrency > 0 ? opts.concurrency : 1;
+  const yes = !!opts.yes;
+  const exportJson = !!opts.exportJson;
+  const importJson = !!opts.importJson;
+  const resume = !!opts.resume;
+  const watch = !!opts.watch;
+  const databases = opts.databases || [];
+  const allDatabases = !!opts.allDatabases;
+  const multiDb = allDatabases || databases.length > 0;
+
+  const selected = all || targetCollections.length > 0 || include.length > 0;
+  if (!selected && !exportJson && !importJson && !multiDb) {
+    logger.info("Provide --all, --collections or --include, or --export-json/--import-json");
+    program.help({ error: false });
+    process.exit(0);
+  }
+  if (exportJson && importJson) {
+    logger.error("Cannot use --export-json and --import-json together");
+    process.exit(1);
+  }
+  if (opts.onConflict && !ON_CONFLICT_STRATEGIES.includes(opts.onConflict)) {
+    logger.error(
+      `Invalid --on-conflict "${opts.onConflict}" (expected ${ON_CONFLICT_STRATEGIES.join(", ")})`
+    );
+    process.exit(1);
+  }
+  const compress = opts.compress === true ? "gzip" : opts.compress || null;
+  try {
+    assertCompression(compress);
+  } catch (err) {
+    logger.error(`Invalid --compress: ${err.message}`);
+    process.exit(1);
+  }
+  let csvTypes = {};
+  try {
+    if (opts.format) assertFormat(opts.format);
+    if (opts.csvTypes) csvTypes = parseCsvTypes(opts.csvTypes);
+  } catch (err) {
+    logger.error(`Invalid --format/--csv-types: ${err.message}`);
+    process.exit(1);
+  }
+  let writeConcern = null;
+  try {
+    assertReadPreference(opts.readPreference);
+    writeConcern = normalizeWriteConcern(opts.writeConcern);
+  } catch (err) {
+    logger.error(`Invalid --read-preference/--write-concern: ${err.message}`);
+    process.exit(1);
+  }
+  if (watch && (exportJson || importJson || dryRun)) {
+    logger.error("--watch cannot be combined with --export-json, --import-json or --dry-run");
+    process.exit(1);
+  }
+  if (multiDb && (opts.targetDb || watch)) {
+    logger.error("--databases/--all-databases cannot be combined with --target-db or --watch");
+    process.exit(1);
+  }
+
+  if (!yes) {
+    let display = all ? "ALL collections" : `collections: ${targetCollections.join(", ")}`;
+    if (include.length > 0) {
+      const named = targetCollections.length > 0 ? `${display} and ` : "";
+      display = `${named}collections matching ${include.join(", ")}`;
+    }
+    if (exclude.length > 0) display += ` except ${exclude.join(", ")}`;
+    if (multiDb) {
+      const dbs = allDatabases ? "ALL databases" : `databases: ${databases.join(", ")}`;
+      display = selected && !all ? `${display} of ${dbs}` : dbs;
+    }
+    const action = watch ? "copy and keep in sync" : "operate on";
+    const into = targetDbName ? ` into database "${targetDbName}"` : "";
+    const conflict = opts.onConflict ? ` (on conflict: ${opts.onConflict})` : "";
+    const profile = opts.profile ? ` (profile: ${opts.profile})` : "";
+    const flags = `${into}${dryRun ? " (dry-run)" : ""}${resume ? " (resume)" : ""}${conflict}${profile}`;
+    const ok = await confirmAction(`About to ${action} ${display}${flags}. Continue?`, false);
     if (!ok) {
       logger.warn("Cancelled by user");
       process.exit(0);
     }
   }
+  // Results are collected as they arrive so a report covers collections done before a failure
+  const startedAt = new Date();
+  const command = exportJson ? "export" : importJson ? "import" : "copy";
+  const results = [];
+  const events = new EventEmitter();
+  events.on("result", (result) => results.push(result));
   try {
-    const result = await copyCollections({
+    const options = {
+      ...common,
       collections: targetCollections,
       dryRun,
-      batchSize,
+      concurrency,
       exportJson,
       importJson,
-      outputDir,
-      showProgress,
-      copyIndexes,
-      validateSchema,
-      incremental,
-      timestampField,
-      since,
+      compress,
+      format: opts.format || null,
+      fields: opts.fields || null,
+      csvTypes,
+      onConflict: opts.onConflict || null,
+      atomic: !!opts.atomic,
+      readPreference: opts.readPreference || null,
+      writeConcern,
+      maxDocsPerSec: opts.maxDocsPerSec ?? null,
+      maxMbPerSec: opts.maxMbPerSec ?? null,
+      maxReplicationLag: opts.maxReplicationLag ?? null,
+      ...(Number.isFinite(opts.maxRetries) &&
+        opts.maxRetries >= 0 && { maxRetries: opts.maxRetries }),
+      ...(opts.deadLetter && { deadLetterPath: path.resolve(opts.deadLetter) }),
+      // Bars would interleave with JSON log lines
+      showProgress: opts.progress !== false && getLogFormat() === "text",
+      events,
+      copyIndexes: !!opts.copyIndexes,
+      validateSchema: !!opts.validateSchema,
+      ...(Number.isFinite(opts.schemaSample) &&
+        opts.schemaSample >= 0 && { schemaSampleSize: opts.schemaSample }),
+      incremental: !!opts.incremental,
+      timestampField: opts.timestampField || "_updatedAt",
+      since: opts.since || null,
+      transform: opts.transform ? await loadTransform(opts.transform) : null,
+      resume,
+      checkpointPath: opts.checkpoint ? path.resolve(opts.checkpoint) : undefined,
+      verify: !!opts.verify,
+    };
+    if (watch) {
+      const controller = new AbortController();
+      const stop = () => {
+        logger.info("Stopping sync...");
+        controller.abort();
+      };
+      process.once("SIGINT", stop);
+      process.once("SIGTERM", stop);
+      const { initial, applied } = await syncCollections({
+        ...options,
+        tokenPath: opts.syncToken ? path.resolve(opts.syncToken) : undefined,
+        signal: controller.signal,
+        onChange: (change) =>
+          logger.debug(`${change.ns.coll}: ${change.operationType} ${change.documentKey._id}`),
+      });
+      for (const r of initial || []) {
+        logger.info(`${r.name}: ${r.status} (${r.copied}/${r.total})`);
+      }
+      for (const [name, counts] of Object.entries(applied)) {
+        const parts = Object.entries(counts).map(([op, n]) => `${op}=${n}`);
+        logger.info(`${name}: synced ${parts.join(", ")}`);
+      }
+      logger.success("Sync stopped");
+      process.exit(0);
+    }
+    const groups = multiDb
+      ? await copyDatabases({
+          ...options,
+          databases,
+          allDatabases,
+          excludeDatabases: opts.excludeDb || [],
+        })
+      : [{ collections: await copyCollections(options) }];
+    let verified = true;
+    for (const { dbName, collections } of groups) {
+      if (dbName) logger.info(`Database ${dbName}:`);
+      const indent = dbName ? "  " : "";
+      for (const r of collections) {
+        const written =
+          r.inserted === undefined
+            ? ""
+            : `, inserted=${r.inserted} replaced=${r.replaced} skipped=${r.skipped} failed=${r.failed}`;
+        const { name, status, copied, total, inserted, replaced, skipped, failed } = r;
+        logger.info(`${indent}${name}: ${status} (${copied}/${total}${written})`, {
+          ...(dbName && { dbName }),
+          collection: name,
+          status,
+          copied,
+          total,
+          ...(inserted !== undefined && { inserted, replaced, skipped, failed }),
+          ...(r.verification && { verification: r.verification.status }),
+          durationMs: r.durationMs,
+        });
+        if (r.error) logger.error(`${indent}  ${r.error}`);
+        if (r.schema) logSchemaReport(`${indent}${r.name}`, r.schema);
+        if (r.verification) {
+          logVerification(`${indent}${r.name}`, r.verification);
+          verified &&= r.verification.status === "match";
+        }
+      }
+    }
+    saveReport(opts, { command, startedAt, results });
+    const outcome = runOutcome(results);
+    const summary = { outcome, durationMs: Date.now() - startedAt, collections: results.length };
+    if (!verified) logger.error("Verification failed");
+    if (outcome === "success") logger.success("Operation completed", summary);
+    else
+      logger.error(`Operation ${outcome === "partial" ? "partially failed" : "failed"}`, summary);
+    process.exit(EXIT_CODES[outcome]);
+  } catch (err) {
+    logFailure(err);
+    saveReport(opts, { command, startedAt, results, error: err });
+    process.exit(EXIT_CODES.failure);
+  }
+}
+
+async function runVerify(opts) {
+  const { all, ...common } = parseCommonOptions(opts);
+  if (!all && common.collections.length === 0 && common.include.length === 0) {
+    logger.info("Provide --all, --collections or --include to verify");
+    process.exit(0);
+  }
+  const startedAt = new Date();
+  const isFailed = (r) => r.status !== "match";
+  try {
+    const results = await verifyCollections({
+      ...common,
+      transform: opts.transform ? await loadTransform(opts.transform) : null,
+      againstJson: !!opts.againstJson,
+      checkIndexes: opts.checkIndexes !== false,
+      ...(Number.isFinite(opts.maxIds) && opts.maxIds >= 0 && { maxReportedIds: opts.maxIds }),
     });
-    for (const r of result) {
-      logger.info(`${r.name}: ${r.status} (${r.copied}/${r.total})`);
+    for (const r of results) {
+      const fields = { collection: r.name, status: r.status };
+      if (r.status === "no-json-file") {
+        logger.error(`${r.name}: no JSON backup found in ${common.outputDir}`, fields);
+        continue;
+      }
+      if (r.status === "not-found") {
+        logger.error(`${r.name}: collection not found in the source database`, fields);
+        continue;
+      }
+      logVerification(r.name, r);
     }
-    logger.success("Operation completed");
+    saveReport(opts, { command: "verify", startedAt, results, isFailed });
+    const outcome = runOutcome(results, isFailed);
+    if (outcome !== "success") {
+      logger.error("Verification failed", { outcome });
+      process.exit(EXIT_CODES[outcome]);
+    }
+    logger.success("All collections match");
     process.exit(0);
   } catch (err) {
-    logger.error(err.stack || err.message || String(err));
+    logFailure(err);
+    saveReport(opts, { command: "verify", startedAt, results: [], error: err, isFailed });
+    process.exit(EXIT_CODES.failure);
+  }
+}
+
+function logBackup(run) {
+  const since = run.since ? ` since ${run.since.toISOString()}` : "";
+  for (const r of run.results) {
+    const name = r.dbName ? `${r.dbName}.${r.name}` : r.name;
+    logger.info(`${name}: ${r.status} (${r.copied}/${r.total})`, {
+      ...(r.dbName && { dbName: r.dbName }),
+      collection: r.name,
+      status: r.status,
+      copied: r.copied,
+      total: r.total,
+    });
+    if (r.error) logger.error(`  ${r.error}`);
+  }
+  const fields = { snapshot: run.snapshot, type: run.type, pruned: run.pruned };
+  if (run.complete) logger.success(`Snapshot ${run.path} (${run.type}${since})`, fields);
+  else logger.error(`Snapshot ${run.path} (${run.type}${since}) is incomplete`, fields);
+  if (run.pruned.length > 0) logger.info(`Pruned ${run.pruned.join(", ")}`);
+}
+
+async function runBackupCommand(opts) {
+  const { all, ...common } = parseCommonOptions(opts);
+  const databases = opts.databases || [];
+  const allDatabases = !!opts.allDatabases;
+  const compress = opts.compress === true ? "gzip" : opts.compress || null;
+  try {
+    assertCompression(compress);
+    if (opts.format) assertFormat(opts.format);
+    assertReadPreference(opts.readPreference);
+    if (opts.schedule) nextCronRun(opts.schedule);
+  } catch (err) {
+    logger.error(`Invalid backup options: ${err.message}`);
     process.exit(1);
   }
-})();
+  if (opts.since) {
+    logger.error("backup sets --since from the last successful run; drop --since");
+    process.exit(1);
+  }
+  const retention = {};
+  for (const period of ["last", "daily", "weekly", "monthly"]) {
+    const value = opts[`keep${period[0].toUpperCase()}${period.slice(1)}`];
+    if (value === undefined) continue;
+    if (!Number.isInteger(value) || value < 1) {
+      logger.error(`Invalid --keep-${period} ${value} (expected a positive integer)`);
+      process.exit(1);
+    }
+    retention[period] = value;
+  }
+  const options = {
+    ...common,
+    // Without a selection the whole database is backed up
+    collections: all ? [] : common.collections,
+    ...((databases.length > 0 || allDatabases) && {
+      databases,
+      allDatabases,
+      excludeDatabases: opts.excludeDb || [],
+    }),
+    concurrency: Number.isFinite(opts.concurrency) && opts.concurrency > 0 ? opts.concurrency : 1,
+    compress,
+    format: opts.format || null,
+    fields: opts.fields || null,
+    readPreference: opts.readPreference || null,
+    maxDocsPerSec: opts.maxDocsPerSec ?? null,
+    maxMbPerSec: opts.maxMbPerSec ?? null,
+    showProgress: !opts.schedule && opts.progress !== false && getLogFormat() === "text",
+    incremental: !!opts.incremental,
+    timestampField: opts.timestampField || "_updatedAt",
+    transform: opts.transform ? await loadTransform(opts.transform) : null,
+    retention,
+  };
+
+  if (opts.schedule) {
+    const controller = new AbortController();
+    const stop = () => {
+      logger.info("Stopping scheduled backups...");
+      controller.abort();
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+    await scheduleBackups({
+      ...options,
+      schedule: opts.schedule,
+      signal: controller.signal,
+      onRun: logBackup,
+      onError: logFailure,
+    });
+    logger.success("Scheduled backups stopped");
+    process.exit(0);
+  }
+
+  const startedAt = new Date();
+  try {
+    const run = await runBackup(options);
+    logBackup(run);
+    saveReport(opts, { command: "backup", startedAt, results: run.results });
+    process.exit(EXIT_CODES[runOutcome(run.results)]);
+  } catch (err) {
+    logFailure(err);
+    saveReport(opts, { command: "backup", startedAt, results: [], error: err });
+    process.exit(EXIT_CODES.failure);
+  }
+}
+
+async function runRestore(opts) {
+  const { all, ...common } = parseCommonOptions(opts);
+  const at = opts.at || new Date();
+  if (Number.isNaN(at.getTime())) {
+    logger.error("Invalid --at (expected an ISO date such as 2026-03-03T08:00:00Z)");
+    process.exit(1);
+  }
+  if (opts.onConflict && !ON_CONFLICT_STRATEGIES.includes(opts.onConflict)) {
+    logger.error(
+      `Invalid --on-conflict "${opts.onConflict}" (expected ${ON_CONFLICT_STRATEGIES.join(", ")})`
+    );
+    process.exit(1);
+  }
+  let csvTypes = {};
+  let writeConcern = null;
+  try {
+    if (opts.csvTypes) csvTypes = parseCsvTypes(opts.csvTypes);
+    writeConcern = normalizeWriteConcern(opts.writeConcern);
+  } catch (err) {
+    logger.error(`Invalid --csv-types/--write-concern: ${err.message}`);
+    process.exit(1);
+  }
+  let chain;
+  try {
+    chain = resolveChain(common.outputDir, at);
+  } catch (err) {
+    logger.error(err.message);
+    process.exit(1);
+  }
+  if (!opts.yes) {
+    const [base, ...deltas] = chain;
+    const into = common.targetDbName ? ` into database "${common.targetDbName}"` : "";
+    const ok = await confirmAction(
+      `About to restore snapshot ${base.name} and ${deltas.length} incremental snapshot(s) after it${into}. Continue?`,
+      false
+    );
+    if (!ok) {
+      logger.warn("Cancelled by user");
+      process.exit(0);
+    }
+  }
+  const startedAt = new Date();
+  const results = [];
+  const events = new EventEmitter();
+  events.on("result", (result) => results.push(result));
+  try {
+    const run = await restoreSnapshots({
+      ...common,
+      collections: all ? [] : common.collections,
+      at,
+      ...((opts.databases || []).length > 0 && { databases: opts.databases }),
+      excludeDatabases: opts.excludeDb || [],
+      onConflict: opts.onConflict || null,
+      atomic: !!opts.atomic,
+      csvTypes,
+      writeConcern,
+      maxReplicationLag: opts.maxReplicationLag ?? null,
+      ...(Number.isFinite(opts.maxRetries) &&
+        opts.maxRetries >= 0 && { maxRetries: opts.maxRetries }),
+      ...(opts.deadLetter && { deadLetterPath: path.resolve(opts.deadLetter) }),
+      showProgress: opts.progress !== false && getLogFormat() === "text",
+      events,
+      copyIndexes: !!opts.copyIndexes,
+      transform: opts.transform ? await loadTransform(opts.transform) : null,
+    });
+    for (const r of run.results) {
+      const name = r.dbName ? `${r.dbName}.${r.name}` : r.name;
+      const deleted = r.deleted ? `, deleted=${r.deleted}` : "";
+      logger.info(`${r.snapshot} ${name}: ${r.status} (${r.copied}/${r.total}${deleted})`, {
+        snapshot: r.snapshot,
+        ...(r.dbName && { dbName: r.dbName }),
+        collection: r.name,
+        status: r.status,
+        copied: r.copied,
+        total: r.total,
+        ...(r.deleted && { deleted: r.deleted }),
+      });
+      if (r.error) logger.error(`  ${r.error}`);
+    }
+    saveReport(opts, { command: "restore", startedAt, results: run.results });
+    const outcome = runOutcome(run.results);
+    if (outcome === "success") {
+      logger.success(`Restored ${run.snapshots.length} snapshot(s) as of ${at.toISOString()}`);
+    } else {
+      logger.error(`Restore ${outcome === "partial" ? "partially failed" : "failed"}`, { outcome });
+    }
+    process.exit(EXIT_CODES[outcome]);
+  } catch (err) {
+    logFailure(err);
+    saveReport(opts, { command: "restore", startedAt, results, error: err });
+    process.exit(EXIT_CODES.failure);
+  }
+}
+
+function describeIndexes(indexes) {
+  if (!indexes) return "-";
+  const parts = ["missing", "different", "extra"]
+    .filter((kind) => indexes[kind].length > 0)
+    .map((kind) => `${kind}: ${indexes[kind].join(", ")}`);
+  return parts.length > 0 ? parts.join("; ") : "same";
+}
+
+async function runDiff(opts) {
+  const { all, ...common } = parseCommonOptions(opts);
+  const importJson = !!opts.importJson;
+  if (!all && common.collections.length === 0 && common.include.length === 0 && !importJson) {
+    logger.info("Provide --all, --collections or --include (or --import-json) to diff");
+    process.exit(0);
+  }
+  if (opts.exportJson) {
+    logger.error("diff compares against the target database and cannot be used with --export-json");
+    process.exit(1);
+  }
+  try {
+    const results = await copyCollections({
+      ...common,
+      importJson,
+      incremental: !!opts.incremental,
+      timestampField: opts.timestampField || "_updatedAt",
+      since: opts.since || null,
+      onConflict: opts.onConflict || null,
+      transform: opts.transform ? await loadTransform(opts.transform) : null,
+      showProgress: false,
+      diff: true,
+    });
+    const report = {
+      createdAt: new Date(),
+      dbName: common.dbName || env.DB_NAME,
+      targetDbName: common.targetDbName || env.TARGET_DB_NAME,
+      collections: results,
+    };
+    const json = BSON.EJSON.stringify(report, null, 2, { relaxed: true });
+    if (opts.json === true) {
+      console.log(json);
+      process.exit(0);
+    }
+
+    const rows = [];
+    for (const r of results) {
+      if (!r.diff) {
+        logger.warn(`${r.name}: ${r.status}`);
+        continue;
+      }
+      const { insert, update, unchanged, delete: removed, indexes } = r.diff;
+      const name = r.target ? `${r.name} -> ${r.target}` : r.name;
+      rows.push([name, insert, update, unchanged, removed, describeIndexes(indexes)]);
+    }
+    console.log(
+      formatTable(["Collection", "Insert", "Update", "Unchanged", "Delete", "Indexes"], rows)
+    );
+    if (opts.json) {
+      fs.writeFileSync(path.resolve(opts.json), json, "utf8");
+      logger.info(`Diff report written to ${path.resolve(opts.json)}`);
+    }
+    process.exit(0);
+  } catch (err) {
+    logFailure(err);
+    process.exit(1);
+  }
+}
+
+function describeSchemaField(field) {
+  if (!field) return "-";
+  return `${Object.keys(field.types).sort().join("|")} ${Math.round(field.frequency * 100)}%`;
+}
+
+async function runSchema(opts) {
+  const { all, ...common } = parseCommonOptions(opts);
+  if (!all && common.collections.length === 0 && common.include.length === 0) {
+    logger.info("Provide --all, --collections or --include to compare schemas");
+    process.exit(0);
+  }
+  try {
+    const results = await compareSchemas({
+      ...common,
+      transform: opts.transform ? await loadTransform(opts.transform) : null,
+      againstJson: !!opts.againstJson,
+      ...(Number.isFinite(opts.sample) && opts.sample >= 0 && { sampleSize: opts.sample }),
+    });
+    const report = {
+      createdAt: new Date(),
+      dbName: common.dbName || env.DB_NAME,
+      ...(opts.againstJson
+        ? { backup: path.resolve(common.outputDir) }
+        : {
+            targetDbName: common.targetDbName || env.TARGET_DB_NAME,
+          }),
+      collections: results,
+    };
+    const json = BSON.EJSON.stringify(report, null, 2, { relaxed: true });
+    if (opts.json === true) {
+      console.log(json);
+      process.exit(0);
+    }
+
+    const rows = [];
+    for (const r of results) {
+      if (!r.drift) {
+        logger.warn(`${r.name}: ${r.status}`);
+        continue;
+      }
+      const name = r.target ? `${r.name} -> ${r.target}` : r.name;
+      const { source, target } = r.schemas;
+      if (r.drift.length === 0) {
+        logger.success(
+          `${name}: same fields and types (${source.sampled}/${target.sampled} sampled)`
+        );
+      }
+      for (const d of r.drift) {
+        rows.push([
+          name,
+          d.path,
+          d.status,
+          describeSchemaField(d.source),
+          describeSchemaField(d.target),
+        ]);
+      }
+    }
+    if (rows.length > 0) {
+      console.log(formatTable(["Collection", "Field", "Drift", "Source", "Target"], rows));
+    }
+    if (opts.json) {
+      fs.writeFileSync(path.resolve(opts.json), json, "utf8");
+      logger.info(`Schema report written to ${path.resolve(opts.json)}`);
+    }
+    process.exit(0);
+  } catch (err) {
+    logFailure(err);
+    process.exit(1);
+  }
+}
+
+program.hook("preAction", async (_program, command) => {
+  await applyProfile(command);
+  try {
+    setLogFormat(command.optsWithGlobals().logFormat);
+  } catch (err) {
+    logger.error(`Invalid --log-format: ${err.message}`);
+    process.exit(1);
+  }
+});
+
+program.parseAsync(process.argv);
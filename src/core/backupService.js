@@ -0,0 +1,268 @@
+import fs from "fs";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import env from "../utils/config/env.js";
+import logger from "../utils/logger.js";
+import { nextCronRun } from "../utils/cron.js";
+import { copyCollections } from "./copyService.js";
+import { copyDatabases } from "./clusterService.js";
+import { runOutcome } from "./runReport.js";
+import {
+  SNAPSHOT_FILE,
+  listSnapshots,
+  readJsonFile,
+  readSnapshot,
+  sameScope,
+  snapshotName,
+  snapshotScope,
+  writeJsonFile,
+} from "./snapshots.js";
+
+/**
+ * File in the backup root recording the last successful backup.
+ */
+export const BACKUP_STATE_FILE = "backup-state.json";
+
+// Longest single timer; setTimeout overflows beyond 2^31 - 1 ms
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Reads the last successful backup recorded in a backup root.
+ * @param {string} outputDir - Backup root
+ * @returns {{scope: Object, lastSuccessfulRun: Date, lastSnapshot: string}|null}
+ */
+export function readBackupState(outputDir) {
+  const state = readJsonFile(path.join(outputDir, BACKUP_STATE_FILE));
+  return state && { ...state, lastSuccessfulRun: new Date(state.lastSuccessfulRun) };
+}
+
+// Period keys of the retention buckets, in UTC; weeks start on Monday
+const PERIODS = {
+  daily: (date) => date.toISOString().slice(0, 10),
+  weekly: (date) => {
+    const monday = new Date(date.getTime());
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+  },
+  monthly: (date) => date.toISOString().slice(0, 7),
+};
+
+/**
+ * Picks the snapshots a retention rule keeps: the `last` newest complete ones, and the newest
+ * complete one of each of the `daily`, `weekly` and `monthly` most recent periods that have
+ * one. The newest snapshot and the newest complete one are always kept, and so are the
+ * snapshots a kept incremental one builds on (its `previous` snapshot and so on), back to its
+ * full snapshot. Incomplete snapshots fill none of these slots, so a failed run never pushes
+ * a restorable snapshot out.
+ *
+ * @param {Array<Object>} snapshots - Snapshots from {@link listSnapshots}, newest first
+ * @param {Object} retention
+ * @param {number} [retention.last=0] - Newest snapshots to keep
+ * @param {number} [retention.daily=0] - Days to keep a snapshot for
+ * @param {number} [retention.weekly=0] - Weeks to keep a snapshot for
+ * @param {number} [retention.monthly=0] - Months to keep a snapshot for
+ * @returns {Set<string>} Names of the snapshots to keep
+ */
+export function selectSnapshotsToKeep(snapshots, retention) {
+  const { last = 0 } = retention;
+  // Incomplete snapshots cannot be restored, so they never fill a slot
+  const complete = snapshots.filter((s) => s.complete);
+  const keep = new Set(complete.slice(0, Math.max(1, last)).map((s) => s.name));
+  if (snapshots.length > 0) keep.add(snapshots[0].name);
+  for (const [period, periodKey] of Object.entries(PERIODS)) {
+    const count = retention[period] || 0;
+    const seen = new Set();
+    for (const snapshot of complete) {
+      const key = periodKey(snapshot.createdAt);
+      if (seen.has(key)) continue;
+      if (seen.size >= count) break;
+      seen.add(key);
+      keep.add(snapshot.name);
+    }
+  }
+  // An incremental snapshot is useless without the ones it builds on
+  const byName = new Map(snapshots.map((s) => [s.name, s]));
+  for (const name of [...keep]) {
+    let snapshot = byName.get(name);
+    while (snapshot?.type === "incremental") {
+      snapshot = byName.get(snapshot.previous);
+      if (snapshot) keep.add(snapshot.name);
+    }
+  }
+  return keep;
+}
+
+/**
+ * Deletes the snapshots a retention rule does not keep (see {@link selectSnapshotsToKeep}).
+ * Does nothing unless the rule sets at least one count.
+ * @param {string} outputDir - Backup root
+ * @param {Object} retention - `{ last, daily, weekly, monthly }`
+ * @returns {string[]} Names of the deleted snapshots
+ */
+export function pruneSnapshots(outputDir, retention) {
+  if (!Object.values(retention || {}).some((n) => n > 0)) return [];
+  const snapshots = listSnapshots(outputDir);
+  const keep = selectSnapshotsToKeep(snapshots, retention);
+  const pruned = snapshots.filter((s) => !keep.has(s.name));
+  for (const snapshot of pruned) {
+    fs.rmSync(snapshot.path, { recursive: true, force: true });
+    logger.info(`Pruned snapshot ${snapshot.name}`);
+  }
+  return pruned.map((s) => s.name);
+}
+
+/**
+ * Exports a snapshot into a new timestamped directory under `outputDir`.
+ *
+ * Incremental backups export the documents changed since the start of the last successful
+ * backup of the same database(s), recorded in {@link BACKUP_STATE_FILE}, and the `_id`s
+ * deleted since then; they link to that backup's snapshot as `previous` and to the full
+ * snapshot of their chain as `base`. Without an earlier backup of the same databases and
+ * collections they take a full snapshot. A snapshot whose run fails is removed, and one with
+ * failed collections is kept but not recorded as successful. Old snapshots are pruned
+ * afterwards when `retention` is given.
+ *
+ * @param {Object} options - Export options of {@link copyCollections} (or, with `databases` or
+ *        `allDatabases`, of {@link copyDatabases}), plus:
+ * @param {string} [options.outputDir='./backup'] - Backup root holding the snapshots
+ * @param {boolean} [options.incremental=false] - Only export documents changed since the last
+ *        successful backup, by `timestampField`
+ * @param {Object} [options.retention] - `{ last, daily, weekly, monthly }` snapshots to keep
+ * @returns {Promise<{snapshot: string, path: string, type: string, since: Date|null,
+ *          complete: boolean, results: Array, pruned: string[]}>} `results` are the collection
+ *          results, with their `dbName` when backing up several databases
+ * @throws {Error} If the export fails
+ *
+ * @example
+ * // Nightly incremental backup keeping 7 daily and 4 weekly snapshots
+ * await runBackup({ dbName: 'shop', incremental: true, retention: { daily: 7, weekly: 4 } });
+ */
+export async function runBackup({
+  outputDir = "./backup",
+  dbName = env.DB_NAME,
+  databases = [],
+  allDatabases = false,
+  incremental = false,
+  timestampField = "_updatedAt",
+  retention = null,
+  ...copyOptions
+} = {}) {
+  const startedAt = new Date();
+  const multiDb = allDatabases || databases.length > 0;
+  const scope = snapshotScope({ dbName, databases, allDatabases, ...copyOptions });
+  const state = readBackupState(outputDir);
+  const previous =
+    incremental && state && sameScope(state.scope, scope)
+      ? readSnapshot(path.join(outputDir, state.lastSnapshot))
+      : null;
+  if (incremental && !previous) logger.info("No earlier backup recorded; taking a full snapshot");
+  const since = previous ? state.lastSuccessfulRun : null;
+
+  const name = snapshotName(startedAt);
+  const dir = path.join(outputDir, name);
+  const type = previous ? "incremental" : "full";
+  // Every snapshot lists its _ids so the next incremental one can record deletes
+  const exportOptions = {
+    ...copyOptions,
+    timestampField,
+    incremental: !!previous,
+    since,
+    deltaOf: previous?.path || null,
+    recordIds: true,
+    exportJson: true,
+    importJson: false,
+    outputDir: dir,
+  };
+  let results;
+  try {
+    results = multiDb
+      ? await copyDatabases({ ...exportOptions, databases, allDatabases })
+      : await copyCollections({ ...exportOptions, dbName });
+  } catch (err) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw err;
+  }
+
+  const flat = multiDb
+    ? results.flatMap((group) => group.collections.map((r) => ({ dbName: group.dbName, ...r })))
+    : results;
+  const complete = runOutcome(flat) === "success";
+  writeJsonFile(path.join(dir, SNAPSHOT_FILE), {
+    name,
+    type,
+    createdAt: startedAt,
+    finishedAt: new Date(),
+    ...(previous && {
+      base: previous.base || previous.name,
+      previous: previous.name,
+      since,
+      timestampField,
+    }),
+    scope,
+    complete,
+  });
+  if (complete) {
+    writeJsonFile(path.join(outputDir, BACKUP_STATE_FILE), {
+      scope,
+      lastSuccessfulRun: startedAt,
+      lastSnapshot: name,
+    });
+  } else {
+    logger.warn(`Snapshot ${name} has failed collections and is not recorded as successful`);
+  }
+  const pruned = retention ? pruneSnapshots(outputDir, retention) : [];
+  return { snapshot: name, path: dir, type, since, complete, results: flat, pruned };
+}
+
+// Resolves true at `date`, or false once `signal` aborts
+async function sleepUntil(date, signal) {
+  try {
+    for (let wait = date - Date.now(); wait > 0; wait = date - Date.now()) {
+      await sleep(Math.min(wait, MAX_TIMER_MS), undefined, { signal });
+    }
+    return !signal?.aborted;
+  } catch (err) {
+    if (err.name === "AbortError") return false;
+    throw err;
+  }
+}
+
+/**
+ * Runs {@link runBackup} on a cron schedule until `signal` aborts. A failed backup is
+ * reported and the schedule goes on.
+ *
+ * @param {Object} options - Options of {@link runBackup}, plus:
+ * @param {string} options.schedule - Cron expression in local time, e.g. "30 2 * * *"
+ * @param {AbortSignal} [options.signal] - Stops waiting for the next run
+ * @param {(run: Object) => void} [options.onRun] - Receives the result of each backup
+ * @param {(err: Error) => void} [options.onError] - Receives the error of each failed backup
+ * @returns {Promise<void>} Resolves once stopped
+ * @throws {ConfigError} If the cron expression is invalid
+ *
+ * @example
+ * const controller = new AbortController();
+ * await scheduleBackups({ schedule: '0 3 * * *', incremental: true, signal: controller.signal });
+ */
+export async function scheduleBackups({
+  schedule,
+  signal = null,
+  onRun = null,
+  onError = null,
+  ...options
+}) {
+  nextCronRun(schedule);
+  while (!signal?.aborted) {
+    const next = nextCronRun(schedule);
+    logger.info(`Next backup at ${next.toISOString()}`);
+    if (!(await sleepUntil(next, signal))) break;
+    try {
+      const run = await runBackup(options);
+      if (onRun) onRun(run);
+    } catch (err) {
+      if (onError) onError(err);
+      else logger.error(`Backup failed: ${err.message}`);
+    }
+  }
+}
+
+export default runBackup;
@@ -0,0 +1,139 @@
+import fs from "fs";
+import path from "path";
+import { BSON } from "mongodb";
+import logger from "../utils/logger.js";
+import { bsonTypeOf } from "../utils/jsonSchema.js";
+
+const { EJSON } = BSON;
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Default location of the checkpoint file, relative to the working directory.
+ */
+export const DEFAULT_CHECKPOINT_PATH = ".mongodbcopy-checkpoint.json";
+
+function readCheckpointFile(filePath) {
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    for (const progress of Object.values(saved.collections || {})) {
+      if (progress.lastId !== undefined) {
+        progress.lastId = EJSON.deserialize(progress.lastId, { relaxed: false });
+      }
+    }
+    return saved;
+  } catch (err) {
+    logger.warn(`Ignoring unreadable checkpoint ${filePath}: ${err.message}`);
+    return null;
+  }
+}
+
+function serializeState(state) {
+  const collections = {};
+  for (const [name, progress] of Object.entries(state.collections)) {
+    collections[name] =
+      progress.lastId === undefined
+        ? progress
+        : { ...progress, lastId: EJSON.serialize(progress.lastId, { relaxed: false }) };
+  }
+  return JSON.stringify({ ...state, collections }, null, 2);
+}
+
+// _id types in the order MongoDB sorts them; the types of a group compare by value
+const ID_TYPE_ORDER = [
+  ["minKey"],
+  ["null", "undefined"],
+  ["int", "long", "double", "decimal"],
+  ["symbol", "string"],
+  ["object"],
+  ["array"],
+  ["binData"],
+  ["objectId"],
+  ["bool"],
+  ["date"],
+  ["timestamp"],
+  ["regex"],
+  ["maxKey"],
+];
+
+/**
+ * Selects the documents a resumed copy still has to read: those sorting after the last
+ * copied `_id`. `$gt` only matches `_id`s of its own type group (numbers, strings, ...), so
+ * the `_id`s of the types sorting after that group are selected by `$type`.
+ * @param {*} lastId - Last copied `_id`, as saved in the checkpoint
+ * @returns {Object} Query on `_id`
+ */
+export function resumeQuery(lastId) {
+  const group = ID_TYPE_ORDER.findIndex((types) => types.includes(bsonTypeOf(lastId)));
+  const later = ID_TYPE_ORDER.slice(group + 1).flat();
+  if (group === -1 || later.length === 0) return { _id: { $gt: lastId } };
+  return { $or: [{ _id: { $gt: lastId } }, { _id: { $type: later } }] };
+}
+
+/**
+ * Creates a checkpoint tracker that records per-collection copy progress on disk.
+ *
+ * The file stores, per collection, the last copied `_id` (as canonical EJSON so any
+ * BSON type survives) and whether the collection finished. Writes go through a
+ * temporary file and a rename so a crash never leaves a half-written checkpoint.
+ *
+ * @param {string} filePath - Checkpoint file path
+ * @param {Object} options
+ * @param {string} options.dbName - Source database the checkpoint belongs to
+ * @param {string} [options.targetDbName=dbName] - Target database the checkpoint belongs to
+ * @param {boolean} [options.resume=false] - Load existing progress instead of starting fresh
+ * @returns {{get: Function, save: Function, remove: Function}} Checkpoint tracker
+ */
+export function createCheckpoint(filePath, { dbName, targetDbName = dbName, resume = false }) {
+  const resolved = path.resolve(filePath);
+  let state = { version: CHECKPOINT_VERSION, dbName, targetDbName, collections: {} };
+
+  if (resume) {
+    const saved = fs.existsSync(resolved) ? readCheckpointFile(resolved) : null;
+    if (!saved) {
+      logger.warn(`No checkpoint found at ${resolved}, starting from scratch`);
+    } else if (
+      saved.version !== CHECKPOINT_VERSION ||
+      saved.dbName !== dbName ||
+      saved.targetDbName !== targetDbName
+    ) {
+      logger.warn(
+        `Checkpoint ${resolved} belongs to another run (db "${saved.dbName}" -> "${saved.targetDbName}"), ignoring it`
+      );
+    } else {
+      state = saved;
+      logger.info(`Resuming from checkpoint ${resolved}`);
+    }
+  }
+
+  return {
+    /**
+     * @param {string} name - Collection name
+     * @returns {{lastId: *, copied: number, done: boolean}|null} Saved progress, if any
+     */
+    get(name) {
+      return state.collections[name] || null;
+    },
+
+    /**
+     * Merges progress for a collection and persists the checkpoint.
+     * @param {string} name - Collection name
+     * @param {{lastId?: *, copied?: number, done?: boolean}} progress
+     */
+    save(name, progress) {
+      state.collections[name] = { done: false, ...state.collections[name], ...progress };
+      state.updatedAt = new Date();
+      const tmpPath = `${resolved}.tmp`;
+      fs.mkdirSync(path.dirname(resolved), { recursive: true });
+      fs.writeFileSync(tmpPath, serializeState(state), "utf8");
+      fs.renameSync(tmpPath, resolved);
+    },
+
+    /**
+     * Deletes the checkpoint file once the run completes.
+     */
+    remove() {
+      fs.rmSync(resolved, { force: true });
+    },
+  };
+}
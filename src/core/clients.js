@@ -0,0 +1,126 @@
+import { MongoClient } from "mongodb";
+import { ConfigError, ConnectionError } from "../utils/errors.js";
+
+/**
+ * Read preferences the source can be read with; secondaries keep copy reads off the primary.
+ */
+export const READ_PREFERENCES = [
+  "primary",
+  "primaryPreferred",
+  "secondary",
+  "secondaryPreferred",
+  "nearest",
+];
+
+/**
+ * Throws unless `readPreference` is one of {@link READ_PREFERENCES}.
+ * @param {string|null} readPreference - Read preference mode
+ * @throws {ConfigError}
+ */
+export function assertReadPreference(readPreference) {
+  if (readPreference && !READ_PREFERENCES.includes(readPreference)) {
+    throw new ConfigError(
+      `Invalid readPreference "${readPreference}" (expected one of ${READ_PREFERENCES.join(", ")})`
+    );
+  }
+}
+
+/**
+ * Turns a write concern given as its `w` value (`"majority"`, `"2"`, `1`) or as an object
+ * (`{ w: 'majority', journal: true, wtimeoutMS: 5000 }`) into the driver's form.
+ * @param {string|number|Object|null} writeConcern - Write concern
+ * @returns {Object|null} Write concern, or null for the server default
+ * @throws {ConfigError} If `w` is neither a non-negative integer nor a tag name
+ */
+export function normalizeWriteConcern(writeConcern) {
+  if (writeConcern == null || writeConcern === "") return null;
+  const concern = typeof writeConcern === "object" ? { ...writeConcern } : { w: writeConcern };
+  if (typeof concern.w === "string" && /^\d+$/.test(concern.w)) concern.w = Number(concern.w);
+  const valid =
+    concern.w === undefined ||
+    (Number.isInteger(concern.w) && concern.w >= 0) ||
+    (typeof concern.w === "string" && concern.w.length > 0);
+  if (!valid) {
+    throw new ConfigError(
+      `Invalid writeConcern w ${JSON.stringify(concern.w)} (expected a number or "majority")`
+    );
+  }
+  return concern;
+}
+
+/**
+ * Connects a new client, turning failures into a {@link ConnectionError}.
+ * @param {string} uri - Connection string
+ * @param {string} side - "source" or "target", for the message
+ * @returns {Promise<MongoClient>}
+ */
+async function connect(uri, side) {
+  const client = new MongoClient(uri);
+  try {
+    await client.connect();
+  } catch (err) {
+    await client.close().catch(() => {});
+    throw new ConnectionError(`Cannot connect to the ${side} server: ${err.message}`, {
+      cause: err,
+    });
+  }
+  return client;
+}
+
+/**
+ * Opens the source and target clients of an operation.
+ *
+ * Clients passed in are used as they are (the driver connects them on first use) and left
+ * open; clients created from a URI are connected here and closed by `close()`.
+ *
+ * @param {Object} options
+ * @param {string} [options.sourceUri] - Source connection string, unless `sourceClient` is given
+ * @param {string} [options.targetUri] - Target connection string, unless `targetClient` is given
+ * @param {MongoClient} [options.sourceClient] - Existing source client
+ * @param {MongoClient} [options.targetClient] - Existing target client
+ * @param {string} [options.dbName] - Source database; required
+ * @param {boolean} [options.withTarget=true] - Whether the operation writes to or reads a target
+ * @returns {Promise<{source: MongoClient, target: MongoClient|null, sameServer: boolean,
+ *          close: () => Promise<void>}>}
+ * @throws {ConfigError} If a connection string or the database name is missing
+ * @throws {ConnectionError} If a server cannot be reached
+ */
+export async function openClients({
+  sourceUri,
+  targetUri,
+  sourceClient,
+  targetClient,
+  dbName,
+  withTarget = true,
+}) {
+  if (!dbName) throw new ConfigError("dbName is required (or set DB_NAME)");
+  if (!sourceClient && !sourceUri) {
+    throw new ConfigError("sourceUri or sourceClient is required (or set SOURCE_DB_URI)");
+  }
+  if (withTarget && !targetClient && !targetUri) {
+    throw new ConfigError("targetUri or targetClient is required (or set TARGET_DB_URI)");
+  }
+
+  const owned = [];
+  const open = async (uri, side) => {
+    const client = await connect(uri, side);
+    owned.push(client);
+    return client;
+  };
+  const close = async () => {
+    for (const client of owned) await client.close();
+  };
+  try {
+    const source = sourceClient || (await open(sourceUri, "source"));
+    let target = null;
+    if (withTarget) target = targetClient || (await open(targetUri, "target"));
+    // Given clients are only known to share a server when they are the same object
+    const sameServer = sourceClient || targetClient ? source === target : sourceUri === targetUri;
+    return { source, target, sameServer, close };
+  } catch (err) {
+    await close();
+    throw err;
+  }
+}
+
+export default openClients;
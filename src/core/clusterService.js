@@ -0,0 +1,181 @@
+import fs from "fs";
+import path from "path";
+import env from "../utils/config/env.js";
+import logger from "../utils/logger.js";
+import { copyCollections } from "./copyService.js";
+import { DEFAULT_CHECKPOINT_PATH } from "./checkpoint.js";
+import { DEFAULT_DEAD_LETTER_PATH } from "./deadLetter.js";
+import { filterNames, isPattern } from "../utils/patterns.js";
+import { ConfigError } from "../utils/errors.js";
+import { openClients } from "./clients.js";
+import { runOutcome } from "./runReport.js";
+import { SNAPSHOT_FILE, planDelta, snapshotScope, writeJsonFile } from "./snapshots.js";
+
+/**
+ * Databases skipped by `allDatabases` and patterns; they are only copied when named explicitly.
+ */
+export const SYSTEM_DATABASES = ["admin", "config", "local"];
+
+/**
+ * Derives a per-database file from a shared one, e.g. `.mongodbcopy-checkpoint.shop.json`.
+ * @param {string} filePath - Shared file path
+ * @param {string} dbName - Database name
+ * @returns {string}
+ */
+export function perDatabasePath(filePath, dbName) {
+  const ext = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - ext.length)}.${dbName}${ext}`;
+}
+
+/**
+ * Resolves which databases to process.
+ * Literal names are kept even for system databases; patterns and `allDatabases` skip those.
+ *
+ * @param {string[]} available - Databases present on the server or in the backup directory
+ * @param {Object} options
+ * @param {string[]} [options.databases=[]] - Names or glob/regex patterns to include
+ * @param {boolean} [options.allDatabases=false] - Include every non-system database
+ * @param {string[]} [options.excludeDatabases=[]] - Names or patterns to leave out
+ * @returns {string[]} Database names, in `available` order
+ */
+export function resolveDatabases(
+  available,
+  { databases = [], allDatabases = false, excludeDatabases = [] }
+) {
+  for (const name of databases) {
+    if (!isPattern(name) && !available.includes(name)) {
+      logger.warn(`Database "${name}" not found, skipping it`);
+    }
+  }
+  const explicit = databases.filter((name) => !isPattern(name));
+  const selected = filterNames(available, {
+    include: allDatabases ? [] : databases,
+    exclude: excludeDatabases,
+  });
+  return selected.filter((name) => !SYSTEM_DATABASES.includes(name) || explicit.includes(name));
+}
+
+async function listSourceDatabases(sourceUri, sourceClient) {
+  const clients = await openClients({
+    sourceUri,
+    sourceClient,
+    dbName: "admin",
+    withTarget: false,
+  });
+  try {
+    const { databases } = await clients.source
+      .db("admin")
+      .admin()
+      .listDatabases({ nameOnly: true });
+    return databases.map((db) => db.name);
+  } finally {
+    await clients.close();
+  }
+}
+
+function listBackupDatabases(outputDir) {
+  if (!fs.existsSync(outputDir)) return [];
+  return fs
+    .readdirSync(outputDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+}
+
+/**
+ * Copies, exports or imports several databases, one after another.
+ *
+ * Each database is handled by {@link copyCollections} with the same options and a target
+ * database of the same name. Exports and imports use one sub-directory per database under
+ * `outputDir` (and `deltaOf`); imports pick their databases from those sub-directories. Checkpoint and
+ * dead-letter files get the database name inserted before their extension. Incremental exports
+ * without `deltaOf` go into one delta snapshot under `outputDir`, on top of the latest complete
+ * snapshot there of the same databases and collections.
+ *
+ * @param {Object} options - Same options as {@link copyCollections} (except `dbName` and
+ *        `targetDbName`), plus:
+ * @param {string[]} [options.databases=[]] - Database names or glob/regex patterns to include
+ * @param {boolean} [options.allDatabases=false] - Include every database except admin, config
+ *        and local
+ * @param {string[]} [options.excludeDatabases=[]] - Database names or patterns to leave out
+ * @returns {Promise<Array<{dbName: string, collections: Array<Object>}>>} Results grouped by
+ *          database
+ * @throws {ConfigError} If no database selection is given
+ * @throws {Error} If a database fails to copy
+ *
+ * @example
+ * // Back up every application database except the analytics ones
+ * const results = await copyDatabases({
+ *   allDatabases: true,
+ *   excludeDatabases: ['analytics_*'],
+ *   exportJson: true,
+ *   outputDir: './backup'
+ * });
+ */
+export async function copyDatabases({
+  sourceUri = env.SOURCE_DB_URI,
+  sourceClient = null,
+  databases = [],
+  allDatabases = false,
+  excludeDatabases = [],
+  importJson = false,
+  outputDir = "./backup",
+  checkpointPath = DEFAULT_CHECKPOINT_PATH,
+  deadLetterPath = DEFAULT_DEAD_LETTER_PATH,
+  since = null,
+  deltaOf = null,
+  ...copyOptions
+} = {}) {
+  if (!allDatabases && databases.length === 0) {
+    throw new ConfigError("Provide databases or allDatabases to copy several databases");
+  }
+  // As in copyCollections, but one delta snapshot holds every database
+  const { exportJson, incremental, dryRun, timestampField = "_updatedAt" } = copyOptions;
+  let delta = null;
+  if (exportJson && incremental && !deltaOf && !dryRun) {
+    const scope = snapshotScope({ databases, allDatabases, excludeDatabases, ...copyOptions });
+    const plan = planDelta(outputDir, scope, { since, timestampField });
+    delta = plan.delta;
+    since = delta.since;
+    deltaOf = plan.previous.path;
+    outputDir = path.join(outputDir, delta.name);
+  }
+  const available = importJson
+    ? listBackupDatabases(outputDir)
+    : await listSourceDatabases(sourceUri, sourceClient);
+  const names = resolveDatabases(available, { databases, allDatabases, excludeDatabases });
+  if (names.length === 0) logger.warn("No databases matched the selection");
+
+  const results = [];
+  try {
+    for (const dbName of names) {
+      logger.info(`Database ${dbName}`);
+      const collections = await copyCollections({
+        ...copyOptions,
+        sourceUri,
+        sourceClient,
+        dbName,
+        targetDbName: dbName,
+        importJson,
+        since,
+        outputDir: path.join(outputDir, dbName),
+        deltaOf: deltaOf && path.join(deltaOf, dbName),
+        checkpointPath: perDatabasePath(checkpointPath, dbName),
+        deadLetterPath: perDatabasePath(deadLetterPath, dbName),
+      });
+      results.push({ dbName, collections });
+    }
+  } catch (err) {
+    if (delta) fs.rmSync(outputDir, { recursive: true, force: true });
+    throw err;
+  }
+  if (delta) {
+    writeJsonFile(path.join(outputDir, SNAPSHOT_FILE), {
+      ...delta,
+      finishedAt: new Date(),
+      complete: runOutcome(results.flatMap((group) => group.collections)) === "success",
+    });
+  }
+  return results;
+}
+
+export default copyDatabases;
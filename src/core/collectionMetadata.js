@@ -0,0 +1,134 @@
+import { BSON } from "mongodb";
+import logger from "../utils/logger.js";
+
+const { EJSON } = BSON;
+
+// Settings fixed when a collection is created; an existing target keeps its own
+const CREATION_OPTIONS = ["capped", "size", "max", "timeseries", "clusteredIndex", "collation"];
+// Applied once the data is in, so documents the source already holds are never rejected
+const VALIDATION_OPTIONS = ["validator", "validationLevel", "validationAction"];
+
+/**
+ * Tells whether a collection is server-managed storage that is recreated from metadata
+ * (view definitions, time-series buckets) rather than copied.
+ * @param {string} name - Collection name
+ * @returns {boolean}
+ */
+export function isInternalCollection(name) {
+  return name === "system.views" || name.startsWith("system.buckets.");
+}
+
+/**
+ * Extracts what is needed to recreate a collection from its `listCollections` entry.
+ * @param {{type?: string, options?: Object}} [info] - Entry returned by `listCollections`
+ * @returns {{type: string, options: Object}} Type ("collection", "view" or "timeseries")
+ *          and creation options (capped size, time-series settings, validator, collation,
+ *          view pipeline, ...)
+ */
+export function readCollectionMetadata(info) {
+  return { type: info?.type || "collection", options: { ...info?.options } };
+}
+
+/**
+ * Converts metadata to the form kept in a backup manifest entry; options are stored as
+ * relaxed Extended JSON so validators keep their dates, regexes and ObjectIds.
+ * @param {{type: string, options: Object}} metadata - From {@link readCollectionMetadata}
+ * @returns {{type?: string, options?: Object}} Only what differs from a plain collection
+ */
+export function serializeMetadata({ type, options }) {
+  return {
+    ...(type !== "collection" && { type }),
+    ...(Object.keys(options).length > 0 && {
+      options: EJSON.serialize(options),
+    }),
+  };
+}
+
+/**
+ * Reads metadata back from a manifest entry written with {@link serializeMetadata}.
+ * @param {Object} [entry] - Manifest entry of a collection
+ * @returns {{type: string, options: Object}}
+ */
+export function deserializeMetadata(entry) {
+  return {
+    type: entry?.type || "collection",
+    options: entry?.options ? EJSON.deserialize(entry.options) : {},
+  };
+}
+
+/**
+ * Looks up a collection's `listCollections` entry.
+ * @param {Db} db - Database
+ * @param {string} name - Collection name
+ * @returns {Promise<Object|null>} The entry, or null if the collection does not exist
+ */
+export async function findCollection(db, name) {
+  const [info] = await db.listCollections({ name }).toArray();
+  return info || null;
+}
+
+const sameOption = (a, b) => EJSON.stringify(a ?? null) === EJSON.stringify(b ?? null);
+
+/**
+ * Creates a target collection with the source's options, leaving out validation rules
+ * (see {@link applyValidation}). An existing collection is kept as it is; a warning lists
+ * the creation-time settings it does not share with the source.
+ * @param {Db} db - Target database
+ * @param {string} name - Target collection name
+ * @param {{type: string, options: Object}} metadata - Source metadata
+ * @returns {Promise<boolean>} True if the collection was created
+ */
+export async function createCollectionLike(db, name, { options }) {
+  const existing = await findCollection(db, name);
+  if (existing) {
+    const differing = CREATION_OPTIONS.filter(
+      (key) => !sameOption(existing.options?.[key], options[key])
+    );
+    if (differing.length > 0) {
+      logger.warn(
+        `Target collection "${name}" already exists with different ${differing.join(", ")} settings; keeping them`
+      );
+    }
+    return false;
+  }
+  const creation = Object.fromEntries(
+    Object.entries(options).filter(([key]) => !VALIDATION_OPTIONS.includes(key))
+  );
+  await db.createCollection(name, creation);
+  return true;
+}
+
+/**
+ * Puts the source's validator, validation level and action on a target collection.
+ * @param {Db} db - Target database
+ * @param {string} name - Target collection name
+ * @param {{type: string, options: Object}} metadata - Source metadata
+ * @returns {Promise<void>}
+ */
+export async function applyValidation(db, name, { options }) {
+  if (!options.validator) return;
+  const rules = VALIDATION_OPTIONS.filter((key) => options[key] !== undefined).map((key) => [
+    key,
+    options[key],
+  ]);
+  await db.command({ collMod: name, ...Object.fromEntries(rules) });
+}
+
+/**
+ * Creates (or redefines) a view on the target. The view reads from the renamed target of
+ * its source collection when that collection is renamed.
+ * @param {Db} db - Target database
+ * @param {string} name - Target view name
+ * @param {{type: string, options: Object}} metadata - Source view metadata
+ * @param {Object<string, string>} [rename={}] - Source to target collection names
+ * @returns {Promise<void>}
+ * @throws {Error} If a collection that is not a view already has the name
+ */
+export async function createView(db, name, { options }, rename = {}) {
+  const existing = await findCollection(db, name);
+  if (existing && existing.type !== "view") {
+    throw new Error(`Cannot create view "${name}": a collection of that name exists on the target`);
+  }
+  if (existing) await db.collection(name).drop();
+  await db.createCollection(name, { ...options, viewOn: rename[options.viewOn] || options.viewOn });
+}
@@ -0,0 +1,50 @@
+import { EventEmitter } from "events";
+import { copyCollections, COPY_EVENTS } from "./copyService.js";
+import { copyDatabases } from "./clusterService.js";
+
+/**
+ * Runs a copy and yields its events as they happen, for programs that report progress
+ * themselves instead of drawing terminal bars.
+ *
+ * Yields `{type, ...payload}` for each of the {@link COPY_EVENTS}, then
+ * `{type: "done", results}` with what the copy returned. A failed copy makes the iteration
+ * throw its error. Leaving the loop early stops yielding but not the copy itself.
+ *
+ * @param {Object} options - Options of {@link copyCollections}, or of {@link copyDatabases}
+ *        when `databases` or `allDatabases` is given; `showProgress` defaults to false
+ * @returns {AsyncGenerator<{type: string}>}
+ * @throws {Error} Whatever the copy throws
+ *
+ * @example
+ * for await (const event of iterateCopy({ sourceClient, targetClient, dbName: 'shop' })) {
+ *   if (event.type === 'progress') report(event.name, event.processed / event.total);
+ *   if (event.type === 'result') console.log(event.name, event.status);
+ * }
+ */
+export async function* iterateCopy(options = {}) {
+  const events = new EventEmitter();
+  const queue = [];
+  let wake = null;
+  const push = (item) => {
+    queue.push(item);
+    if (wake) wake();
+  };
+  for (const type of COPY_EVENTS) events.on(type, (payload) => push({ type, ...payload }));
+
+  const copy = options.databases?.length || options.allDatabases ? copyDatabases : copyCollections;
+  copy({ showProgress: false, ...options, events }).then(
+    (results) => push({ type: "done", results }),
+    (error) => push({ type: "error", error })
+  );
+
+  for (;;) {
+    if (queue.length === 0) await new Promise((resolve) => (wake = resolve));
+    wake = null;
+    const item = queue.shift();
+    if (item.type === "error") throw item.error;
+    yield item;
+    if (item.type === "done") return;
+  }
+}
+
+export default iterateCopy;
@@ -1,9 +1,94 @@
-import { MongoClient } from "mongodb";
+import { BSON } from "mongodb";
+import { EventEmitter } from "events";
 import fs from "fs";
 import path from "path";
-import cliProgress from "cli-progress";
-import env from "../utils/config/env.js";
+import env, { resolveTargetDbName } from "../utils/config/env.js";
 import logger from "../utils/logger.js";
+import { ConfigError, ConflictError } from "../utils/errors.js";
+import { attachProgressBars } from "../utils/progressBars.js";
+import { assertReadPreference, normalizeWriteConcern, openClients } from "./clients.js";
+import { createLagGuard } from "./replicationLag.js";
+import { createRateLimiter, throttle } from "../utils/rateLimit.js";
+import { createCheckpoint, DEFAULT_CHECKPOINT_PATH, resumeQuery } from "./checkpoint.js";
+import { diffCollection, verifyCollection } from "./verifyService.js";
+import {
+  backupFileName,
+  describeBackup,
+  listBackupCollections,
+  readManifest,
+  removeStaleBackupFiles,
+  writeManifest,
+} from "./manifest.js";
+import { createDeadLetter, DEFAULT_DEAD_LETTER_PATH } from "./deadLetter.js";
+import {
+  SNAPSHOT_FILE,
+  idsFileName,
+  planDelta,
+  readIdList,
+  snapshotScope,
+  writeIdLists,
+  writeJsonFile,
+} from "./snapshots.js";
+import { runOutcome } from "./runReport.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { isTransientError, withRetry } from "../utils/retry.js";
+import { selectNames } from "../utils/patterns.js";
+import { checkSchema } from "./schemaService.js";
+import {
+  applyValidation,
+  createCollectionLike,
+  createView,
+  deserializeMetadata,
+  findCollection,
+  isInternalCollection,
+  readCollectionMetadata,
+  serializeMetadata,
+} from "./collectionMetadata.js";
+import {
+  parseIndexFile,
+  stringifyIndexFile,
+  EJSON_MODES,
+  assertCompression,
+} from "../utils/jsonStream.js";
+import { assertFormat, createBackupWriter, readBackupFile } from "../utils/backupFormats.js";
+import { assertCsvTypes } from "../utils/csvStream.js";
+
+/**
+ * How documents are written when the target collection already holds data:
+ * - "overwrite-collection": empty the target collection first, then insert (full copy default)
+ * - "replace": replace documents with the same `_id`, insert the rest (incremental default)
+ * - "skip-existing": keep documents whose `_id` already exists, insert the rest
+ * - "merge": `$set` the source fields onto existing documents, insert the rest
+ * - "fail": abort when a document's `_id` already exists in the target
+ */
+export const ON_CONFLICT_STRATEGIES = [
+  "overwrite-collection",
+  "replace",
+  "skip-existing",
+  "merge",
+  "fail",
+];
+
+// Prefix of the temporary collections atomic copies write into before swapping them in
+const SWAP_PREFIX = "__mongodbcopy_tmp_";
+
+/**
+ * Events emitted on the `events` option of copyCollections, each with the `dbName` and
+ * collection `name`:
+ * - "start": the collection's documents start being written (`total`)
+ * - "progress": after each batch (`processed` documents read so far, `total`)
+ * - "result": the collection's result, as returned in the summary
+ */
+export const COPY_EVENTS = ["start", "progress", "result"];
+
+// Statuses after which the target holds data worth verifying
+const VERIFIED_STATUSES = [
+  "copied",
+  "incremental-copied",
+  "already-copied",
+  "exported-json",
+  "imported-json",
+];
 
 /**
  * Copies collections between MongoDB databases with support for JSON export/import.
@@ -11,22 +96,103 @@ import logger from "../utils/logger.js";
  * @param {Object} options - Configuration options for the copy operation
  * @param {string} [options.sourceUri] - MongoDB connection URI for source database
  * @param {string} [options.targetUri] - MongoDB connection URI for target database
+ * @param {MongoClient} [options.sourceClient] - Existing client used instead of `sourceUri`; it is
+ *        left open
+ * @param {MongoClient} [options.targetClient] - Existing client used instead of `targetUri`; it is
+ *        left open
+ * @param {string} [options.readPreference] - Read preference of source reads, one of
+ *        `READ_PREFERENCES` (e.g. "secondaryPreferred" to keep the load off the primary)
+ * @param {string|number|Object} [options.writeConcern] - Write concern of target writes: a `w`
+ *        value such as "majority" or 1, or `{ w, journal, wtimeoutMS }`
+ * @param {number} [options.maxDocsPerSec] - Caps the documents read per second, across all
+ *        collections of the run
+ * @param {number} [options.maxMbPerSec] - Caps the MiB of documents read per second
+ * @param {number} [options.maxReplicationLag] - Pauses writes while the target replica set's
+ *        slowest secondary trails the primary by more than this many seconds
+ * @param {number} [options.lagCheckInterval=5000] - Milliseconds between replication lag checks
  * @param {string} [options.dbName] - Name of the database to operate on
- * @param {string[]} [options.collections=[]] - Array of collection names to copy (empty = all collections)
+ * @param {string} [options.targetDbName] - Target database name (defaults to `TARGET_DB_NAME` when
+ *        set, else `dbName`)
+ * @param {Object<string, string>} [options.rename={}] - Source to target collection name mapping,
+ *        e.g. `{ users: 'users_archive' }`; unmapped collections keep their name
+ * @param {string[]} [options.collections=[]] - Array of collection names to copy (empty = all collections);
+ *        names that do not exist are reported with status "not-found"
+ * @param {string[]} [options.include=[]] - Glob or `/regex/` patterns selecting further collections
+ * @param {string[]} [options.exclude=[]] - Glob or `/regex/` patterns of collections to leave out
  * @param {boolean} [options.dryRun=false] - If true, simulates the operation without writing data
  * @param {number} [options.batchSize=1000] - Number of documents to process in each batch
  * @param {boolean} [options.exportJson=false] - If true, exports collections to JSON files
  * @param {boolean} [options.importJson=false] - If true, imports collections from JSON files
  * @param {string} [options.outputDir='./backup'] - Directory for JSON export/import files
+ * @param {string|boolean} [options.ejson=false] - Use Extended JSON for export/import files:
+ *        "canonical" (lossless, `true` is an alias) or "relaxed" (more readable, numeric types may widen).
+ *        Imports default to the mode recorded in the backup's `manifest.json`
+ * @param {string} [options.compress] - Compress exported files: "gzip" (`<name>.json.gz`) or "zstd"
+ *        (`<name>.json.zst`, needs Node.js 22.15+); compressed files are detected on import
+ * @param {string} [options.format] - Backup file format: "json" (one array per collection, the
+ *        export default), "ndjson" (`<name>.ndjson`, one document per line) or "csv" (`<name>.csv`).
+ *        Imports read whichever format the backup holds unless a format is given
+ * @param {string[]} [options.fields] - Dotted field paths written as CSV columns; by default the
+ *        fields of the first 1000 documents, nested objects flattened into dotted columns
+ * @param {Object<string, string>} [options.csvTypes={}] - Column types for CSV imports, e.g.
+ *        `{ age: 'int', createdAt: 'date' }` (see `CSV_TYPES`); they override the types an export
+ *        recorded in the manifest, and other columns are detected from their text
+ * @param {number} [options.concurrency=1] - Number of collections processed at the same time
  * @param {boolean} [options.showProgress=true] - If true, displays progress bars during operations
+ * @param {EventEmitter} [options.events] - Receives the {@link COPY_EVENTS} of the run
  * @param {boolean} [options.copyIndexes=false] - If true, copies indexes from source to target
- * @param {boolean} [options.validateSchema=false] - If true, validates schema before copying
+ * @param {boolean} [options.validateSchema=false] - If true, checks documents against the target
+ *        collection's `$jsonSchema` validator (or the source's, for a new target) locally before
+ *        copying; collections with failing documents are skipped with status
+ *        "schema-validation-failed" and the report is attached as `schema`
+ * @param {number} [options.schemaSampleSize=100] - Documents sampled per collection by
+ *        `validateSchema`; 0 checks every document
  * @param {boolean} [options.incremental=false] - If true, performs incremental backup based on timestamp
  * @param {string} [options.timestampField='_updatedAt'] - Field to use for incremental backup
- * @param {Date} [options.since] - Date for incremental backup (only copy docs updated since this date)
+ * @param {Date} [options.since] - Date for incremental backup (only copy docs updated since this date);
+ *        incremental exports default to the time of the snapshot they build on
+ * @param {string} [options.deltaOf] - Snapshot directory an incremental export follows; the export
+ *        is written to `outputDir` as given, with the `_id`s deleted since that snapshot. Without
+ *        it, an incremental export is stored as a new delta snapshot under `outputDir` linked to
+ *        the latest complete snapshot there of the same database and collection selection,
+ *        which it needs, rather than over that snapshot's files
+ * @param {boolean} [options.recordIds=false] - If true, exports also list each collection's `_id`s
+ *        in `$ids/<name>.json` for later incremental exports to find deletes; incremental exports
+ *        always do. Imports delete the `_id`s listed in a collection's `$deleted/<name>.json`
+ * @param {Object} [options.filter={}] - Query selecting the source documents to copy or export
+ * @param {Object} [options.projection] - Projection applied when reading source documents
+ * @param {Function} [options.transform] - `(doc, collectionName) => doc` hook applied to every document
+ *        on copy, export and import; may be async, returning null/undefined drops the document
+ * @param {Object<string, {filter?: Object, projection?: Object, transform?: Function}>}
+ *        [options.collectionOptions={}] - Per-collection overrides of `filter`, `projection` and `transform`
+ * @param {boolean} [options.resume=false] - If true, continues an interrupted copy from its checkpoint
+ *        instead of wiping the target
+ * @param {string} [options.checkpointPath='.mongodbcopy-checkpoint.json'] - File recording per-collection
+ *        copy progress; removed once every collection has been copied
+ * @param {string} [options.onConflict] - How to treat documents that already exist in the target, one of
+ *        {@link ON_CONFLICT_STRATEGIES}; defaults to "overwrite-collection", or "replace" when incremental.
+ *        Copy and import results report `inserted`, `replaced` and `skipped` counts
+ * @param {number} [options.maxRetries=5] - Retries of a batch after transient network or write concern
+ *        errors, with exponential backoff starting at `retryDelay` milliseconds
+ * @param {number} [options.retryDelay=500] - Delay before the first retry, in milliseconds
+ * @param {string} [options.deadLetterPath='mongodbcopy-dead-letter.ndjson'] - File receiving documents the
+ *        target rejects (e.g. duplicate keys, validation errors); the run continues and results report
+ *        them as `failed`
+ * @param {boolean} [options.atomic=false] - If true, copies and imports fill a temporary collection, build
+ *        its indexes and swap it in with `renameCollection` (`dropTarget`), so readers never see a partial
+ *        collection; the temporary collection is dropped if the run fails. Needs the
+ *        "overwrite-collection" strategy and cannot be resumed
+ * @param {boolean} [options.diff=false] - If true, writes nothing and reports per collection how many
+ *        documents the copy or import would insert, update, leave unchanged and delete, and how
+ *        indexes differ (status "diff", details in `diff`)
+ * @param {boolean} [options.verify=false] - If true, compares each copied, exported or imported
+ *        collection with its source afterwards and attaches the result as `verification`; an
+ *        incremental export is compared with the source documents of its window only
  * @returns {Promise<Array<{name: string, copied: number, total: number, status: string}>>}
- *          Array of results for each collection processed
- * @throws {Error} If connection fails or operation encounters an error
+ *          Array of results for each collection processed, with the `durationMs` it took
+ * @throws {ConfigError} If options are missing or invalid
+ * @throws {ConnectionError} If a server cannot be reached
+ * @throws {Error} If the operation encounters an error
  *
  * @example
  * // Copy all collections with progress bar
@@ -46,6 +212,23 @@ import logger from "../utils/logger.js";
  * });
  *
  * @example
+ * // Copy one tenant's users without their email addresses
+ * const results = await copyCollections({
+ *   collections: ['users'],
+ *   collectionOptions: {
+ *     users: { filter: { tenantId: 'acme' }, projection: { email: 0 } }
+ *   }
+ * });
+ *
+ * @example
+ * // Clone into another database on the same cluster, archiving users under a new name
+ * const results = await copyCollections({
+ *   dbName: 'prod',
+ *   targetDbName: 'staging_2026',
+ *   rename: { users: 'users_archive' }
+ * });
+ *
+ * @example
  * // Incremental backup since last week
  * const results = await copyCollections({
  *   collections: ['users'],
@@ -57,245 +240,824 @@ import logger from "../utils/logger.js";
 export async function copyCollections({
   sourceUri = env.SOURCE_DB_URI,
   targetUri = env.TARGET_DB_URI,
+  sourceClient = null,
+  targetClient = null,
+  readPreference = null,
+  writeConcern = null,
+  maxDocsPerSec = null,
+  maxMbPerSec = null,
+  maxReplicationLag = null,
+  lagCheckInterval = 5000,
   dbName = env.DB_NAME,
+  targetDbName = resolveTargetDbName(dbName),
+  rename = env.COLLECTION_RENAME || {},
   collections = [],
+  include = [],
+  exclude = [],
   dryRun = false,
   batchSize = env.BATCH_SIZE || 1000,
   exportJson = false,
   importJson = false,
   outputDir = "./backup",
+  ejson = false,
+  compress = null,
+  format = null,
+  fields = null,
+  csvTypes = {},
+  concurrency = 1,
   showProgress = true,
+  events = null,
   copyIndexes = false,
   validateSchema = false,
+  schemaSampleSize = 100,
   incremental = false,
   timestampField = "_updatedAt",
   since = null,
+  deltaOf = null,
+  recordIds = false,
+  filter = {},
+  projection = null,
+  transform = null,
+  collectionOptions = {},
+  resume = false,
+  checkpointPath = DEFAULT_CHECKPOINT_PATH,
+  onConflict = null,
+  maxRetries = 5,
+  retryDelay = 500,
+  deadLetterPath = DEFAULT_DEAD_LETTER_PATH,
+  atomic = false,
+  diff = false,
+  verify = false,
 } = {}) {
-  const sourceClient = new MongoClient(sourceUri);
-  const targetClient = new MongoClient(targetUri);
-  await sourceClient.connect();
-  await targetClient.connect();
-  const sourceDb = sourceClient.db(dbName);
-  const targetDb = targetClient.db(dbName);
-
-  // Initialize progress bar
-  let progressBar = null;
-  if (showProgress) {
-    progressBar = new cliProgress.SingleBar({
-      format: "Progress |{bar}| {percentage}% | {value}/{total} documents | {collection}",
-      barCompleteChar: "\u2588",
-      barIncompleteChar: "\u2591",
-      hideCursor: true,
-    });
+  if (ejson === true) ejson = "canonical";
+  if (ejson && !EJSON_MODES.includes(ejson)) {
+    throw new ConfigError(`Invalid ejson mode "${ejson}" (expected ${EJSON_MODES.join(" or ")})`);
+  }
+  if (diff && exportJson)
+    throw new ConfigError("diff compares against the target database, not an export");
+  if (exportJson) assertCompression(compress);
+  if (format) assertFormat(format);
+  if (format === "csv" && ejson && exportJson) {
+    throw new ConfigError(
+      "ejson does not apply to CSV exports; use csvTypes when importing instead"
+    );
   }
+  assertCsvTypes(csvTypes);
+  // Exports default to JSON arrays; imports read whichever format the backup holds
+  const fileFormat = exportJson ? format || "json" : format;
+  onConflict ||= incremental ? "replace" : "overwrite-collection";
+  if (!ON_CONFLICT_STRATEGIES.includes(onConflict)) {
+    throw new ConfigError(
+      `Invalid onConflict "${onConflict}" (expected one of ${ON_CONFLICT_STRATEGIES.join(", ")})`
+    );
+  }
+  if (atomic && (resume || onConflict !== "overwrite-collection")) {
+    throw new ConfigError(
+      'atomic copies replace whole collections and need onConflict "overwrite-collection" without resume'
+    );
+  }
+  assertReadPreference(readPreference);
+  writeConcern = normalizeWriteConcern(writeConcern);
+  // Incremental exports go into a delta snapshot on top of the latest one of the same scope,
+  // unless the caller manages the snapshot (deltaOf)
+  let delta = null;
+  if (exportJson && incremental && !deltaOf && !dryRun) {
+    const scope = snapshotScope({ dbName, collections, include, exclude });
+    const plan = planDelta(outputDir, scope, { since, timestampField });
+    delta = plan.delta;
+    since = delta.since;
+    deltaOf = plan.previous.path;
+    outputDir = path.join(outputDir, delta.name);
+  }
+  recordIds ||= !!deltaOf;
+  const incrementalWindow = incremental && since ? { [timestampField]: { $gte: since } } : null;
+  const limiter = createRateLimiter({ maxDocsPerSec, maxMbPerSec });
+  const manifest = importJson ? readManifest(outputDir) : null;
+  if (!ejson && manifest?.ejson) ejson = manifest.ejson;
+  const clients = await openClients({
+    sourceUri,
+    targetUri,
+    sourceClient,
+    targetClient,
+    dbName,
+  });
+  const sourceDb = clients.source.db(dbName, readPreference ? { readPreference } : {});
+  const targetDb = clients.target.db(targetDbName, writeConcern ? { writeConcern } : {});
+
+  // Progress goes to the caller's emitter; the terminal bars are one more listener
+  events ||= new EventEmitter();
+  const emit = (event, payload) => events.emit(event, { dbName, ...payload });
+  const bars = showProgress ? attachProgressBars(events) : null;
 
   try {
-    const found = await sourceDb.listCollections().toArray();
-    const allNames = found.map((c) => c.name);
-    if (!collections || collections.length === 0) collections = allNames;
-    else collections = collections.filter((c) => allNames.includes(c));
-    const summary = [];
-    if (exportJson && !fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
-    for (const name of collections) {
-      const col = sourceDb.collection(name);
+    // Created once the clients are open, so that a bad checkpoint file still closes them
+    const lagGuard = createLagGuard(clients.target, {
+      maxLagSeconds: maxReplicationLag,
+      intervalMs: lagCheckInterval,
+      onPause: (lag) =>
+        logger.warn(`Target replication lag is ${Math.round(lag)}s; pausing writes`, { lag }),
+      onUnavailable: (err) =>
+        logger.warn(`Cannot read the target's replication lag, not waiting for it: ${err.message}`),
+    });
+    // Progress is only checkpointed for database-to-database copies
+    const checkpointUsed = !dryRun && !diff && !atomic && !exportJson && !importJson;
+    const checkpoint = checkpointUsed
+      ? createCheckpoint(checkpointPath, { dbName, targetDbName, resume })
+      : { get: () => null, save: () => {}, remove: () => {} };
 
-      // Build query for incremental backup
-      let query = {};
-      if (incremental && since) {
-        query[timestampField] = { $gte: since };
+    // Imports restore whatever the backup holds; everything else reads the source database
+    const found = importJson ? [] : await sourceDb.listCollections().toArray();
+    // Temporary collections of atomic copies are never copied themselves, and view
+    // definitions and time-series buckets are recreated from collection metadata
+    const allNames = importJson
+      ? listBackupCollections(outputDir, manifest)
+      : found
+          .map((c) => c.name)
+          .filter((n) => !n.startsWith(SWAP_PREFIX) && !isInternalCollection(n));
+    const sourceInfo = new Map(found.map((c) => [c.name, c]));
+    const { selected, notFound } = selectNames(allNames, {
+      names: collections || [],
+      include,
+      exclude,
+    });
+    collections = selected;
+    for (const name of notFound) logger.warn(`Collection "${name}" not found, skipping it`);
+    // Copying a collection onto itself would wipe it before it is read
+    if (!exportJson && !importJson && clients.sameServer && dbName === targetDbName) {
+      const clash = collections.find((name) => (rename[name] || name) === name);
+      if (clash) {
+        throw new ConfigError(
+          `Source and target are the same collection "${dbName}.${clash}"; set a target db or rename it`
+        );
       }
+    }
+    if (exportJson && !fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+    const exported = {};
+    const schemaReports = new Map();
+    const deadLetter = createDeadLetter(deadLetterPath);
 
-      const total = await col.countDocuments(query);
-      if (total === 0) {
-        summary.push({ name, copied: 0, total, status: incremental ? "no-new-docs" : "empty" });
-        continue;
+    // Source and target sides of a collection for verification and diffs; the source side
+    // reads with `query` and the collection's projection and transform, like the copy does
+    const copySides = (name, query) => {
+      const selection = { projection, transform, ...collectionOptions[name] };
+      const database = {
+        col: sourceDb.collection(name),
+        query,
+        projection: selection.projection,
+        transform: selection.transform,
+      };
+      const files = describeBackup(outputDir, name, manifest, { format: fileFormat, csvTypes });
+      const copy = { col: targetDb.collection(rename[name] || name) };
+      if (exportJson) return [database, files];
+      if (importJson) return [{ ...files, transform: selection.transform }, copy];
+      return [database, copy];
+    };
+
+    // Lists a collection's _ids and, for a delta, the ones deleted since the snapshot before.
+    // `written` are the _ids the export read, in _id order; the documents an incremental export
+    // left out are listed by a scan of the selection
+    const listIds = async (name, col, selectionFilter, written = null) => {
+      const previous = deltaOf ? readIdList(path.join(deltaOf, idsFileName(name))) : null;
+      if (deltaOf && !previous) {
+        logger.warn(`${name}: ${deltaOf} lists no _ids, so deletes since then are not recorded`);
+      }
+      const sources = written ? [written] : [];
+      if (!written || incrementalWindow) {
+        const cursor = col.find(selectionFilter, { projection: { _id: 1 }, sort: { _id: 1 } });
+        sources.push(cursor.map(({ _id }) => _id));
       }
+      return writeIdLists(outputDir, name, sources, previous);
+    };
 
-      // Schema validation
-      if (validateSchema && !dryRun && !exportJson) {
-        try {
-          const sampleDoc = await col.findOne(query);
-          if (sampleDoc) {
-            const destCol = targetDb.collection(name);
-            // Try to validate by attempting a single insert in a test
-            const validationResult = await destCol.insertOne({
-              ...sampleDoc,
-              _validationTest: true,
-            });
-            if (validationResult.acknowledged) {
-              await destCol.deleteOne({ _id: validationResult.insertedId });
-            }
+    const processCollection = async (name) => {
+      let swapCol = null;
+      // Capped, time-series, validator, collation and view settings of the source collection
+      const metadata = importJson
+        ? deserializeMetadata(manifest?.collections?.[name])
+        : readCollectionMetadata(sourceInfo.get(name));
+      // Atomic copies write into a temporary collection that finishTarget() renames over the
+      // target; both are created with the source's options
+      const openTarget = async (targetName) => {
+        if (!atomic) {
+          await createCollectionLike(targetDb, targetName, metadata);
+          return targetDb.collection(targetName);
+        }
+        if (metadata.type === "timeseries") {
+          throw new ConfigError(
+            `Time-series collection "${name}" cannot be renamed, so not swapped in`
+          );
+        }
+        swapCol = targetDb.collection(`${SWAP_PREFIX}${targetName}`);
+        await dropIfExists(swapCol); // Left over from a crashed run
+        await createCollectionLike(targetDb, swapCol.collectionName, metadata);
+        return swapCol;
+      };
+      const writeOptions = {
+        retry: {
+          retries: maxRetries,
+          baseDelayMs: retryDelay,
+          onRetry: (err, attempt, delay) =>
+            logger.warn(
+              `${name}: ${err.message}; retry ${attempt}/${maxRetries} in ${Math.round(delay)}ms`
+            ),
+        },
+        onFailed: (doc, writeError) =>
+          deadLetter.add({
+            collection: name,
+            target: rename[name] || name,
+            code: writeError.code,
+            error: writeError.errmsg || writeError.message,
+            document: doc,
+          }),
+      };
+      const finishTarget = async (targetName) => {
+        if (swapCol) {
+          // Without copyIndexes, keep the indexes the live collection already has
+          if (!copyIndexes) {
+            await copyIndexesToTarget(
+              swapCol,
+              await existingIndexes(targetDb.collection(targetName))
+            );
           }
-        } catch (err) {
-          summary.push({
+          await swapCol.rename(targetName, { dropTarget: true });
+          swapCol = null;
+        }
+        await applyValidation(targetDb, targetName, metadata);
+      };
+      try {
+        const col = sourceDb.collection(name);
+        const targetName = rename[name] || name;
+        const selection = { filter, projection, transform, ...collectionOptions[name] };
+        const findOptions = selection.projection ? { projection: selection.projection } : {};
+        let excluded = 0;
+        // Run the transform hook; a null result drops the document
+        const applyTransform = async (doc) => {
+          const out = selection.transform ? await selection.transform(doc, name) : doc;
+          if (out == null) excluded++;
+          return out;
+        };
+
+        // Views hold no documents of their own; only their definition is carried over
+        if (metadata.type === "view") {
+          if (dryRun || diff) return { name, copied: 0, total: 0, status: "view" };
+          if (exportJson) exported[name] = serializeMetadata(metadata);
+          else await createView(targetDb, targetName, metadata, rename);
+          const status = exportJson ? "exported-view" : "created-view";
+          return { name, copied: 0, total: 0, status };
+        }
+
+        // Build query from the filter and the incremental backup window
+        const query = combineQueries(selection.filter, incrementalWindow);
+
+        // A backup's size is only known from its manifest
+        const total = importJson
+          ? manifest?.collections?.[name]?.count || 0
+          : await col.countDocuments(query);
+        const backup = importJson
+          ? describeBackup(outputDir, name, manifest, { format: fileFormat, csvTypes })
+          : null;
+        if (diff) {
+          if (importJson && !backup.filePath) {
+            return { name, copied: 0, total: 0, status: "no-json-file" };
+          }
+          // Only "overwrite-collection" removes documents that are not in the source
+          const changes = await diffCollection(name, ...copySides(name, query), {
+            ejson: importJson ? ejson : null,
+            batchSize,
+            deletes: onConflict === "overwrite-collection",
+          });
+          const written = changes.insert + changes.update + changes.unchanged;
+          return {
+            name,
+            copied: 0,
+            total: importJson ? written : total,
+            status: "diff",
+            diff: changes,
+          };
+        }
+        if (total === 0 && !importJson) {
+          // The collection itself, with its options, is still carried over
+          if (!dryRun && !exportJson) {
+            await createCollectionLike(targetDb, targetName, metadata);
+            await applyValidation(targetDb, targetName, metadata);
+          }
+          // A delta without changed documents may still have deletes to record
+          const ids =
+            exportJson && recordIds && !dryRun ? await listIds(name, col, selection.filter) : null;
+          if (ids) exported[name] = { count: 0, ...ids, ...serializeMetadata(metadata) };
+          return {
             name,
             copied: 0,
             total,
-            status: "schema-validation-failed",
-            error: err.message,
-          });
-          continue;
+            status: incremental ? "no-new-docs" : "empty",
+            ...(ids?.deleted !== undefined && { deleted: ids.deleted }),
+          };
         }
-      }
-
-      if (dryRun) {
-        summary.push({ name, copied: 0, total, status: "dry-run" });
-        continue;
-      }
 
-      // Initialize progress bar for this collection
-      if (progressBar && total > 0) {
-        progressBar.start(total, 0, { collection: name });
-      }
-      if (importJson) {
-        const filePath = path.join(outputDir, `${name}.json`);
-        if (!fs.existsSync(filePath)) {
-          if (progressBar) progressBar.stop();
-          summary.push({ name, copied: 0, total: 0, status: "no-json-file" });
-          continue;
+        // Check documents against the target's validator, or the source's one the copy puts
+        // on a new target, locally and before anything is written
+        const backupMissing = importJson && !backup.filePath;
+        if (validateSchema && !exportJson && !backupMissing) {
+          const existing = await findCollection(targetDb, targetName);
+          const options = existing?.options?.validator ? existing.options : metadata.options;
+          const rules = options.validator && {
+            origin: options === metadata.options ? "source" : "target",
+            validator: options.validator,
+            validationAction: options.validationAction,
+          };
+          let schema;
+          try {
+            const [documents] = copySides(name, query);
+            schema = await checkSchema(name, documents, rules, {
+              sampleSize: schemaSampleSize,
+              ejson: importJson ? ejson : null,
+            });
+          } catch (err) {
+            return {
+              name,
+              copied: 0,
+              total,
+              status: "schema-validation-failed",
+              error: err.message,
+            };
+          }
+          schemaReports.set(name, schema);
+          // With validationAction "warn" the target accepts the documents anyway
+          if (schema.failed > 0 && schema.validationAction !== "warn") {
+            return { name, copied: 0, total, status: "schema-validation-failed" };
+          }
         }
-        const json = JSON.parse(fs.readFileSync(filePath, "utf8"));
-        if (json.length === 0) {
-          if (progressBar) progressBar.stop();
-          summary.push({ name, copied: 0, total: 0, status: "json-empty" });
-          continue;
+
+        if (dryRun) {
+          return { name, copied: 0, total, status: "dry-run" };
         }
-        const destCol = targetDb.collection(name);
-
-        // For incremental import, don't delete all, use upserts instead
-        if (incremental) {
-          for (let i = 0; i < json.length; i += batchSize) {
-            const chunk = json.slice(i, i + batchSize);
-            const bulkOps = chunk.map((doc) => ({
-              replaceOne: {
-                filter: { _id: doc._id },
-                replacement: doc,
-                upsert: true,
-              },
-            }));
-            await destCol.bulkWrite(bulkOps, { ordered: false });
-            if (progressBar) progressBar.update(i + chunk.length);
+
+        emit("start", { name, total });
+        if (importJson) {
+          const entry = manifest?.collections?.[name];
+          const deleted = entry?.deletedFile
+            ? await applyDeletes(
+                targetDb.collection(targetName),
+                path.join(outputDir, entry.deletedFile),
+                { batchSize, lagGuard }
+              )
+            : 0;
+          if (!backup.filePath) {
+            // Deltas list collections without changed documents, and thus without a file
+            const status = entry && entry.count === 0 ? "json-empty" : "no-json-file";
+            return { name, copied: 0, total: 0, status, ...(deleted && { deleted }) };
           }
-        } else {
-          await destCol.deleteMany({});
-          for (let i = 0; i < json.length; i += batchSize) {
-            const chunk = json.slice(i, i + batchSize);
-            await destCol.insertMany(chunk, { ordered: false });
-            if (progressBar) progressBar.update(i + chunk.length);
+          const destCol = await openTarget(targetName);
+          let imported = 0;
+          const counts = { inserted: 0, replaced: 0, skipped: 0, failed: 0 };
+
+          // Stream the file in batches, writing each with the conflict strategy
+          const flushImport = async (chunk) => {
+            // Only clear the target once the file is known to contain documents
+            if (imported === 0 && onConflict === "overwrite-collection") {
+              await destCol.deleteMany({});
+            }
+            await lagGuard.wait();
+            addCounts(counts, await writeBatch(destCol, chunk, onConflict, writeOptions));
+            imported += chunk.length;
+            emit("progress", { name, processed: imported, total });
+          };
+
+          const batch = [];
+          const types = backup.csv?.types;
+          const docs = readBackupFile(backup.filePath, { ejson, types });
+          for await (const raw of throttle(docs, limiter)) {
+            const doc = await applyTransform(raw);
+            if (doc == null) continue;
+            batch.push(doc);
+            if (batch.length >= batchSize) {
+              await flushImport(batch);
+              batch.length = 0;
+            }
+          }
+          if (batch.length > 0) await flushImport(batch);
+
+          if (imported === 0) {
+            return {
+              name,
+              copied: 0,
+              total: 0,
+              status: "json-empty",
+              ...(excluded && { excluded }),
+              ...(deleted && { deleted }),
+            };
+          }
+
+          // Copy indexes if requested
+          if (copyIndexes) {
+            const indexFilePath = path.join(outputDir, `${name}_indexes.json`);
+            if (fs.existsSync(indexFilePath)) {
+              const indexes = parseIndexFile(fs.readFileSync(indexFilePath, "utf8"), ejson);
+              await copyIndexesToTarget(destCol, indexes);
+            }
           }
+          await finishTarget(targetName);
+
+          return {
+            name,
+            copied: imported - counts.failed,
+            total: imported + excluded,
+            status: "imported-json",
+            ...counts,
+            ...(excluded && { excluded }),
+            ...(deleted && { deleted }),
+          };
         }
+        if (exportJson) {
+          // The _id list is taken from the documents exported, so it holds exactly them; it
+          // needs _id order, and the _ids, which a projection may leave out
+          const idsPath = path.join(outputDir, `${idsFileName(name)}.tmp`);
+          const keepsId = ![0, false].includes(selection.projection?._id);
+          let idWriter = null;
+          if (recordIds && keepsId) {
+            fs.mkdirSync(path.dirname(idsPath), { recursive: true });
+            idWriter = createBackupWriter(idsPath, { ejson: "canonical" });
+          }
+          // Keep numeric wrappers (Int32/Double/Long) so canonical EJSON records exact BSON types
+          const cursor = col.find(query, {
+            ...findOptions,
+            ...(ejson && { promoteValues: false }),
+            ...(idWriter && { sort: { _id: 1 } }),
+          });
+          const fileName = backupFileName(name, compress, fileFormat);
+          const writer = createBackupWriter(path.join(outputDir, fileName), {
+            format: fileFormat,
+            ejson,
+            compress,
+            fields,
+          });
+          let docCount = 0;
+          try {
+            for await (const raw of throttle(cursor, limiter)) {
+              await idWriter?.write({ _id: raw._id });
+              const doc = await applyTransform(raw);
+              if (doc == null) continue;
+              await writer.write(doc);
+              docCount++;
+              if (docCount % batchSize === 0) {
+                emit("progress", { name, processed: docCount + excluded, total });
+              }
+            }
+          } catch (err) {
+            // Leave no truncated-but-valid backup behind
+            writer.destroy();
+            idWriter?.destroy();
+            fs.rmSync(idsPath, { force: true });
+            throw err;
+          }
+          await writer.close();
+          await idWriter?.close();
+          emit("progress", { name, processed: docCount + excluded, total });
+          removeStaleBackupFiles(outputDir, name, fileName);
+          const layout = writer.layout?.();
+          if (layout?.omitted.length > 0) {
+            logger.warn(
+              `${name}: ${layout.omitted.join(", ")} first appear after the documents the CSV columns were taken from and were left out; list them in fields to include them`
+            );
+          }
 
-        // Copy indexes if requested
-        if (copyIndexes) {
-          const indexFilePath = path.join(outputDir, `${name}_indexes.json`);
-          if (fs.existsSync(indexFilePath)) {
-            const indexes = JSON.parse(fs.readFileSync(indexFilePath, "utf8"));
-            await copyIndexesToTarget(destCol, indexes);
+          // Export indexes if requested
+          const indexFile = `${name}_indexes.json`;
+          if (copyIndexes) {
+            const indexes = await col.indexes();
+            const indexFilePath = path.join(outputDir, indexFile);
+            fs.writeFileSync(indexFilePath, stringifyIndexFile(indexes, ejson), "utf8");
+          }
+          let ids = null;
+          try {
+            if (recordIds) {
+              ids = await listIds(name, col, selection.filter, idWriter && readIdList(idsPath));
+            }
+          } finally {
+            fs.rmSync(idsPath, { force: true });
           }
+          exported[name] = {
+            file: fileName,
+            count: docCount,
+            sha256: writer.checksum(),
+            ...(layout && { columns: layout.columns, types: layout.types }),
+            ...(copyIndexes && { indexFile }),
+            ...ids,
+            ...serializeMetadata(metadata),
+          };
+
+          return {
+            name,
+            copied: docCount,
+            total,
+            status: "exported-json",
+            ...(excluded && { excluded }),
+            ...(ids?.deleted !== undefined && { deleted: ids.deleted }),
+          };
+        }
+        const destCol = await openTarget(targetName);
+        const resumed = checkpoint.get(name);
+        if (resumed?.done) {
+          return { name, copied: resumed.copied, total, status: "already-copied" };
         }
 
-        if (progressBar) progressBar.stop();
-        summary.push({ name, copied: json.length, total: json.length, status: "imported-json" });
-        continue;
-      }
-      if (exportJson) {
-        const cursor = col.find(query);
-        const filePath = path.join(outputDir, `${name}.json`);
-        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-        const allDocs = [];
-        let docCount = 0;
-        while (await cursor.hasNext()) {
-          allDocs.push(await cursor.next());
-          docCount++;
-          if (progressBar) progressBar.update(docCount);
+        // Only "overwrite-collection" empties the target; a resumed copy keeps what is there
+        if (onConflict === "overwrite-collection" && !resumed) await destCol.deleteMany({});
+
+        // Copy in _id order so progress can be checkpointed and resumed after the last copied _id
+        const cursor = col
+          .find(resumed ? combineQueries(query, resumeQuery(resumed.lastId)) : query, findOptions)
+          .sort({ _id: 1 });
+        let copied = resumed ? resumed.copied : 0;
+        const counts = { inserted: 0, replaced: 0, skipped: 0, failed: 0 };
+        // The batch in flight when a previous run died may be partially written
+        let resendNext = !!resumed;
+        const batch = [];
+        let lastId = null;
+        const flush = async () => {
+          await lagGuard.wait();
+          const written = await writeBatch(destCol, batch, onConflict, {
+            ...writeOptions,
+            resent: resendNext,
+          });
+          addCounts(counts, written);
+          resendNext = false;
+          copied += batch.length - written.failed;
+          // Checkpoint the source _id, which a transform may have changed in the written copy
+          checkpoint.save(name, { lastId, copied });
+          emit("progress", { name, processed: copied + excluded + counts.failed, total });
+          batch.length = 0; // Clear batch
+        };
+
+        for await (const raw of throttle(cursor, limiter)) {
+          lastId = raw._id;
+          const doc = await applyTransform(raw);
+          if (doc != null) batch.push(doc);
+          if (batch.length >= batchSize) await flush();
         }
-        fs.writeFileSync(filePath, JSON.stringify(allDocs, null, 2), "utf8");
+        // Process remaining documents
+        if (batch.length > 0) await flush();
 
-        // Export indexes if requested
+        // Copy indexes after data
         if (copyIndexes) {
           const indexes = await col.indexes();
-          const indexFilePath = path.join(outputDir, `${name}_indexes.json`);
-          fs.writeFileSync(indexFilePath, JSON.stringify(indexes, null, 2), "utf8");
+          await copyIndexesToTarget(destCol, indexes);
         }
+        await finishTarget(targetName);
 
-        if (progressBar) progressBar.stop();
-        summary.push({ name, copied: allDocs.length, total, status: "exported-json" });
-        continue;
+        checkpoint.save(name, { done: true, copied });
+        return {
+          name,
+          copied,
+          total,
+          status: incremental ? "incremental-copied" : "copied",
+          ...counts,
+          ...(excluded && { excluded }),
+          ...(resumed && { resumed: true }),
+        };
+      } finally {
+        // Never leave a half-filled temporary collection behind
+        if (swapCol) {
+          await dropIfExists(swapCol).catch((err) =>
+            logger.warn(
+              `Could not drop temporary collection ${swapCol.collectionName}: ${err.message}`
+            )
+          );
+        }
       }
-      const destCol = targetDb.collection(name);
+    };
 
-      // For incremental, use upserts instead of delete all
-      const cursor = col.find(query);
-      let copied = 0;
+    // Checks the written data against the same selection the copy read. An export holds only
+    // the incremental window, while a copy's or import's target also holds earlier documents
+    const verifyWritten = (name) => {
+      const selected = collectionOptions[name]?.filter ?? filter;
+      const query = combineQueries(selected, exportJson ? incrementalWindow : null);
+      const sides = copySides(name, query);
+      return verifyCollection(name, ...sides, {
+        ejson: exportJson || importJson ? ejson : null,
+        checkIndexes: copyIndexes,
+        batchSize,
+      });
+    };
 
-      if (incremental) {
-        // Use streaming with bulkWrite for better performance
-        const batch = [];
-        while (await cursor.hasNext()) {
-          batch.push(await cursor.next());
-
-          if (batch.length >= batchSize) {
-            const bulkOps = batch.map((doc) => ({
-              replaceOne: {
-                filter: { _id: doc._id },
-                replacement: doc,
-                upsert: true,
-              },
-            }));
-            await destCol.bulkWrite(bulkOps, { ordered: false });
-            copied += batch.length;
-            if (progressBar) progressBar.update(copied);
-            batch.length = 0; // Clear batch
-          }
-        }
+    const summary = await mapWithConcurrency(collections, concurrency, async (name) => {
+      const started = Date.now();
+      let result = await processCollection(name);
+      if (verify && VERIFIED_STATUSES.includes(result.status)) {
+        const verification = await verifyWritten(name);
+        if (verification.status === "mismatch") logger.warn(`${name}: verification failed`);
+        result = { ...result, verification };
+      }
+      if (schemaReports.has(name)) result = { ...result, schema: schemaReports.get(name) };
+      const target = rename[name];
+      if (target && target !== name && !exportJson) result = { ...result, target };
+      result = { ...result, durationMs: Date.now() - started };
+      emit("result", result);
+      return result;
+    });
+    if (checkpointUsed) checkpoint.remove();
+    if (deadLetter.count() > 0) {
+      logger.warn(`${deadLetter.count()} rejected document(s) written to ${deadLetter.path}`);
+    }
+    if (exportJson && !dryRun) {
+      writeManifest(outputDir, {
+        dbName,
+        ejson,
+        compress,
+        format: fileFormat,
+        collections: exported,
+      });
+    }
+    if (delta) {
+      writeJsonFile(path.join(outputDir, SNAPSHOT_FILE), {
+        ...delta,
+        finishedAt: new Date(),
+        complete: runOutcome(summary) === "success",
+      });
+    }
+    const missing = notFound.map((name) => ({ name, copied: 0, total: 0, status: "not-found" }));
+    for (const result of missing) emit("result", result);
+    return [...summary, ...missing];
+  } catch (err) {
+    // Leave no delta without its snapshot description behind
+    if (delta) fs.rmSync(outputDir, { recursive: true, force: true });
+    throw err;
+  } finally {
+    bars?.stop();
+    await clients.close();
+  }
+}
 
-        // Process remaining documents
-        if (batch.length > 0) {
-          const bulkOps = batch.map((doc) => ({
-            replaceOne: {
-              filter: { _id: doc._id },
-              replacement: doc,
-              upsert: true,
-            },
-          }));
-          await destCol.bulkWrite(bulkOps, { ordered: false });
-          copied += batch.length;
-          if (progressBar) progressBar.update(copied);
-        }
-      } else {
-        // Full copy: delete all and insert
-        await destCol.deleteMany({});
+/**
+ * Deletes the `_id`s listed in a delta's `$deleted/<name>.json` from the target, in batches.
+ * @returns {Promise<number>} Number of documents deleted
+ */
+async function applyDeletes(targetCol, filePath, { batchSize, lagGuard }) {
+  if (!fs.existsSync(filePath)) return 0;
+  let deleted = 0;
+  const ids = [];
+  const flush = async () => {
+    await lagGuard.wait();
+    const { deletedCount } = await targetCol.deleteMany({ _id: { $in: ids } });
+    deleted += deletedCount;
+    ids.length = 0;
+  };
+  for await (const { _id } of readBackupFile(filePath, { ejson: "canonical" })) {
+    ids.push(_id);
+    if (ids.length >= batchSize) await flush();
+  }
+  if (ids.length > 0) await flush();
+  return deleted;
+}
 
-        while (await cursor.hasNext()) {
-          const batch = [];
-          for (let i = 0; i < batchSize && (await cursor.hasNext()); i++) {
-            batch.push(await cursor.next());
-          }
-          if (batch.length) {
-            await destCol.insertMany(batch, { ordered: false });
-            copied += batch.length;
-            if (progressBar) progressBar.update(copied);
-          }
+/**
+ * Combines query objects with `$and`, skipping empty ones.
+ * @param {...Object} queries - Queries to combine (null/empty ones are ignored)
+ * @returns {Object} A single query matching all of them
+ */
+function combineQueries(...queries) {
+  const parts = queries.filter((q) => q && Object.keys(q).length > 0);
+  if (parts.length === 0) return {};
+  return parts.length === 1 ? parts[0] : { $and: parts };
+}
+
+// Strategies that insert plainly and so cannot safely re-send a partially written batch
+const INSERT_STRATEGIES = ["overwrite-collection", "fail"];
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Writes a batch of documents once with a conflict strategy (see {@link ON_CONFLICT_STRATEGIES}).
+ * @param {Collection} targetCol - Target MongoDB collection
+ * @param {Array<Object>} docs - Documents to write
+ * @param {string} onConflict - Conflict strategy
+ * @returns {Promise<{inserted: number, replaced: number, skipped: number}>} Outcome counts
+ */
+async function writeBatchOnce(targetCol, docs, onConflict) {
+  if (INSERT_STRATEGIES.includes(onConflict)) {
+    await targetCol.insertMany(docs, { ordered: false });
+    return { inserted: docs.length, replaced: 0, skipped: 0 };
+  }
+
+  const bulkOps = docs.map((doc) => {
+    const { _id, ...fields } = doc;
+    if (onConflict === "replace") {
+      return { replaceOne: { filter: { _id }, replacement: doc, upsert: true } };
+    }
+    const update = onConflict === "merge" ? { $set: fields } : { $setOnInsert: fields };
+    return { updateOne: { filter: { _id }, update, upsert: true } };
+  });
+  const result = await targetCol.bulkWrite(bulkOps, { ordered: false });
+  return countWritten(onConflict, docs.length, result.upsertedCount);
+}
+
+// Documents that matched an existing _id were replaced/merged, or left alone when skipping
+function countWritten(onConflict, written, upserted) {
+  if (INSERT_STRATEGIES.includes(onConflict)) return { inserted: written, replaced: 0, skipped: 0 };
+  const existing = written - upserted;
+  return onConflict === "skip-existing"
+    ? { inserted: upserted, replaced: 0, skipped: existing }
+    : { inserted: upserted, replaced: existing, skipped: 0 };
+}
+
+// Throws a ConflictError if the target already holds one of the documents' _ids
+async function assertNoConflicts(targetCol, docs) {
+  const ids = docs.map((doc) => doc._id);
+  const existing = await targetCol.findOne({ _id: { $in: ids } }, { projection: { _id: 1 } });
+  if (existing) {
+    throw new ConflictError(
+      `Document ${BSON.EJSON.stringify(existing._id)} already exists in target collection "${targetCol.collectionName}"`
+    );
+  }
+}
+
+// Duplicate keys of the _id index; servers before 4.4 only name the index in the message
+function isIdDuplicate(writeError) {
+  if (writeError.code !== DUPLICATE_KEY) return false;
+  const keyPattern = writeError.err?.keyPattern ?? writeError.keyPattern;
+  return keyPattern
+    ? Object.keys(keyPattern).join() === "_id"
+    : / index: _id_ /.test(writeError.errmsg);
+}
+
+/**
+ * Writes a batch, retrying transient errors with backoff and setting aside documents the
+ * server rejects (duplicate keys, validation failures) instead of aborting the run. Under
+ * "fail", a duplicate key is a {@link ConflictError}, except on an `_id` an interrupted
+ * attempt at the same batch, or an interrupted run, already inserted.
+ *
+ * @param {Collection} targetCol - Target MongoDB collection
+ * @param {Array<Object>} docs - Documents to write
+ * @param {string} onConflict - Conflict strategy
+ * @param {Object} options
+ * @param {Object} options.retry - Options for {@link withRetry}
+ * @param {(doc: Object, writeError: Object) => void} options.onFailed - Receives each rejected document
+ * @param {boolean} [options.resent=false] - If true, an earlier run may have written part of the
+ *        batch already
+ * @returns {Promise<{inserted: number, replaced: number, skipped: number, failed: number}>}
+ */
+async function writeBatch(targetCol, docs, onConflict, { retry, onFailed, resent = false }) {
+  // Whether an interrupted attempt, or run, may have written part of the batch
+  let sent = resent;
+  return withRetry(async () => {
+    const resending = sent;
+    // A partly written batch is re-sent idempotently, except under "fail", which must never
+    // overwrite a document and so keeps inserting
+    const strategy = resending && onConflict === "overwrite-collection" ? "replace" : onConflict;
+    try {
+      // Checked before anything is sent; after that, the batch's own inserts would be found
+      if (strategy === "fail" && !resending) await assertNoConflicts(targetCol, docs);
+      sent = true;
+      return { ...(await writeBatchOnce(targetCol, docs, strategy)), failed: 0 };
+    } catch (err) {
+      // Unordered writes report every rejected document and still apply the others
+      const writeErrors = err.writeErrors ? [].concat(err.writeErrors) : [];
+      if (writeErrors.length === 0 || isTransientError(err)) throw err;
+      let rejected = writeErrors;
+      if (strategy === "fail") {
+        const conflict = writeErrors.find(
+          (e) => e.code === DUPLICATE_KEY && !(resending && isIdDuplicate(e))
+        );
+        if (conflict) {
+          throw new ConflictError(
+            `Document ${BSON.EJSON.stringify(docs[conflict.index]._id)} conflicts with an existing document in target collection "${targetCol.collectionName}": ${conflict.errmsg}`,
+            { cause: err }
+          );
         }
+        // The rest are _ids this batch inserted before it was interrupted
+        rejected = writeErrors.filter((e) => e.code !== DUPLICATE_KEY);
       }
+      for (const writeError of rejected) onFailed(docs[writeError.index], writeError);
+      const written = docs.length - rejected.length;
+      const upserted = err.result?.upsertedCount ?? 0;
+      return { ...countWritten(strategy, written, upserted), failed: rejected.length };
+    }
+  }, retry);
+}
 
-      // Copy indexes after data
-      if (copyIndexes) {
-        const indexes = await col.indexes();
-        await copyIndexesToTarget(destCol, indexes);
-      }
+// NamespaceNotFound, raised by servers before 7.0 for missing collections
+const NAMESPACE_NOT_FOUND = 26;
 
-      if (progressBar) progressBar.stop();
-      summary.push({ name, copied, total, status: incremental ? "incremental-copied" : "copied" });
-    }
-    return summary;
-  } finally {
-    if (progressBar) progressBar.stop();
-    await sourceClient.close();
-    await targetClient.close();
+async function dropIfExists(col) {
+  try {
+    await col.drop();
+  } catch (err) {
+    if (err.code !== NAMESPACE_NOT_FOUND) throw err;
   }
 }
 
+async function existingIndexes(col) {
+  try {
+    return await col.indexes();
+  } catch (err) {
+    if (err.code === NAMESPACE_NOT_FOUND) return [];
+    throw err;
+  }
+}
+
+function addCounts(total, counts) {
+  for (const [key, n] of Object.entries(counts)) total[key] += n;
+}
+
 /**
  * Helper function to copy indexes from source to target collection
  * @param {Collection} targetCol - Target MongoDB collection
@@ -0,0 +1,57 @@
+import fs from "fs";
+import path from "path";
+import { BSON } from "mongodb";
+
+const { EJSON } = BSON;
+
+/**
+ * Default location of the dead-letter file, relative to the working directory.
+ */
+export const DEFAULT_DEAD_LETTER_PATH = "mongodbcopy-dead-letter.ndjson";
+
+/**
+ * Creates a dead-letter sink for documents the target rejected.
+ *
+ * Each failure is appended as one JSON line holding the collection, the error and the full
+ * document in canonical Extended JSON, so it can be fixed and re-imported later. The file is
+ * only created once the first failure is recorded, and replaced on each run.
+ *
+ * @param {string} filePath - Dead-letter file path
+ * @returns {{add: Function, count: () => number, path: string}} Dead-letter sink
+ */
+export function createDeadLetter(filePath) {
+  const resolved = path.resolve(filePath);
+  let count = 0;
+
+  return {
+    path: resolved,
+
+    /**
+     * Records a rejected document.
+     * @param {{collection: string, target: string, document: Object, code?: number, error: string}} entry
+     */
+    add(entry) {
+      const { document, ...details } = entry;
+      const record = {
+        ...details,
+        failedAt: new Date().toISOString(),
+        document: EJSON.serialize(document, { relaxed: false }),
+      };
+      const line = `${JSON.stringify(record)}\n`;
+      if (count === 0) {
+        fs.mkdirSync(path.dirname(resolved), { recursive: true });
+        fs.writeFileSync(resolved, line, "utf8");
+      } else {
+        fs.appendFileSync(resolved, line, "utf8");
+      }
+      count++;
+    },
+
+    /**
+     * @returns {number} Number of documents recorded in this run
+     */
+    count() {
+      return count;
+    },
+  };
+}
@@ -0,0 +1,180 @@
+import fs from "fs";
+import path from "path";
+import { URL } from "url";
+import logger from "../utils/logger.js";
+import { COMPRESSION_EXTENSIONS } from "../utils/jsonStream.js";
+import { BACKUP_FORMATS, FORMAT_EXTENSIONS, formatOfFile } from "../utils/backupFormats.js";
+import { SNAPSHOT_FILE } from "./snapshots.js";
+
+/**
+ * File name of the backup manifest inside the output directory.
+ */
+export const MANIFEST_FILE = "manifest.json";
+
+const { version: TOOL_VERSION } = JSON.parse(
+  fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8")
+);
+
+const BACKUP_FILE_PATTERN = /^(.+)\.(?:json|ndjson|csv)(?:\.gz|\.zst)?$/;
+
+/**
+ * Returns the backup file name of a collection.
+ * @param {string} name - Collection name
+ * @param {string|null} compress - "gzip", "zstd" or null
+ * @param {string} [format="json"] - "json", "ndjson" or "csv"
+ * @returns {string} e.g. `users.json`, `users.json.gz` or `users.csv`
+ */
+export function backupFileName(name, compress, format = "json") {
+  return `${name}${FORMAT_EXTENSIONS[format]}${compress ? COMPRESSION_EXTENSIONS[compress] : ""}`;
+}
+
+// Every file name a collection's backup may have, in lookup order
+function candidateFileNames(name, formats) {
+  return formats.flatMap((format) =>
+    [null, ...Object.keys(COMPRESSION_EXTENSIONS)].map((c) => backupFileName(name, c, format))
+  );
+}
+
+/**
+ * Locates the backup file of a collection, compressed or not.
+ * The manifest entry wins; otherwise `.json`, `.ndjson` and `.csv` files are tried in turn,
+ * each uncompressed, then `.gz` and `.zst`.
+ * @param {string} outputDir - Backup directory
+ * @param {string} name - Collection name
+ * @param {Object|null} [manifest] - Manifest from {@link readManifest}
+ * @param {string|null} [format] - Only consider files of this format
+ * @returns {string|null} Path of the backup file, or null if there is none
+ */
+export function findBackupFile(outputDir, name, manifest = null, format = null) {
+  const listed = manifest?.collections?.[name]?.file;
+  const candidates = [
+    ...(listed && (!format || formatOfFile(listed) === format) ? [listed] : []),
+    ...candidateFileNames(name, format ? [format] : BACKUP_FORMATS),
+  ];
+  const found = candidates.find((file) => fs.existsSync(path.join(outputDir, file)));
+  return found ? path.join(outputDir, found) : null;
+}
+
+/**
+ * Describes the backup of a collection for reading: its data file, its index file and,
+ * for CSV files, the columns and column types recorded in the manifest, overridden by
+ * `csvTypes`.
+ * @param {string} outputDir - Backup directory
+ * @param {string} name - Collection name
+ * @param {Object|null} [manifest] - Manifest from {@link readManifest}
+ * @param {Object} [options]
+ * @param {string|null} [options.format] - Only consider files of this format
+ * @param {Object<string, string>} [options.csvTypes={}] - CSV column types
+ * @returns {{filePath: string|null, indexFilePath: string, csv?: {columns: string[]|null,
+ *          types: Object<string, string>}}}
+ */
+export function describeBackup(
+  outputDir,
+  name,
+  manifest = null,
+  { format = null, csvTypes = {} } = {}
+) {
+  const filePath = findBackupFile(outputDir, name, manifest, format);
+  const entry = manifest?.collections?.[name];
+  // Columns and types only describe the file the manifest lists
+  const listed = entry?.file && filePath === path.join(outputDir, entry.file) ? entry : {};
+  return {
+    filePath,
+    indexFilePath: path.join(outputDir, `${name}_indexes.json`),
+    ...(filePath &&
+      formatOfFile(filePath) === "csv" && {
+        csv: { columns: listed.columns || null, types: { ...listed.types, ...csvTypes } },
+      }),
+  };
+}
+
+/**
+ * Lists the collections a backup directory holds: those in its manifest, plus any
+ * `<name>.json|.ndjson|.csv[.gz|.zst]` files written without one (other than index files and
+ * the files describing the backup).
+ * @param {string} outputDir - Backup directory
+ * @param {Object|null} [manifest] - Manifest from {@link readManifest}
+ * @returns {string[]} Collection names, sorted
+ */
+export function listBackupCollections(outputDir, manifest = null) {
+  const names = new Set(Object.keys(manifest?.collections || {}));
+  const files = fs.existsSync(outputDir) ? fs.readdirSync(outputDir) : [];
+  for (const file of files) {
+    const match = BACKUP_FILE_PATTERN.exec(file);
+    const described = file === MANIFEST_FILE || file === SNAPSHOT_FILE;
+    if (match && !match[1].endsWith("_indexes") && !described) names.add(match[1]);
+  }
+  return [...names].sort();
+}
+
+/**
+ * Removes other formats of a collection's backup so imports cannot pick up a stale file.
+ * @param {string} outputDir - Backup directory
+ * @param {string} name - Collection name
+ * @param {string} keep - File name that was just written
+ */
+export function removeStaleBackupFiles(outputDir, name, keep) {
+  for (const file of candidateFileNames(name, BACKUP_FORMATS)) {
+    if (file !== keep) fs.rmSync(path.join(outputDir, file), { force: true });
+  }
+}
+
+/**
+ * Reads `manifest.json` from a backup directory.
+ * @param {string} outputDir - Backup directory
+ * @returns {Object|null} Manifest, or null if missing or unreadable
+ */
+export function readManifest(outputDir) {
+  const filePath = path.join(outputDir, MANIFEST_FILE);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    logger.warn(`Ignoring unreadable manifest ${filePath}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Writes `manifest.json` describing an export.
+ *
+ * Entries of collections exported earlier into the same directory are kept as long as they
+ * come from the same database and use the same EJSON mode, so exporting collections one at
+ * a time still produces a complete manifest.
+ *
+ * @param {string} outputDir - Backup directory
+ * @param {Object} details
+ * @param {string} details.dbName - Source database name
+ * @param {string|null} details.ejson - EJSON mode of the backup files
+ * @param {string|null} details.compress - Compression of the backup files
+ * @param {string} [details.format="json"] - Format of the backup files
+ * @param {Object<string, {file: string, count: number, sha256: string, indexFile?: string,
+ *        columns?: string[], types?: Object<string, string>}>} details.collections - Exported
+ *        collections; CSV entries list their columns and column types
+ * @returns {Object} The manifest written
+ */
+export function writeManifest(
+  outputDir,
+  { dbName, ejson, compress, format = "json", collections }
+) {
+  const previous = readManifest(outputDir);
+  const kept =
+    previous && previous.dbName === dbName && (previous.ejson || null) === (ejson || null)
+      ? previous.collections
+      : {};
+  const manifest = {
+    tool: "mongodbcopy",
+    version: TOOL_VERSION,
+    dbName,
+    createdAt: new Date().toISOString(),
+    ejson: ejson || null,
+    compression: compress || null,
+    format,
+    collections: { ...kept, ...collections },
+  };
+  const filePath = path.join(outputDir, MANIFEST_FILE);
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2), "utf8");
+  fs.renameSync(tmpPath, filePath);
+  return manifest;
+}
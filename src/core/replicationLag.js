@@ -0,0 +1,63 @@
+import { setTimeout as sleep } from "timers/promises";
+
+// Replica set member state of secondaries in replSetGetStatus
+const SECONDARY = 2;
+
+/**
+ * Measures how far the slowest healthy secondary trails the primary.
+ * @param {MongoClient} client - Client of the replica set
+ * @returns {Promise<number>} Lag in seconds; 0 without secondaries
+ * @throws {Error} If `replSetGetStatus` fails, e.g. on a standalone server or without the
+ *         `clusterMonitor` privilege
+ */
+export async function measureReplicationLag(client) {
+  const { members = [] } = await client.db("admin").command({ replSetGetStatus: 1 });
+  const primary = members.find((m) => m.stateStr === "PRIMARY");
+  const secondaries = members.filter((m) => m.state === SECONDARY && m.health === 1);
+  if (!primary || secondaries.length === 0) return 0;
+  const slowest = Math.min(...secondaries.map((m) => new Date(m.optimeDate).getTime()));
+  return Math.max(0, (new Date(primary.optimeDate).getTime() - slowest) / 1000);
+}
+
+/**
+ * Creates a guard that holds writes back while the target's replication lag is above a
+ * threshold. The lag is measured at most once per `intervalMs`; when it cannot be measured
+ * the guard reports it once and lets writes through from then on.
+ *
+ * @param {MongoClient} client - Target client
+ * @param {Object} options
+ * @param {number|null} options.maxLagSeconds - Lag above which writes pause; null disables the guard
+ * @param {number} [options.intervalMs=5000] - Time between measurements, and pause length
+ * @param {(lagSeconds: number) => void} [options.onPause] - Called before each pause
+ * @param {(err: Error) => void} [options.onUnavailable] - Called once when the lag cannot be read
+ * @returns {{wait: () => Promise<void>}} `wait()` resolves once writing may go on
+ */
+export function createLagGuard(
+  client,
+  { maxLagSeconds, intervalMs = 5000, onPause = null, onUnavailable = null }
+) {
+  let enabled = maxLagSeconds != null;
+  let checkedAt = 0;
+
+  return {
+    async wait() {
+      while (enabled && Date.now() - checkedAt >= intervalMs) {
+        let lag;
+        try {
+          lag = await measureReplicationLag(client);
+        } catch (err) {
+          enabled = false;
+          if (onUnavailable) onUnavailable(err);
+          return;
+        }
+        checkedAt = Date.now();
+        if (lag <= maxLagSeconds) return;
+        if (onPause) onPause(lag);
+        await sleep(intervalMs);
+        checkedAt = 0;
+      }
+    },
+  };
+}
+
+export default createLagGuard;
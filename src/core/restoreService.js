@@ -0,0 +1,77 @@
+import logger from "../utils/logger.js";
+import { ConfigError } from "../utils/errors.js";
+import { copyCollections } from "./copyService.js";
+import { copyDatabases } from "./clusterService.js";
+import { resolveChain } from "./snapshots.js";
+
+/**
+ * Restores the state of a point in time from a backup root: imports the full snapshot the
+ * chain starts from, then each incremental snapshot up to `at` in order, upserting their
+ * documents and deleting the `_id`s they recorded as deleted.
+ *
+ * @param {Object} options - Import options of {@link copyCollections}, plus:
+ * @param {string} [options.outputDir='./backup'] - Backup root holding the snapshots
+ * @param {Date} [options.at=new Date()] - Point in time to restore; the newest complete
+ *        snapshot taken by then is restored
+ * @param {string} [options.onConflict] - Strategy of the full snapshot's import (default
+ *        "overwrite-collection"); incremental snapshots always use "replace"
+ * @param {boolean} [options.atomic=false] - Swap in the full snapshot's collections atomically
+ * @param {string} [options.dbName] - Source database of the snapshots (defaults to the one they
+ *        record); the target defaults to the same name
+ * @returns {Promise<{at: Date, snapshots: string[], results: Array<Object>}>} Snapshots
+ *          replayed, oldest first, and the collection results with their `snapshot` (and
+ *          `dbName` for several databases)
+ * @throws {ConfigError} If `at` is invalid or no snapshot was taken by then
+ * @throws {BackupFileError} If a snapshot of the chain is missing
+ *
+ * @example
+ * // Restore the shop database as it was on the morning of March 3rd
+ * await restoreSnapshots({ outputDir: './backup', at: new Date('2026-03-03T08:00:00Z') });
+ */
+export async function restoreSnapshots({
+  outputDir = "./backup",
+  at = new Date(),
+  onConflict = null,
+  atomic = false,
+  databases = [],
+  ...importOptions
+} = {}) {
+  if (!(at instanceof Date) || Number.isNaN(at.getTime())) {
+    throw new ConfigError(`Invalid restore time "${at}"`);
+  }
+  const chain = resolveChain(outputDir, at);
+  const results = [];
+  for (const [i, snapshot] of chain.entries()) {
+    logger.info(`Restoring ${snapshot.type} snapshot ${snapshot.name}`);
+    const scope = snapshot.scope || {};
+    // The full snapshot replaces the target's collections; the deltas go on top of it
+    const options = {
+      ...importOptions,
+      importJson: true,
+      exportJson: false,
+      incremental: false,
+      outputDir: snapshot.path,
+      onConflict: i === 0 ? onConflict : "replace",
+      atomic: i === 0 && atomic,
+    };
+    if (scope.allDatabases || scope.databases?.length > 0) {
+      const groups = await copyDatabases({
+        ...options,
+        databases,
+        allDatabases: databases.length === 0,
+      });
+      for (const { dbName, collections } of groups) {
+        results.push(...collections.map((r) => ({ snapshot: snapshot.name, dbName, ...r })));
+      }
+    } else {
+      const collections = await copyCollections({
+        ...options,
+        dbName: importOptions.dbName || scope.dbName,
+      });
+      results.push(...collections.map((r) => ({ snapshot: snapshot.name, ...r })));
+    }
+  }
+  return { at, snapshots: chain.map((s) => s.name), results };
+}
+
+export default restoreSnapshots;
@@ -0,0 +1,93 @@
+import fs from "fs";
+import path from "path";
+import { BSON } from "mongodb";
+
+/**
+ * Process exit codes of the CLI:
+ * - success (0): every collection was processed
+ * - failure (1): the run aborted, or every collection failed
+ * - partial (2): some collections failed and others were processed
+ */
+export const EXIT_CODES = { success: 0, failure: 1, partial: 2 };
+
+/**
+ * Tells whether a copy result counts as failed: documents failed schema validation, the
+ * copy did not verify, or the target rejected documents.
+ * @param {Object} result - Collection result of copyCollections
+ * @returns {boolean}
+ */
+export function isFailedResult(result) {
+  return (
+    result.status === "schema-validation-failed" ||
+    result.verification?.status === "mismatch" ||
+    result.failed > 0
+  );
+}
+
+/**
+ * Classifies a run by its collection results.
+ * @param {Array<Object>} results - Collection results
+ * @param {(result: Object) => boolean} [isFailed=isFailedResult] - Failure test
+ * @returns {string} A key of {@link EXIT_CODES}
+ */
+export function runOutcome(results, isFailed = isFailedResult) {
+  const failed = results.filter(isFailed).length;
+  if (failed === 0) return "success";
+  return failed === results.length ? "failure" : "partial";
+}
+
+/**
+ * Builds the machine-readable summary of a run: its outcome and exit code, totals, and each
+ * collection's result with its throughput.
+ *
+ * @param {Object} run
+ * @param {string} run.command - Command that ran, e.g. "copy" or "export"
+ * @param {Date} run.startedAt - Start of the run
+ * @param {Date} [run.finishedAt=new Date()] - End of the run
+ * @param {Array<Object>} run.results - Collection results (with `dbName` for several databases)
+ * @param {Error} [run.error] - Error that aborted the run
+ * @param {(result: Object) => boolean} [run.isFailed=isFailedResult] - Failure test of results
+ * @returns {Object} Report; `collections` add `docsPerSec` where documents were written
+ */
+export function buildRunReport({
+  command,
+  startedAt,
+  finishedAt = new Date(),
+  results,
+  error = null,
+  isFailed = isFailedResult,
+}) {
+  const outcome = error ? "failure" : runOutcome(results, isFailed);
+  const sum = (key) => results.reduce((n, r) => n + (r[key] || 0), 0);
+  return {
+    command,
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    outcome,
+    exitCode: EXIT_CODES[outcome],
+    ...(error && { error: { name: error.name, code: error.code, message: error.message } }),
+    totals: {
+      collections: results.length,
+      failedCollections: results.filter(isFailed).length,
+      copied: sum("copied"),
+      total: sum("total"),
+      failedDocuments: sum("failed"),
+    },
+    collections: results.map((r) => ({
+      ...r,
+      ...(r.copied > 0 &&
+        r.durationMs > 0 && { docsPerSec: Math.round((r.copied * 1000) / r.durationMs) }),
+    })),
+  };
+}
+
+/**
+ * Writes a run report as relaxed Extended JSON.
+ * @param {string} filePath - Report file (overwritten)
+ * @param {Object} report - Report from {@link buildRunReport}
+ */
+export function writeRunReport(filePath, report) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, BSON.EJSON.stringify(report, null, 2, { relaxed: true }), "utf8");
+}
@@ -0,0 +1,305 @@
+import env, { resolveTargetDbName } from "../utils/config/env.js";
+import logger from "../utils/logger.js";
+import { readBackupFile } from "../utils/backupFormats.js";
+import { roundTripCsv } from "../utils/csvStream.js";
+import { parseDocument, stringifyDocument } from "../utils/jsonStream.js";
+import { bsonTypeOf, validateJsonSchema } from "../utils/jsonSchema.js";
+import { selectNames } from "../utils/patterns.js";
+import { describeBackup, readManifest } from "./manifest.js";
+import { isInternalCollection } from "./collectionMetadata.js";
+import { openClients } from "./clients.js";
+
+/**
+ * Reads the documents a schema check looks at: a random `$sample` of a database side, or
+ * the first documents of a backup file, with the side's selection and transform applied.
+ * A `sampleSize` of 0 reads every document.
+ */
+async function* readSample(name, side, { sampleSize, ejson }) {
+  const transform = async (raw) => (side.transform ? side.transform(raw, name) : raw);
+  if (side.filePath) {
+    let read = 0;
+    for await (const raw of readBackupFile(side.filePath, { ejson, types: side.csv?.types })) {
+      if (sampleSize > 0 && read++ >= sampleSize) return;
+      const doc = await transform(raw);
+      if (doc != null) yield doc;
+    }
+    return;
+  }
+  // Numeric wrappers are kept so int, long and double can be told apart
+  const options = { promoteValues: side.promoteValues ?? false };
+  const cursor =
+    sampleSize > 0
+      ? side.col.aggregate(
+          [
+            { $match: side.query || {} },
+            { $sample: { size: sampleSize } },
+            ...(side.projection ? [{ $project: side.projection }] : []),
+          ],
+          options
+        )
+      : side.col.find(side.query || {}, {
+          ...(side.projection && { projection: side.projection }),
+          ...options,
+        });
+  for await (const raw of cursor) {
+    const doc = await transform(raw);
+    if (doc != null) yield doc;
+  }
+}
+
+/**
+ * Passes database documents through a backup's format, giving the types they are restored
+ * with, so they compare with the backup's documents rather than with their BSON originals.
+ */
+async function* roundTripBackup(docs, backup, ejson) {
+  const normalize = backup.csv
+    ? (doc) => roundTripCsv(doc, backup.csv)
+    : (doc) => parseDocument(stringifyDocument(doc, ejson), ejson);
+  for await (const doc of docs) yield normalize(doc);
+}
+
+/**
+ * Checks documents against a collection validator locally, without writing anything.
+ *
+ * Only the validator's `$jsonSchema` is evaluated; other query conditions in it are listed
+ * in `unchecked`. Failing fields are counted by dotted path, with the rules they broke.
+ *
+ * @param {string} name - Collection name, passed to transform hooks
+ * @param {Object} side - Documents to check: `{col, query, projection, transform}` for a
+ *        database collection or `{filePath, csv, transform}` for a backup file
+ * @param {{origin: string, validator: Object, validationAction?: string}|null} rules - The
+ *        validator and where it comes from ("target" or "source"); null if there is none
+ * @param {Object} [options]
+ * @param {number} [options.sampleSize=100] - Documents to check; 0 checks all of them
+ * @param {string|null} [options.ejson=null] - EJSON mode of a backup file
+ * @param {number} [options.maxReportedIds=20] - Cap on failing documents listed in `failures`
+ * @returns {Promise<Object>} Report: `validator` (origin or null), `validationAction`,
+ *          `checked`, `failed`, `fields` (`{path: {count, rules}}`), `failures`
+ *          (`[{_id, errors}]`) and `unchecked`
+ */
+export async function checkSchema(
+  name,
+  side,
+  rules,
+  { sampleSize = 100, ejson = null, maxReportedIds = 20 } = {}
+) {
+  const { $jsonSchema: schema, ...conditions } = rules?.validator || {};
+  const report = {
+    validator: schema ? rules.origin : null,
+    validationAction: rules?.validationAction || "error",
+    checked: 0,
+    failed: 0,
+    fields: {},
+    failures: [],
+    unchecked: Object.keys(conditions),
+  };
+  if (!schema) return report;
+
+  for await (const doc of readSample(name, side, { sampleSize, ejson })) {
+    report.checked++;
+    const errors = validateJsonSchema(schema, doc);
+    if (errors.length === 0) continue;
+    report.failed++;
+    if (report.failures.length < maxReportedIds) report.failures.push({ _id: doc._id, errors });
+    for (const { path, rule } of errors) {
+      const field = (report.fields[path] ||= { count: 0, rules: [] });
+      field.count++;
+      if (!field.rules.includes(rule)) field.rules.push(rule);
+    }
+  }
+  return report;
+}
+
+// Records the types a document holds at each path; array elements are listed under `path[]`
+function collectTypes(value, path, seen) {
+  const type = bsonTypeOf(value);
+  if (path) {
+    if (!seen.has(path)) seen.set(path, new Set());
+    seen.get(path).add(type);
+  }
+  if (type === "object") {
+    for (const [key, child] of Object.entries(value)) {
+      collectTypes(child, path ? `${path}.${key}` : key, seen);
+    }
+  } else if (type === "array") {
+    for (const item of value) collectTypes(item, `${path}[]`, seen);
+  }
+}
+
+/**
+ * Infers field paths, BSON types and frequencies from documents.
+ *
+ * @param {AsyncIterable<Object>|Iterable<Object>} documents - Documents to inspect
+ * @returns {Promise<{sampled: number, fields: Object<string, {count: number, types: Object<string, number>}>}>}
+ *          `count` is the number of documents holding the path; `types` counts the documents
+ *          per BSON type found there
+ *
+ * @example
+ * await inferSchema([{ a: 1 }, { a: 'x', b: [true] }]);
+ * // { sampled: 2, fields: { a: { count: 2, types: { int: 1, string: 1 } },
+ * //   b: { count: 1, types: { array: 1 } }, 'b[]': { count: 1, types: { bool: 1 } } } }
+ */
+export async function inferSchema(documents) {
+  const schema = { sampled: 0, fields: {} };
+  for await (const doc of documents) {
+    schema.sampled++;
+    const seen = new Map();
+    collectTypes(doc, "", seen);
+    for (const [path, types] of seen) {
+      const field = (schema.fields[path] ||= { count: 0, types: {} });
+      field.count++;
+      for (const type of types) field.types[type] = (field.types[type] || 0) + 1;
+    }
+  }
+  return schema;
+}
+
+const typeNames = (field) => Object.keys(field.types).sort().join(",");
+
+/**
+ * Lists the fields whose presence or types differ between two inferred schemas.
+ *
+ * @param {Object} source - Schema from {@link inferSchema}
+ * @param {Object} target - Schema from {@link inferSchema}
+ * @returns {Array<{path: string, status: string, source: Object|null, target: Object|null}>}
+ *          Sorted by path; `status` is "missing-in-target", "missing-in-source" or
+ *          "type-mismatch", and each side holds `{frequency, types}` or null
+ */
+export function diffSchemas(source, target) {
+  const describe = (schema, field) =>
+    field ? { frequency: field.count / schema.sampled, types: field.types } : null;
+  const paths = new Set([...Object.keys(source.fields), ...Object.keys(target.fields)]);
+  const drift = [];
+  for (const path of [...paths].sort()) {
+    const s = source.fields[path];
+    const t = target.fields[path];
+    let status = null;
+    if (!t) status = "missing-in-target";
+    else if (!s) status = "missing-in-source";
+    else if (typeNames(s) !== typeNames(t)) status = "type-mismatch";
+    if (status) {
+      drift.push({ path, status, source: describe(source, s), target: describe(target, t) });
+    }
+  }
+  return drift;
+}
+
+/**
+ * Samples each collection of the source and of the target database (or a JSON backup),
+ * infers their schemas and reports the drift between them.
+ *
+ * @param {Object} options - Connection, selection and naming options as for copyCollections
+ *        (`sourceUri`, `targetUri`, `sourceClient`, `targetClient`, `dbName`, `targetDbName`,
+ *        `rename`, `collections`, `include`, `exclude`, `filter`, `projection`, `transform`,
+ *        `collectionOptions`, `ejson`), plus:
+ * @param {boolean} [options.againstJson=false] - Compare with the JSON backup in `outputDir`
+ *        instead of the target database; the source sample is passed through the backup's
+ *        format first, so types a plain JSON backup cannot keep are not reported as drift
+ * @param {string} [options.outputDir='./backup'] - Directory of the JSON backup
+ * @param {number} [options.sampleSize=1000] - Documents sampled per collection and side; 0 reads
+ *        all of them (backups are read from the start rather than sampled)
+ * @returns {Promise<Array<Object>>} One result per collection: `status` ("match", "drift",
+ *          "no-json-file" or "not-found"), the inferred `schemas.source` and `schemas.target`
+ *          and the `drift` from {@link diffSchemas}
+ * @throws {ConfigError} If a connection string or the database name is missing
+ * @throws {ConnectionError} If a server cannot be reached
+ *
+ * @example
+ * const report = await compareSchemas({ collections: ['users'], sampleSize: 500 });
+ * // [{ name: 'users', status: 'drift', drift: [{ path: 'address.zip', status: 'missing-in-target', ... }] }]
+ */
+export async function compareSchemas({
+  sourceUri = env.SOURCE_DB_URI,
+  targetUri = env.TARGET_DB_URI,
+  sourceClient = null,
+  targetClient = null,
+  dbName = env.DB_NAME,
+  targetDbName = resolveTargetDbName(dbName),
+  rename = env.COLLECTION_RENAME || {},
+  collections = [],
+  include = [],
+  exclude = [],
+  filter = {},
+  projection = null,
+  transform = null,
+  collectionOptions = {},
+  againstJson = false,
+  outputDir = "./backup",
+  ejson = false,
+  sampleSize = 1000,
+} = {}) {
+  if (ejson === true) ejson = "canonical";
+  const manifest = againstJson ? readManifest(outputDir) : null;
+  if (!ejson && manifest?.ejson) ejson = manifest.ejson;
+  const clients = await openClients({
+    sourceUri,
+    targetUri,
+    sourceClient,
+    targetClient,
+    dbName,
+    withTarget: !againstJson,
+  });
+  const sourceDb = clients.source.db(dbName);
+  const targetDb = clients.target ? clients.target.db(targetDbName) : null;
+
+  try {
+    const found = await sourceDb.listCollections().toArray();
+    // Backups hold only the definition of a view, so there are no documents to sample
+    const comparable = found.filter(
+      (c) => !isInternalCollection(c.name) && !(againstJson && c.type === "view")
+    );
+    const { selected, notFound } = selectNames(
+      comparable.map((c) => c.name),
+      { names: collections || [], include, exclude }
+    );
+
+    const results = [];
+    for (const name of selected) {
+      const selection = { filter, projection, transform, ...collectionOptions[name] };
+      const source = {
+        col: sourceDb.collection(name),
+        query: selection.filter,
+        projection: selection.projection,
+        transform: selection.transform,
+      };
+      let target;
+      if (againstJson) {
+        target = describeBackup(outputDir, name, manifest);
+        if (!target.filePath) {
+          results.push({ name, status: "no-json-file" });
+          continue;
+        }
+      } else {
+        target = { col: targetDb.collection(rename[name] || name) };
+      }
+
+      // Plain JSON exports read promoted values, so the sample is read the same way
+      const sample = againstJson
+        ? roundTripBackup(
+            readSample(name, { ...source, promoteValues: !ejson }, { sampleSize, ejson }),
+            target,
+            ejson
+          )
+        : readSample(name, source, { sampleSize, ejson });
+      const sourceSchema = await inferSchema(sample);
+      const targetSchema = await inferSchema(readSample(name, target, { sampleSize, ejson }));
+      const drift = diffSchemas(sourceSchema, targetSchema);
+      results.push({
+        name,
+        ...(rename[name] && !againstJson && { target: rename[name] }),
+        status: drift.length > 0 ? "drift" : "match",
+        schemas: { source: sourceSchema, target: targetSchema },
+        drift,
+      });
+    }
+    for (const name of notFound) {
+      logger.warn(`Collection "${name}" not found, skipping it`);
+      results.push({ name, status: "not-found" });
+    }
+    return results;
+  } finally {
+    await clients.close();
+  }
+}
+
+export default compareSchemas;
@@ -0,0 +1,426 @@
+import fs from "fs";
+import path from "path";
+import { BSON } from "mongodb";
+import logger from "../utils/logger.js";
+import { BackupFileError, ConfigError, MongodbCopyError } from "../utils/errors.js";
+import { createBackupWriter, readBackupFile } from "../utils/backupFormats.js";
+
+/**
+ * File describing a snapshot inside its directory.
+ */
+export const SNAPSHOT_FILE = "snapshot.json";
+
+/**
+ * Names a snapshot directory after its start time, e.g. `2026-03-01T02-30-00-000Z`.
+ * @param {Date} date - Start of the backup
+ * @returns {string}
+ */
+export function snapshotName(date) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+/**
+ * Writes a JSON file through a temporary file, so readers never see half of it.
+ * @param {string} filePath - Destination file; its directory is created if needed
+ * @param {Object} value - Value to write
+ */
+export function writeJsonFile(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2), "utf8");
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Reads a JSON file.
+ * @param {string} filePath - File to read
+ * @returns {Object|null} Its content, or null if missing or unreadable
+ */
+export function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    logger.warn(`Ignoring unreadable ${filePath}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reads the {@link SNAPSHOT_FILE} of a snapshot directory.
+ * @param {string} dir - Snapshot directory
+ * @returns {{name: string, path: string, type: string, createdAt: Date, since?: Date,
+ *          base?: string, previous?: string, complete: boolean}|null} Null if `dir` is no
+ *          snapshot
+ */
+export function readSnapshot(dir) {
+  const info = readJsonFile(path.join(dir, SNAPSHOT_FILE));
+  return (
+    info && {
+      ...info,
+      path: dir,
+      createdAt: new Date(info.createdAt),
+      ...(info.since && { since: new Date(info.since) }),
+    }
+  );
+}
+
+/**
+ * Lists the snapshots of a backup root, newest first.
+ * @param {string} outputDir - Backup root
+ * @returns {Array<Object>} Snapshots as read by {@link readSnapshot}
+ */
+export function listSnapshots(outputDir) {
+  if (!fs.existsSync(outputDir)) return [];
+  return fs
+    .readdirSync(outputDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => readSnapshot(path.join(outputDir, entry.name)))
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Finds the snapshots to replay to restore the state at a point in time: the newest complete
+ * snapshot taken at or before `at` and, if it is incremental, the snapshots it builds on
+ * back to its full snapshot.
+ *
+ * @param {string} outputDir - Backup root
+ * @param {Date} [at=new Date()] - Point in time to restore
+ * @returns {Array<Object>} Snapshots oldest first, starting with a full one
+ * @throws {ConfigError} If no complete snapshot was taken by `at`
+ * @throws {BackupFileError} If a snapshot of the chain is missing
+ */
+export function resolveChain(outputDir, at = new Date()) {
+  const snapshots = listSnapshots(outputDir).filter((s) => s.complete);
+  const byName = new Map(snapshots.map((s) => [s.name, s]));
+  let snapshot = snapshots.find((s) => s.createdAt <= at);
+  if (!snapshot) {
+    throw new ConfigError(`No complete snapshot in ${outputDir} was taken by ${at.toISOString()}`);
+  }
+  const chain = [snapshot];
+  while (snapshot.type === "incremental") {
+    const previous = byName.get(snapshot.previous);
+    if (!previous) {
+      throw new BackupFileError(
+        `Snapshot ${snapshot.previous || "(unknown)"}, which ${snapshot.name} builds on, is missing or incomplete`
+      );
+    }
+    chain.unshift(previous);
+    snapshot = previous;
+  }
+  return chain;
+}
+
+/**
+ * Describes what a snapshot holds: its database, or its database selection, and the
+ * collection selection when one narrows it. Incremental snapshots only build on snapshots of
+ * the same scope, since deletes and restores are only sound against the same collections.
+ *
+ * @param {Object} options - Export options of {@link copyCollections} or {@link copyDatabases}
+ * @returns {Object} Scope to record in {@link SNAPSHOT_FILE}
+ */
+export function snapshotScope({
+  dbName,
+  databases = [],
+  allDatabases = false,
+  excludeDatabases = [],
+  collections = [],
+  include = [],
+  exclude = [],
+}) {
+  const multiDb = allDatabases || databases.length > 0;
+  return {
+    ...(multiDb ? { databases, allDatabases } : { dbName }),
+    ...(multiDb && excludeDatabases.length > 0 && { excludeDatabases }),
+    ...(collections.length > 0 && { collections }),
+    ...(include.length > 0 && { include }),
+    ...(exclude.length > 0 && { exclude }),
+  };
+}
+
+/**
+ * Tells whether two snapshot scopes (from {@link snapshotScope}) are the same.
+ * @param {Object} a - Scope
+ * @param {Object} b - Scope
+ * @returns {boolean}
+ */
+export function sameScope(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Starts a delta snapshot on top of the newest complete snapshot of the same scope in a
+ * backup root. The delta's directory is `<outputDir>/<delta.name>`; its description is
+ * written to {@link SNAPSHOT_FILE} once the export is done.
+ *
+ * @param {string} outputDir - Backup root
+ * @param {Object} scope - Scope of the export, from {@link snapshotScope}
+ * @param {Object} options
+ * @param {Date} [options.since] - Start of the changes to export (defaults to the time of the
+ *        snapshot built on)
+ * @param {string} options.timestampField - Field the changes are selected by
+ * @returns {{delta: Object, previous: Object}} Description of the delta, and the snapshot it
+ *          builds on
+ * @throws {ConfigError} If the backup root has no complete snapshot of the same scope
+ */
+export function planDelta(outputDir, scope, { since, timestampField }) {
+  const previous = listSnapshots(outputDir).find((s) => s.complete && sameScope(s.scope, scope));
+  if (!previous) {
+    throw new ConfigError(
+      `No complete snapshot of the same databases and collections in ${outputDir} for an incremental export to build on; take a full one with the backup command first`
+    );
+  }
+  const createdAt = new Date();
+  const delta = {
+    name: snapshotName(createdAt),
+    type: "incremental",
+    createdAt,
+    base: previous.base || previous.name,
+    previous: previous.name,
+    since: since || previous.createdAt,
+    timestampField,
+    scope,
+  };
+  return { delta, previous };
+}
+
+// Directories of the `_id` lists in a snapshot. No collection or database name contains `$`,
+// so the lists never collide with a data file or a database's directory
+const IDS_DIR = "$ids";
+const DELETED_DIR = "$deleted";
+
+/**
+ * Path, relative to the snapshot directory, of the file listing the `_id`s a collection held
+ * when it was exported.
+ * @param {string} name - Collection name
+ * @returns {string} e.g. `$ids/users.json`
+ */
+export function idsFileName(name) {
+  return `${IDS_DIR}/${name}.json`;
+}
+
+/**
+ * Path, relative to the snapshot directory, of the file listing the `_id`s deleted from a
+ * collection since the previous snapshot.
+ * @param {string} name - Collection name
+ * @returns {string} e.g. `$deleted/users.json`
+ */
+export function deletedFileName(name) {
+  return `${DELETED_DIR}/${name}.json`;
+}
+
+// Ranks of the BSON types in MongoDB's comparison order; every number type shares one
+const TYPE_RANKS = {
+  MinKey: 0,
+  Int32: 2,
+  Double: 2,
+  Long: 2,
+  Decimal128: 2,
+  BSONSymbol: 3,
+  Binary: 6,
+  ObjectId: 7,
+  Timestamp: 10,
+  BSONRegExp: 11,
+  MaxKey: 100,
+};
+
+function typeRank(value) {
+  if (value == null) return 1;
+  if (value._bsontype) return TYPE_RANKS[value._bsontype] ?? 50;
+  if (typeof value === "number" || typeof value === "bigint") return 2;
+  if (typeof value === "string") return 3;
+  if (Array.isArray(value)) return 5;
+  if (typeof value === "boolean") return 8;
+  if (value instanceof Date) return 9;
+  if (value instanceof RegExp) return 11;
+  return 4;
+}
+
+// Exact value of a number as `c * 10 ** e`, or a Number for NaN and the infinities
+function exactNumber(value) {
+  if (typeof value === "bigint") return { c: value, e: 0 };
+  if (value._bsontype === "Long") return { c: BigInt(value.toString()), e: 0 };
+  if (value._bsontype === "Decimal128") {
+    const match = /^(-?)(\d+)(?:\.(\d+))?(?:E([+-]\d+))?$/.exec(value.toString());
+    if (!match) return Number(value.toString());
+    const [, sign, whole, fraction = "", exponent = "0"] = match;
+    return { c: BigInt(`${sign}${whole}${fraction}`), e: Number(exponent) - fraction.length };
+  }
+  const number = Number(value.valueOf());
+  if (!Number.isFinite(number)) return number;
+  // A double is a binary fraction: doubling it until it is whole is exact
+  let whole = number;
+  let halvings = 0;
+  for (; !Number.isInteger(whole); halvings++) whole *= 2;
+  return { c: BigInt(whole) * 5n ** BigInt(halvings), e: -halvings };
+}
+
+const isWide = (value) =>
+  typeof value === "bigint" || value._bsontype === "Long" || value._bsontype === "Decimal128";
+
+// Numbers compare by value whatever their type; Long and Decimal128 values exactly, also
+// beyond 2^53. NaN sorts before every other number, as in MongoDB
+const compareNumbers = (a, b) => {
+  if (a._bsontype === "Long" && b._bsontype === "Long") return a.compare(b);
+  const [x, y] =
+    isWide(a) || isWide(b)
+      ? [exactNumber(a), exactNumber(b)]
+      : [Number(a.valueOf()), Number(b.valueOf())];
+  if (typeof x === "object" && typeof y === "object") {
+    const e = Math.min(x.e, y.e);
+    const [p, q] = [x.c * 10n ** BigInt(x.e - e), y.c * 10n ** BigInt(y.e - e)];
+    return p < q ? -1 : p > q ? 1 : 0;
+  }
+  // Against NaN or an infinity, any exact (finite) value may stand in as 0
+  const [p, q] = [x, y].map((n) => (typeof n === "number" ? n : 0));
+  if (Number.isNaN(p) || Number.isNaN(q)) return Number.isNaN(q) - Number.isNaN(p);
+  return p < q ? -1 : p > q ? 1 : 0;
+};
+
+const compareBytes = (a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b));
+const compareStrings = (a, b) => compareBytes(Buffer.from(a, "utf8"), Buffer.from(b, "utf8"));
+
+/**
+ * Compares two `_id`s in the order MongoDB sorts them without a collation: by BSON type,
+ * then by value, with strings compared byte by byte and numbers by value whatever their type.
+ * @param {*} a - `_id`
+ * @param {*} b - `_id`
+ * @returns {number} Negative, zero or positive
+ */
+export function compareIds(a, b) {
+  const rank = typeRank(a) - typeRank(b);
+  if (rank !== 0) return Math.sign(rank);
+  switch (typeRank(a)) {
+    case 1:
+      return 0;
+    case 2:
+      return compareNumbers(a, b);
+    case 3:
+      return compareStrings(a.toString(), b.toString());
+    case 6:
+      return (
+        a.length() - b.length() ||
+        a.sub_type - b.sub_type ||
+        compareBytes(a.read(0, a.length()), b.read(0, b.length()))
+      );
+    case 7:
+      return compareBytes(a.id, b.id);
+    case 8:
+    case 9:
+      return Math.sign(a - b);
+    case 10:
+      return a.t - b.t || a.i - b.i;
+    case 11:
+      return compareStrings(a.source ?? a.pattern, b.source ?? b.pattern);
+    case 4:
+    case 5: {
+      // Embedded documents compare field by field: type, then name, then value
+      const [x, y] = [Object.entries(a), Object.entries(b)];
+      for (let i = 0; i < Math.min(x.length, y.length); i++) {
+        const order =
+          Math.sign(typeRank(x[i][1]) - typeRank(y[i][1])) ||
+          compareStrings(x[i][0], y[i][0]) ||
+          compareIds(x[i][1], y[i][1]);
+        if (order !== 0) return order;
+      }
+      return Math.sign(x.length - y.length);
+    }
+    default:
+      return compareStrings(
+        BSON.EJSON.stringify(a, { relaxed: false }),
+        BSON.EJSON.stringify(b, { relaxed: false })
+      );
+  }
+}
+
+/**
+ * Reads an `_id` list file, as written by {@link writeIdLists}.
+ * @param {string} filePath - List file, e.g. a snapshot's {@link idsFileName}
+ * @returns {AsyncIterable<*>|null} The `_id`s in their order, or null without the file
+ */
+export function readIdList(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return (async function* () {
+    for await (const { _id } of readBackupFile(filePath, { ejson: "canonical" })) yield _id;
+  })();
+}
+
+// Yields the union of `_id` streams sorted by compareIds, in order and once each
+async function* mergeIds(sources) {
+  const heads = [];
+  const advance = async (head) => {
+    const { done, value } = await head.iterator.next();
+    if (!done && head.started && compareIds(value, head.id) < 0) {
+      throw new MongodbCopyError(
+        "_ids are not in binary order; collections with a collation on string _ids cannot list their _ids"
+      );
+    }
+    Object.assign(head, { done, id: value, started: true });
+  };
+  for (const source of sources) {
+    const head = { iterator: source[Symbol.asyncIterator]() };
+    await advance(head);
+    if (!head.done) heads.push(head);
+  }
+  while (heads.length > 0) {
+    const id = heads.reduce(
+      (min, head) => (compareIds(head.id, min) < 0 ? head.id : min),
+      heads[0].id
+    );
+    yield id;
+    for (const head of heads) {
+      while (!head.done && compareIds(head.id, id) === 0) await advance(head);
+    }
+    heads.splice(0, heads.length, ...heads.filter((head) => !head.done));
+  }
+}
+
+/**
+ * Writes the `_id`s a collection holds now and, given the list of the previous snapshot,
+ * the `_id`s gone since then. Every list is sorted by {@link compareIds}, so the deletes are
+ * found by merging the two lists as they stream, whatever the size of the collection.
+ *
+ * @param {string} dir - Snapshot directory being written
+ * @param {string} name - Collection name
+ * @param {Array<AsyncIterable<*>>} sources - `_id`s of the current documents, each sorted by
+ *        {@link compareIds}; an `_id` may come from several of them
+ * @param {AsyncIterable<*>|null} previous - The previous snapshot's list, from
+ *        {@link readIdList}
+ * @returns {Promise<{idsFile: string, deletedFile?: string, deleted?: number}>} Manifest fields
+ */
+export async function writeIdLists(dir, name, sources, previous) {
+  const idsFile = idsFileName(name);
+  const deletedFile = deletedFileName(name);
+  const open = (file) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    return createBackupWriter(path.join(dir, file), { ejson: "canonical" });
+  };
+  const ids = open(idsFile);
+  const deletes = previous && open(deletedFile);
+  const before = previous && mergeIds([previous]);
+  let deleted = 0;
+  const writeDeleted = async (_id) => {
+    await deletes.write({ _id });
+    deleted++;
+  };
+  try {
+    let gone = before && (await before.next());
+    for await (const _id of mergeIds(sources)) {
+      await ids.write({ _id });
+      // Previous _ids sorting before this one are gone; this one is still there
+      for (; gone && !gone.done && compareIds(gone.value, _id) <= 0; gone = await before.next()) {
+        if (compareIds(gone.value, _id) < 0) await writeDeleted(gone.value);
+      }
+    }
+    for (; gone && !gone.done; gone = await before.next()) await writeDeleted(gone.value);
+  } catch (err) {
+    ids.destroy();
+    deletes?.destroy();
+    throw err;
+  }
+  await ids.close();
+  if (!deletes) return { idsFile };
+  await deletes.close();
+  return { idsFile, deletedFile, deleted };
+}
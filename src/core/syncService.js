@@ -0,0 +1,222 @@
+import { BSON } from "mongodb";
+import fs from "fs";
+import path from "path";
+import env, { resolveTargetDbName } from "../utils/config/env.js";
+import logger from "../utils/logger.js";
+import { copyCollections } from "./copyService.js";
+import { openClients } from "./clients.js";
+import { createNameMatcher } from "../utils/patterns.js";
+
+const { EJSON } = BSON;
+
+/**
+ * Default location of the saved change stream resume token, relative to the working directory.
+ */
+export const DEFAULT_SYNC_TOKEN_PATH = ".mongodbcopy-sync-token.json";
+
+// Resume tokens are persisted at most this often; replaying a few events after a crash is harmless
+const TOKEN_SAVE_INTERVAL_MS = 1000;
+
+const SYNCED_OPERATIONS = ["insert", "update", "replace", "delete"];
+
+function loadSyncState(filePath, dbName) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (saved.dbName !== dbName) {
+      logger.warn(`Sync token ${filePath} belongs to db "${saved.dbName}", ignoring it`);
+      return null;
+    }
+    return EJSON.deserialize(saved, { relaxed: false });
+  } catch (err) {
+    logger.warn(`Ignoring unreadable sync token ${filePath}: ${err.message}`);
+    return null;
+  }
+}
+
+function saveSyncState(filePath, state) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const serialized = EJSON.serialize({ ...state, updatedAt: new Date() }, { relaxed: false });
+  fs.writeFileSync(tmpPath, JSON.stringify(serialized, null, 2), "utf8");
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Applies a single change event to the target database.
+ * Every write is idempotent, so replaying events after a restart is safe.
+ * @param {Db} sourceDb - Source database, re-read for collections with a filter or projection
+ * @param {Db} targetDb - Target database
+ * @param {Object} change - Change stream event
+ * @param {string} targetName - Target collection for the event's source collection
+ * @param {{filter?: Object, projection?: Object, transform?: Function}} selection -
+ *        The event's collection selection, as used by the initial copy
+ * @returns {Promise<boolean>} True if the event changed the target
+ */
+async function applyChange(sourceDb, targetDb, change, targetName, selection) {
+  const { filter, projection, transform } = selection;
+  const col = targetDb.collection(targetName);
+  const key = { _id: change.documentKey._id };
+  if (change.operationType === "delete") {
+    await col.deleteOne(key);
+    return true;
+  }
+  // An update whose document was deleted before the lookup; its delete event follows
+  if (!change.fullDocument) return false;
+
+  let source = change.fullDocument;
+  if (projection || (filter && Object.keys(filter).length > 0)) {
+    // Read the document back through the copy's filter and projection, so changes to
+    // documents outside the filter and projected-out fields never reach the target
+    const query = filter && Object.keys(filter).length > 0 ? { $and: [key, filter] } : key;
+    source = await sourceDb
+      .collection(change.ns.coll)
+      .findOne(query, projection ? { projection } : {});
+    // The document no longer matches the filter: remove the copy it may have left
+    if (!source) return (await col.deleteOne(key)).deletedCount > 0;
+  }
+
+  const doc = transform ? await transform(source, change.ns.coll) : source;
+  // Documents the transform drops are removed so the target mirrors the copy
+  if (doc == null) await col.deleteOne(key);
+  else await col.replaceOne(key, doc, { upsert: true });
+  return true;
+}
+
+/**
+ * Keeps target collections in sync with the source using change streams.
+ *
+ * Runs an initial {@link copyCollections} pass, then tails the source database's change
+ * stream and applies inserts, updates, replaces and deletes to the target until `signal`
+ * is aborted. The resume token is saved to `tokenPath`; when a token is found on start the
+ * initial copy is skipped and tailing continues from where the previous run stopped.
+ * Deletes are carried over, unlike incremental copies. Changed documents get the same
+ * `filter`, `projection` and `transform` as the initial copy; a document updated out of the
+ * filter is deleted from the target.
+ * The source must be a replica set or sharded cluster.
+ *
+ * @param {Object} options - Same options as {@link copyCollections}, plus:
+ * @param {string} [options.tokenPath='.mongodbcopy-sync-token.json'] - Resume token file
+ * @param {AbortSignal} [options.signal] - Stops tailing when aborted
+ * @param {Function} [options.onChange] - Called with each applied change event
+ * @returns {Promise<{initial: Array|null, applied: Object<string, Object<string, number>>}>}
+ *          Initial copy summary (null when resumed) and applied event counts per collection
+ * @throws {ConnectionError} If a server cannot be reached
+ * @throws {Error} If the change stream cannot be opened
+ *
+ * @example
+ * const controller = new AbortController();
+ * process.once("SIGINT", () => controller.abort());
+ * const { applied } = await syncCollections({ collections: ['users'], signal: controller.signal });
+ */
+export async function syncCollections({
+  sourceUri = env.SOURCE_DB_URI,
+  targetUri = env.TARGET_DB_URI,
+  sourceClient = null,
+  targetClient = null,
+  dbName = env.DB_NAME,
+  targetDbName = resolveTargetDbName(dbName),
+  rename = env.COLLECTION_RENAME || {},
+  collections = [],
+  include = [],
+  exclude = [],
+  tokenPath = DEFAULT_SYNC_TOKEN_PATH,
+  signal = null,
+  onChange = null,
+  filter = {},
+  projection = null,
+  transform = null,
+  collectionOptions = {},
+  ...copyOptions
+} = {}) {
+  const resolvedTokenPath = path.resolve(tokenPath);
+  const clients = await openClients({ sourceUri, targetUri, sourceClient, targetClient, dbName });
+  const sourceDb = clients.source.db(dbName);
+  const targetDb = clients.target.db(targetDbName);
+
+  try {
+    const saved = loadSyncState(resolvedTokenPath, dbName);
+    let resumeToken = saved?.resumeToken || null;
+    let initial = null;
+    const watchOptions = { fullDocument: "updateLookup" };
+
+    if (resumeToken) {
+      logger.info(`Resuming change stream from ${resolvedTokenPath}`);
+      watchOptions.resumeAfter = resumeToken;
+    } else {
+      // Record the start point before copying so writes made during the copy are replayed,
+      // and keep it across restarts of an unfinished initial copy
+      let operationTime = saved?.startAtOperationTime;
+      if (!operationTime) {
+        ({ operationTime } = await sourceDb.command({ ping: 1 }));
+        if (operationTime) {
+          saveSyncState(resolvedTokenPath, { dbName, startAtOperationTime: operationTime });
+        }
+      }
+      initial = await copyCollections({
+        sourceClient: clients.source,
+        targetClient: clients.target,
+        dbName,
+        targetDbName,
+        rename,
+        collections,
+        include,
+        exclude,
+        filter,
+        projection,
+        transform,
+        collectionOptions,
+        ...copyOptions,
+      });
+      if (operationTime) watchOptions.startAtOperationTime = operationTime;
+    }
+
+    const applied = {};
+    if (signal?.aborted) return { initial, applied };
+
+    const match = { operationType: { $in: SYNCED_OPERATIONS } };
+    const patterns = include.length > 0 || exclude.length > 0;
+    if (!patterns && collections?.length > 0) match["ns.coll"] = { $in: collections };
+    // Patterns are matched here so collections created while tailing are picked up too
+    const selected = createNameMatcher({ names: collections || [], include, exclude });
+    const stream = sourceDb.watch([{ $match: match }], watchOptions);
+    const stop = () => stream.close();
+    if (signal) signal.addEventListener("abort", stop, { once: true });
+    logger.info("Watching source for changes");
+
+    let lastSaved = Date.now();
+    try {
+      for await (const change of stream) {
+        const name = change.ns.coll;
+        const selection = { filter, projection, transform, ...collectionOptions[name] };
+        const targetName = rename[name] || name;
+        if (
+          selected(name) &&
+          (await applyChange(sourceDb, targetDb, change, targetName, selection))
+        ) {
+          const counts = (applied[name] ||= {});
+          counts[change.operationType] = (counts[change.operationType] || 0) + 1;
+          if (onChange) onChange(change);
+        }
+        resumeToken = stream.resumeToken || change._id;
+        if (Date.now() - lastSaved >= TOKEN_SAVE_INTERVAL_MS) {
+          saveSyncState(resolvedTokenPath, { dbName, resumeToken });
+          lastSaved = Date.now();
+        }
+      }
+    } catch (err) {
+      // Closing the stream on abort interrupts the pending read
+      if (!signal?.aborted) throw err;
+    } finally {
+      if (signal) signal.removeEventListener("abort", stop);
+      resumeToken = stream.resumeToken || resumeToken;
+      if (resumeToken) saveSyncState(resolvedTokenPath, { dbName, resumeToken });
+      await stream.close();
+    }
+    return { initial, applied };
+  } finally {
+    await clients.close();
+  }
+}
+
+export default syncCollections;
@@ -0,0 +1,543 @@
+import { BSON } from "mongodb";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import env, { resolveTargetDbName } from "../utils/config/env.js";
+import logger from "../utils/logger.js";
+import {
+  createNdjsonWriter,
+  parseDocument,
+  parseIndexFile,
+  readNdjson,
+  stringifyDocument,
+} from "../utils/jsonStream.js";
+import { readBackupFile } from "../utils/backupFormats.js";
+import { roundTripCsv } from "../utils/csvStream.js";
+import { describeBackup, readManifest } from "./manifest.js";
+import { selectNames } from "../utils/patterns.js";
+import { isInternalCollection } from "./collectionMetadata.js";
+import { openClients } from "./clients.js";
+import { compareIds } from "./snapshots.js";
+
+const { EJSON } = BSON;
+
+const DIGEST_BYTES = 32;
+// Index properties that describe the server's storage rather than the index itself
+const IGNORED_INDEX_FIELDS = ["v", "ns", "background"];
+// Entries sorted in memory at a time when comparing with a backup file; larger sides spill
+const SORT_RUN_SIZE = 100000;
+
+function digest(data) {
+  return crypto.createHash("sha256").update(data).digest();
+}
+
+// Order-independent collection checksum: XOR of the per-document digests
+function createChecksum() {
+  const sum = Buffer.alloc(DIGEST_BYTES);
+  return {
+    add(hash) {
+      for (let i = 0; i < DIGEST_BYTES; i++) sum[i] ^= hash[i];
+    },
+    hex: () => sum.toString("hex"),
+  };
+}
+
+function idKey(id) {
+  return EJSON.stringify({ id }, { relaxed: false });
+}
+
+function createReport(maxReportedIds) {
+  const report = {
+    missing: 0,
+    extra: 0,
+    different: 0,
+    missingIds: [],
+    extraIds: [],
+    differentIds: [],
+  };
+  const record = (kind, id) => {
+    report[kind]++;
+    if (report[`${kind}Ids`].length < maxReportedIds) report[`${kind}Ids`].push(id);
+  };
+  return { report, record };
+}
+
+/**
+ * Iterates documents of a database side with its selection and transform applied.
+ * Numeric wrappers are kept by default (`promoteValues: false`) so type changes count as
+ * differences.
+ */
+async function* readDbSide(side, { sorted = false, extraQuery = null } = {}) {
+  const query = extraQuery ? { $and: [side.query || {}, extraQuery] } : side.query || {};
+  const cursor = side.col.find(query, {
+    ...(side.projection && { projection: side.projection }),
+    promoteValues: side.promoteValues ?? false,
+  });
+  if (sorted) cursor.sort({ _id: 1 });
+  for await (const raw of cursor) {
+    const doc = side.transform ? await side.transform(raw, side.name) : raw;
+    if (doc != null) yield doc;
+  }
+}
+
+/**
+ * Compares two database collections in chunks of `_id`s, so memory stays bounded.
+ * Pass one walks the source and looks its chunk up in the target (missing, different);
+ * pass two walks target `_id`s and looks them up in the source (extra).
+ */
+async function compareDbToDb(source, target, { batchSize, maxReportedIds, findExtra = true }) {
+  const { report, record } = createReport(maxReportedIds);
+  const sourceSum = createChecksum();
+  const targetSum = createChecksum();
+  let sourceCount = 0;
+  let targetCount = 0;
+  const hashDoc = (doc) => digest(BSON.serialize(doc));
+
+  const checkChunk = async (chunk) => {
+    const found = new Map();
+    const ids = chunk.map((doc) => doc._id);
+    for await (const doc of readDbSide({ ...target, query: { _id: { $in: ids } } })) {
+      found.set(idKey(doc._id), hashDoc(doc));
+    }
+    for (const doc of chunk) {
+      const hash = hashDoc(doc);
+      sourceSum.add(hash);
+      const targetHash = found.get(idKey(doc._id));
+      if (!targetHash) {
+        record("missing", doc._id);
+      } else {
+        targetSum.add(targetHash);
+        if (!hash.equals(targetHash)) record("different", doc._id);
+      }
+    }
+  };
+
+  let chunk = [];
+  for await (const doc of readDbSide(source, { sorted: true })) {
+    sourceCount++;
+    chunk.push(doc);
+    if (chunk.length >= batchSize) {
+      await checkChunk(chunk);
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) await checkChunk(chunk);
+
+  const checkExtra = async (ids) => {
+    const present = new Set();
+    const sourceIds = { ...source, projection: { _id: 1 }, transform: null };
+    for await (const doc of readDbSide(sourceIds, { extraQuery: { _id: { $in: ids } } })) {
+      present.add(idKey(doc._id));
+    }
+    const extraIds = ids.filter((id) => !present.has(idKey(id)));
+    if (extraIds.length === 0) return;
+    for await (const doc of readDbSide({ ...target, query: { _id: { $in: extraIds } } })) {
+      targetSum.add(hashDoc(doc));
+      record("extra", doc._id);
+    }
+  };
+
+  let ids = [];
+  const targetIds = findExtra
+    ? target.col.find({}, { projection: { _id: 1 } }).sort({ _id: 1 })
+    : [];
+  for await (const { _id } of targetIds) {
+    targetCount++;
+    ids.push(_id);
+    if (ids.length >= batchSize) {
+      await checkExtra(ids);
+      ids = [];
+    }
+  }
+  if (ids.length > 0) await checkExtra(ids);
+
+  return {
+    ...report,
+    sourceCount,
+    targetCount,
+    sourceChecksum: sourceSum.hex(),
+    targetChecksum: targetSum.hex(),
+  };
+}
+
+/**
+ * Sorts entries by their `_id` with {@link compareIds}. Entries are sorted in runs of
+ * `runSize`; when there is more than one run they are spilled to temporary NDJSON files and
+ * merged back, so memory stays bounded whatever the number of entries.
+ * @param {AsyncIterable<{_id: *}>} entries - Entries to sort
+ * @param {number} [runSize] - Entries held in memory at a time
+ * @yields {{_id: *}} The entries in `_id` order
+ */
+async function* sortById(entries, runSize = SORT_RUN_SIZE) {
+  const byId = (a, b) => compareIds(a._id, b._id);
+  const runs = [];
+  let run = [];
+  let dir = null;
+  try {
+    for await (const entry of entries) {
+      run.push(entry);
+      if (run.length < runSize) continue;
+      dir ||= fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-verify-"));
+      const filePath = path.join(dir, `${runs.length}.ndjson`);
+      const writer = createNdjsonWriter(filePath, { ejson: "canonical" });
+      for (const sorted of run.sort(byId)) await writer.write(sorted);
+      await writer.close();
+      runs.push(filePath);
+      run = [];
+    }
+    const spilled = runs.map((filePath) => readNdjson(filePath, { ejson: "canonical" }));
+    yield* mergeSorted([...spilled, run.sort(byId)], byId);
+  } finally {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Merges sorted iterables into one sorted stream, pairwise
+async function* mergeSorted(sources, order) {
+  if (sources.length === 1) {
+    yield* sources[0];
+    return;
+  }
+  const middle = sources.length >> 1;
+  const a = mergeSorted(sources.slice(0, middle), order);
+  const b = mergeSorted(sources.slice(middle), order);
+  try {
+    let [x, y] = [await a.next(), await b.next()];
+    while (!x.done || !y.done) {
+      if (y.done || (!x.done && order(x.value, y.value) <= 0)) {
+        yield x.value;
+        x = await a.next();
+      } else {
+        yield y.value;
+        y = await b.next();
+      }
+    }
+  } finally {
+    await a.return();
+    await b.return();
+  }
+}
+
+/**
+ * Compares a database collection with a backup file as a merge of both sides sorted by
+ * `_id`, with only `_id`s and digests spilled to disk, so memory stays bounded.
+ * Database documents are first run through the backup's serialization so both sides are
+ * compared in the same (possibly lossy) representation; for CSV files that is the columns
+ * and column types the file was written with. Since that representation and transforms can
+ * change `_id`s and their order, both sides are sorted by their converted `_id`s.
+ */
+async function compareDbToJson(dbSide, jsonSide, { ejson, dbIsSource, maxReportedIds }) {
+  const { report, record } = createReport(maxReportedIds);
+  const dbSum = createChecksum();
+  const fileSum = createChecksum();
+  let dbCount = 0;
+  let fileCount = 0;
+
+  // Round-trip through the backup format so both sides share one representation
+  const { csv } = jsonSide;
+  const normalize = csv
+    ? (doc) => roundTripCsv(doc, csv)
+    : (doc) => parseDocument(stringifyDocument(doc, ejson), ejson);
+  // CSV values are typed by their column, so plain and wrapped numbers must hash alike
+  const hashMode = csv ? "relaxed" : ejson;
+  // What is sorted and merged of a document: its converted _id, the _id to report and a digest
+  const toEntry = (doc, sum) => {
+    const normalized = normalize(doc);
+    const hash = digest(stringifyDocument(normalized, hashMode));
+    sum.add(hash);
+    // The reported _id gets the exact BSON types a spilled entry is read back with
+    const id = EJSON.deserialize(EJSON.serialize({ id: doc._id }, { relaxed: false }), {
+      relaxed: false,
+    }).id;
+    return { _id: normalized._id, id, hash: hash.toString("hex") };
+  };
+
+  const fileEntries = sortById(
+    (async function* () {
+      for await (const raw of readBackupFile(jsonSide.filePath, { ejson, types: csv?.types })) {
+        const doc = jsonSide.transform ? await jsonSide.transform(raw, jsonSide.name) : raw;
+        if (doc == null) continue;
+        fileCount++;
+        yield toEntry(doc, fileSum);
+      }
+    })()
+  );
+  // Read the database the way the export did, promoting numbers unless writing EJSON
+  const dbRead = ejson ? dbSide : { ...dbSide, promoteValues: true };
+  const dbEntries = sortById(
+    (async function* () {
+      for await (const doc of readDbSide(dbRead)) {
+        dbCount++;
+        yield toEntry(doc, dbSum);
+      }
+    })()
+  );
+
+  // Database-only documents are "missing" from a backup target, "extra" in an imported target
+  const [onlyInDb, onlyInFile] = dbIsSource ? ["missing", "extra"] : ["extra", "missing"];
+  try {
+    let [file, db] = [await fileEntries.next(), await dbEntries.next()];
+    while (!file.done || !db.done) {
+      const order = file.done ? 1 : db.done ? -1 : compareIds(file.value._id, db.value._id);
+      if (order < 0) record(onlyInFile, file.value.id);
+      else if (order > 0) record(onlyInDb, db.value.id);
+      else if (file.value.hash !== db.value.hash) record("different", db.value.id);
+      if (order <= 0) file = await fileEntries.next();
+      if (order >= 0) db = await dbEntries.next();
+    }
+  } finally {
+    await fileEntries.return();
+    await dbEntries.return();
+  }
+
+  return {
+    ...report,
+    sourceCount: dbIsSource ? dbCount : fileCount,
+    targetCount: dbIsSource ? fileCount : dbCount,
+    sourceChecksum: (dbIsSource ? dbSum : fileSum).hex(),
+    targetChecksum: (dbIsSource ? fileSum : dbSum).hex(),
+  };
+}
+
+function normalizeIndex(index) {
+  const normalized = {};
+  for (const key of Object.keys(index).sort()) {
+    if (!IGNORED_INDEX_FIELDS.includes(key)) normalized[key] = index[key];
+  }
+  return EJSON.stringify(normalized, { relaxed: true });
+}
+
+/**
+ * Compares index definitions by name.
+ * @returns {{missing: string[], extra: string[], different: string[]}|null} Null if either side
+ *          has no index information
+ */
+function compareIndexes(sourceIndexes, targetIndexes) {
+  if (!sourceIndexes || !targetIndexes) return null;
+  const target = new Map(targetIndexes.map((idx) => [idx.name, normalizeIndex(idx)]));
+  const result = { missing: [], extra: [], different: [] };
+  for (const idx of sourceIndexes) {
+    if (!target.has(idx.name)) result.missing.push(idx.name);
+    else if (target.get(idx.name) !== normalizeIndex(idx)) result.different.push(idx.name);
+    target.delete(idx.name);
+  }
+  result.extra = [...target.keys()];
+  return result;
+}
+
+async function readIndexes(side, ejson) {
+  if (side.col) return side.col.indexes();
+  if (!side.indexFilePath || !fs.existsSync(side.indexFilePath)) return null;
+  return parseIndexFile(fs.readFileSync(side.indexFilePath, "utf8"), ejson);
+}
+
+/**
+ * Verifies one collection against its copy.
+ *
+ * Each side is either a database collection `{ col, query?, projection?, transform? }` or a
+ * backup file `{ filePath, indexFilePath?, csv?, transform? }` (see `describeBackup`). Selection and transform on the source side
+ * mirror what the copy applied, so a filtered or transformed copy verifies cleanly.
+ *
+ * @param {string} name - Collection name (used in the report and passed to transforms)
+ * @param {Object} source - Source side
+ * @param {Object} target - Target side (at least one side must be a database collection)
+ * @param {Object} [options]
+ * @param {string|null} [options.ejson=null] - EJSON mode of JSON backups
+ * @param {boolean} [options.checkIndexes=true] - Compare index definitions as well
+ * @param {number} [options.batchSize=1000] - Number of `_id`s looked up per query
+ * @param {number} [options.maxReportedIds=100] - Cap on `_id`s listed per kind of difference
+ * @returns {Promise<Object>} Verification result with counts, checksums, differing `_id`s and
+ *          `status` "match" or "mismatch"
+ */
+export async function verifyCollection(
+  name,
+  source,
+  target,
+  { ejson = null, checkIndexes = true, batchSize = 1000, maxReportedIds = 100 } = {}
+) {
+  const named = (side) => ({ ...side, name });
+  const options = { ejson, batchSize, maxReportedIds };
+  let result;
+  if (source.col && target.col) {
+    result = await compareDbToDb(named(source), named(target), options);
+  } else if (source.col) {
+    result = await compareDbToJson(named(source), named(target), {
+      ...options,
+      dbIsSource: true,
+    });
+  } else {
+    result = await compareDbToJson(named(target), named(source), {
+      ...options,
+      dbIsSource: false,
+    });
+  }
+
+  const indexes = checkIndexes
+    ? compareIndexes(await readIndexes(source, ejson), await readIndexes(target, ejson))
+    : null;
+  const indexMismatch =
+    indexes && indexes.missing.length + indexes.extra.length + indexes.different.length > 0;
+  const mismatch =
+    result.sourceCount !== result.targetCount ||
+    result.missing + result.extra + result.different > 0 ||
+    indexMismatch;
+  return { name, status: mismatch ? "mismatch" : "match", ...result, indexes };
+}
+
+/**
+ * Verifies that target collections match their source, or that a JSON backup matches the
+ * source database.
+ *
+ * Compares document counts, index definitions and per-document SHA-256 hashes, and
+ * reports missing, extra and differing `_id`s per collection.
+ *
+ * @param {Object} options - Connection, selection and naming options as for copyCollections
+ *        (`sourceUri`, `targetUri`, `sourceClient`, `targetClient`, `dbName`, `targetDbName`,
+ *        `rename`, `collections`, `include`, `exclude`, `filter`, `projection`, `transform`,
+ *        `collectionOptions`, `batchSize`, `ejson`), plus:
+ * @param {boolean} [options.againstJson=false] - Compare the source with the JSON backup in
+ *        `outputDir` instead of the target database
+ * @param {string} [options.outputDir='./backup'] - Directory of the JSON backup (plain or
+ *        compressed; the EJSON mode defaults to the one recorded in its manifest)
+ * @param {boolean} [options.checkIndexes=true] - Compare index definitions as well
+ * @param {number} [options.maxReportedIds=100] - Cap on `_id`s listed per kind of difference
+ * @returns {Promise<Array<Object>>} One result per collection; `status` is "match", "mismatch",
+ *          "no-json-file" or "not-found"
+ * @throws {ConfigError} If a connection string or the database name is missing
+ * @throws {ConnectionError} If a server cannot be reached
+ *
+ * @example
+ * const results = await verifyCollections({ collections: ['users'] });
+ * const ok = results.every((r) => r.status === 'match');
+ */
+export async function verifyCollections({
+  sourceUri = env.SOURCE_DB_URI,
+  targetUri = env.TARGET_DB_URI,
+  sourceClient = null,
+  targetClient = null,
+  dbName = env.DB_NAME,
+  targetDbName = resolveTargetDbName(dbName),
+  rename = env.COLLECTION_RENAME || {},
+  collections = [],
+  include = [],
+  exclude = [],
+  filter = {},
+  projection = null,
+  transform = null,
+  collectionOptions = {},
+  againstJson = false,
+  outputDir = "./backup",
+  ejson = false,
+  batchSize = env.BATCH_SIZE || 1000,
+  checkIndexes = true,
+  maxReportedIds = 100,
+} = {}) {
+  if (ejson === true) ejson = "canonical";
+  const manifest = againstJson ? readManifest(outputDir) : null;
+  if (!ejson && manifest?.ejson) ejson = manifest.ejson;
+  const clients = await openClients({
+    sourceUri,
+    targetUri,
+    sourceClient,
+    targetClient,
+    dbName,
+    withTarget: !againstJson,
+  });
+  const sourceDb = clients.source.db(dbName);
+  const targetDb = clients.target ? clients.target.db(targetDbName) : null;
+
+  try {
+    const found = await sourceDb.listCollections().toArray();
+    // Backups hold only the definition of a view, so there are no documents to compare
+    const comparable = found.filter(
+      (c) => !isInternalCollection(c.name) && !(againstJson && c.type === "view")
+    );
+    const { selected, notFound } = selectNames(
+      comparable.map((c) => c.name),
+      { names: collections || [], include, exclude }
+    );
+
+    const results = [];
+    for (const name of selected) {
+      const selection = { filter, projection, transform, ...collectionOptions[name] };
+      const source = {
+        col: sourceDb.collection(name),
+        query: selection.filter,
+        projection: selection.projection,
+        transform: selection.transform,
+      };
+      let target;
+      if (againstJson) {
+        target = describeBackup(outputDir, name, manifest);
+        if (!target.filePath) {
+          results.push({ name, status: "no-json-file" });
+          continue;
+        }
+      } else {
+        target = { col: targetDb.collection(rename[name] || name) };
+      }
+
+      const result = await verifyCollection(name, source, target, {
+        ejson: againstJson ? ejson : null,
+        checkIndexes,
+        batchSize,
+        maxReportedIds,
+      });
+      if (result.status === "mismatch") logger.warn(`${name}: verification failed`);
+      results.push(rename[name] && !againstJson ? { ...result, target: rename[name] } : result);
+    }
+    for (const name of notFound) {
+      logger.warn(`Collection "${name}" not found, skipping it`);
+      results.push({ name, status: "not-found" });
+    }
+    return results;
+  } finally {
+    await clients.close();
+  }
+}
+
+/**
+ * Previews what copying `source` onto `target` would change, without writing anything.
+ *
+ * Source documents absent from the target would be inserted, differing ones updated, and
+ * target documents absent from the source deleted (only when the copy replaces the target,
+ * i.e. `deletes` is true; incremental copies upsert and keep them).
+ *
+ * @param {string} name - Collection name
+ * @param {Object} source - Source side, as for {@link verifyCollection}
+ * @param {Object} target - Target side, as for {@link verifyCollection}
+ * @param {Object} [options] - `ejson`, `batchSize` and `maxReportedIds` as for verifyCollection, plus:
+ * @param {boolean} [options.deletes=true] - Whether the copy removes target-only documents
+ * @returns {Promise<{insert: number, update: number, unchanged: number, delete: number,
+ *          insertIds: Array, updateIds: Array, deleteIds: Array, indexes: Object|null}>}
+ *          Document counts per outcome, sample `_id`s and index differences
+ */
+export async function diffCollection(
+  name,
+  source,
+  target,
+  { ejson = null, batchSize = 1000, maxReportedIds = 100, deletes = true } = {}
+) {
+  const options = { ejson, batchSize, maxReportedIds };
+  const result =
+    source.col && target.col
+      ? await compareDbToDb(
+          { ...source, name },
+          { ...target, name },
+          { ...options, findExtra: deletes }
+        )
+      : await verifyCollection(name, source, target, { ...options, checkIndexes: false });
+  return {
+    insert: result.missing,
+    update: result.different,
+    unchanged: result.sourceCount - result.missing - result.different,
+    delete: deletes ? result.extra : 0,
+    insertIds: result.missingIds,
+    updateIds: result.differentIds,
+    deleteIds: deletes ? result.extraIds : [],
+    indexes: compareIndexes(await readIndexes(source, ejson), await readIndexes(target, ejson)),
+  };
+}
+
+export default verifyCollections;
@@ -0,0 +1,75 @@
+import {
+  COMPRESSION_EXTENSIONS,
+  createJsonArrayWriter,
+  createNdjsonWriter,
+  readJsonArray,
+  readNdjson,
+} from "./jsonStream.js";
+import { createCsvWriter, readCsv } from "./csvStream.js";
+import { ConfigError } from "./errors.js";
+
+/**
+ * Backup file formats and their extensions, before any compression extension:
+ * - "json": one pretty-printed JSON array per collection
+ * - "ndjson": one document per line
+ * - "csv": a header row of dotted field paths and one row per document
+ */
+export const FORMAT_EXTENSIONS = { json: ".json", ndjson: ".ndjson", csv: ".csv" };
+
+export const BACKUP_FORMATS = Object.keys(FORMAT_EXTENSIONS);
+
+/**
+ * Throws unless `format` is one of {@link BACKUP_FORMATS}.
+ * @param {string} format - Backup format
+ */
+export function assertFormat(format) {
+  if (!BACKUP_FORMATS.includes(format)) {
+    throw new ConfigError(`Invalid format "${format}" (expected ${BACKUP_FORMATS.join(", ")})`);
+  }
+}
+
+/**
+ * Tells the format of a backup file from its extension, ignoring compression.
+ * @param {string} filePath - Backup file path
+ * @returns {string} One of {@link BACKUP_FORMATS}; files of unknown extension are read as JSON
+ */
+export function formatOfFile(filePath) {
+  const compression = Object.values(COMPRESSION_EXTENSIONS).find((ext) => filePath.endsWith(ext));
+  const base = compression ? filePath.slice(0, -compression.length) : filePath;
+  return BACKUP_FORMATS.find((format) => base.endsWith(FORMAT_EXTENSIONS[format])) || "json";
+}
+
+/**
+ * Creates a streaming writer for a backup file.
+ * @param {string} filePath - Destination file (overwritten if it exists)
+ * @param {Object} [options]
+ * @param {string} [options.format="json"] - One of {@link BACKUP_FORMATS}
+ * @param {string|null} [options.ejson=null] - Extended JSON mode of JSON and NDJSON files
+ * @param {string|null} [options.compress=null] - Compress the file ("gzip" or "zstd")
+ * @param {string[]|null} [options.fields=null] - CSV columns (dotted paths); inferred when not given
+ * @returns {Object} Writer: `write(doc)`, `close()`, `destroy()`, `checksum()`, and `layout()`
+ *          for CSV files
+ */
+export function createBackupWriter(
+  filePath,
+  { format = "json", ejson = null, compress = null, fields = null } = {}
+) {
+  if (format === "csv") return createCsvWriter(filePath, { fields, compress });
+  if (format === "ndjson") return createNdjsonWriter(filePath, { ejson, compress });
+  return createJsonArrayWriter(filePath, { ejson, compress });
+}
+
+/**
+ * Reads the documents of a backup file in any format, detected from its extension.
+ * @param {string} filePath - Backup file, optionally `.gz` or `.zst` compressed
+ * @param {Object} [options]
+ * @param {string|null} [options.ejson=null] - Extended JSON mode of JSON and NDJSON files
+ * @param {Object<string, string>} [options.types={}] - CSV column types
+ * @returns {AsyncIterable<Object>} Documents in file order
+ */
+export function readBackupFile(filePath, { ejson = null, types = {} } = {}) {
+  const format = formatOfFile(filePath);
+  if (format === "csv") return readCsv(filePath, { types });
+  if (format === "ndjson") return readNdjson(filePath, { ejson });
+  return readJsonArray(filePath, { ejson });
+}
@@ -0,0 +1,33 @@
+/**
+ * Runs an async worker over every item with at most `limit` calls in flight.
+ * Results keep the order of `items`. After the first failure no new items are
+ * started; in-flight calls are awaited and the first error is rethrown.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent worker calls
+ * @param {(item: *, index: number) => Promise<*>} worker - Async function applied to each item
+ * @returns {Promise<Array>} Worker results, in input order
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const run = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (err) {
+        failure = failure || { err };
+      }
+    }
+  };
+
+  const size = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: size }, run));
+  if (failure) throw failure.err;
+  return results;
+}
+
+export default mapWithConcurrency;
@@ -1,43 +1,52 @@
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
-import chalk from "chalk";
+import { ConfigError } from "../errors.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const repoRoot = path.resolve(__dirname, "..", "..", "..");
-dotenv.config({ path: path.resolve(repoRoot, ".env") });
+
+let envFileLoaded = false;
+
+/**
+ * Loads the repository's `.env` file into `process.env`, once. Variables already set win.
+ * Runs on the first read of an `env` setting rather than at import, so programs that pass
+ * every option explicitly never read it.
+ */
+function loadEnvFile() {
+  if (envFileLoaded) return;
+  envFileLoaded = true;
+  // Quiet, since anything dotenv prints would break JSON log output
+  dotenv.config({ path: path.resolve(repoRoot, ".env"), quiet: true });
+}
 
 const REQUIRED = ["SOURCE_DB_URI", "TARGET_DB_URI", "DB_NAME"];
 
-function validateEnv() {
+/**
+ * Checks that the required settings are given or set in the environment.
+ * Runs once the command line is parsed, since profiles and flags may supply the settings.
+ * @param {Object} [settings] - Values that replace the environment variables
+ * @param {string} [settings.sourceUri] - Replaces SOURCE_DB_URI
+ * @param {string} [settings.targetUri] - Replaces TARGET_DB_URI
+ * @param {string} [settings.dbName] - Replaces DB_NAME
+ * @throws {ConfigError} If a required setting is missing, with a hint on how to set it
+ */
+function validateEnv({ sourceUri, targetUri, dbName } = {}) {
+  loadEnvFile();
+  const given = { SOURCE_DB_URI: sourceUri, TARGET_DB_URI: targetUri, DB_NAME: dbName };
   const missing = REQUIRED.filter((k) => {
-    const v = process.env[k];
+    const v = given[k] || process.env[k];
     return !v || String(v).trim().length === 0;
   });
 
   if (missing.length > 0) {
-    console.error(
-      chalk.redBright(
-        `\n❌ Missing required environment variables: ${missing.join(
-          ", "
-        )}\n\nPlease copy ".env.example" to ".env" and fill these values.`
-      )
+    throw new ConfigError(
+      `Missing required environment variables: ${missing.join(", ")}. Please copy ".env.example" to ".env" and fill these values, or select a profile with --profile.`
     );
-    process.exit(1);
   }
 }
 
-// Only validate if not running help command
-const isHelpCommand =
-  process.argv.includes("--help") ||
-  process.argv.includes("-h") ||
-  process.argv.includes("--version") ||
-  process.argv.includes("-V");
-if (!isHelpCommand) {
-  validateEnv();
-}
-
 function parseIntegerEnv(key, fallback) {
   const raw = process.env[key];
   if (raw == null) return fallback;
@@ -52,22 +61,98 @@ function parseBooleanEnv(key, fallback) {
   return v === "1" || v === "true" || v === "yes";
 }
 
-const SOURCE_DB_URI = process.env.SOURCE_DB_URI ? String(process.env.SOURCE_DB_URI).trim() : "";
-const TARGET_DB_URI = process.env.TARGET_DB_URI ? String(process.env.TARGET_DB_URI).trim() : "";
-const DB_NAME = process.env.DB_NAME ? String(process.env.DB_NAME).trim() : "";
+/**
+ * Parses a "source:target" list such as "users:users_archive,posts:posts_bak".
+ * @param {string} raw - Comma-separated pairs
+ * @returns {Object<string, string>} Source collection name to target collection name
+ */
+function parseCollectionMap(raw) {
+  const map = {};
+  if (raw == null) return map;
+  for (const pair of String(raw).split(",")) {
+    const [from, to] = pair.split(":").map((s) => s.trim());
+    if (!from) continue;
+    if (!to)
+      throw new ConfigError(`Invalid collection mapping "${pair.trim()}" (expected source:target)`);
+    map[from] = to;
+  }
+  return map;
+}
+
+const readString = (key) => (process.env[key] ? String(process.env[key]).trim() : "");
 
+/**
+ * Settings read from the environment (and `.env`) when they are accessed, so a program can
+ * set `process.env` after importing the library, or never rely on it at all.
+ */
+const env = {
+  get SOURCE_DB_URI() {
+    loadEnvFile();
+    return readString("SOURCE_DB_URI");
+  },
+  get TARGET_DB_URI() {
+    loadEnvFile();
+    return readString("TARGET_DB_URI");
+  },
+  get DB_NAME() {
+    loadEnvFile();
+    return readString("DB_NAME");
+  },
+  get TARGET_DB_NAME() {
+    loadEnvFile();
+    return readString("TARGET_DB_NAME") || readString("DB_NAME");
+  },
+  get COLLECTION_RENAME() {
+    loadEnvFile();
+    return parseCollectionMap(process.env.COLLECTION_RENAME);
+  },
+  get BATCH_SIZE() {
+    loadEnvFile();
+    return parseIntegerEnv("BATCH_SIZE", 1000);
+  },
+  get COPY_INDEXES() {
+    loadEnvFile();
+    return parseBooleanEnv("COPY_INDEXES", true);
+  },
+  get DEBUG() {
+    loadEnvFile();
+    return parseBooleanEnv("DEBUG", false);
+  },
+};
+
+/**
+ * Resolves the default target database: `TARGET_DB_NAME` when it is set, else the source
+ * database given, so an explicit `dbName` is never overridden by `DB_NAME`.
+ * @param {string} dbName - Source database name
+ * @returns {string} Target database name
+ */
+function resolveTargetDbName(dbName) {
+  loadEnvFile();
+  return readString("TARGET_DB_NAME") || dbName;
+}
+
+// Values at import time, without `.env`; kept for existing importers, prefer `env`
+const SOURCE_DB_URI = readString("SOURCE_DB_URI");
+const TARGET_DB_URI = readString("TARGET_DB_URI");
+const DB_NAME = readString("DB_NAME");
+const TARGET_DB_NAME = readString("TARGET_DB_NAME") || DB_NAME;
+const COLLECTION_RENAME = parseCollectionMap(process.env.COLLECTION_RENAME);
 const BATCH_SIZE = parseIntegerEnv("BATCH_SIZE", 1000);
 const COPY_INDEXES = parseBooleanEnv("COPY_INDEXES", true);
 const DEBUG = parseBooleanEnv("DEBUG", false);
 
-const env = {
+export {
   SOURCE_DB_URI,
   TARGET_DB_URI,
   DB_NAME,
+  TARGET_DB_NAME,
+  COLLECTION_RENAME,
   BATCH_SIZE,
   COPY_INDEXES,
   DEBUG,
+  loadEnvFile,
+  parseCollectionMap,
+  resolveTargetDbName,
+  validateEnv,
 };
-
-export { SOURCE_DB_URI, TARGET_DB_URI, DB_NAME, BATCH_SIZE, COPY_INDEXES, DEBUG };
 export default env;
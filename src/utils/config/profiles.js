@@ -0,0 +1,109 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { BSON } from "mongodb";
+import { ConfigError } from "../errors.js";
+
+const { EJSON } = BSON;
+
+/**
+ * Configuration file names looked up in the working directory, in order.
+ */
+export const CONFIG_FILES = ["mongodbcopy.config.js", "mongodbcopy.config.json"];
+
+const PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Finds the configuration file in a directory.
+ * @param {string} [dir=process.cwd()] - Directory to look in
+ * @returns {string|null} Path of the first of {@link CONFIG_FILES} that exists, or null
+ */
+export function findConfigFile(dir = process.cwd()) {
+  const found = CONFIG_FILES.map((file) => path.join(dir, file)).find((p) => fs.existsSync(p));
+  return found || null;
+}
+
+/**
+ * Reads a configuration file: the default export of a `.js` module, or a `.json` file whose
+ * values may use Extended JSON (e.g. `{ "$date": "2025-01-01T00:00:00Z" }` in filters).
+ * @param {string} filePath - Configuration file
+ * @returns {Promise<{defaults?: Object, profiles?: Object<string, Object>}>}
+ * @throws {ConfigError} If the file cannot be read or parsed
+ */
+export async function loadConfigFile(filePath) {
+  if (filePath.endsWith(".json")) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      throw new ConfigError(`Cannot read ${filePath}: ${err.message}`);
+    }
+  }
+  const mod = await import(pathToFileURL(path.resolve(filePath)).href);
+  return mod.default || {};
+}
+
+/**
+ * Replaces `${VAR}` and `${VAR:-default}` placeholders in the strings of a value, recursing
+ * into plain objects and arrays; other values (dates, functions, ...) are kept as they are.
+ * @param {*} value - Value to interpolate
+ * @param {Object<string, string>} [vars=process.env] - Variables
+ * @returns {*} A copy with placeholders replaced
+ * @throws {ConfigError} If a variable without default is not set
+ */
+export function interpolateEnv(value, vars = process.env) {
+  if (typeof value === "string") {
+    return value.replace(PLACEHOLDER, (_, name, fallback) => {
+      if (vars[name] !== undefined && vars[name] !== "") return vars[name];
+      if (fallback !== undefined) return fallback;
+      throw new ConfigError(`Environment variable ${name} is not set`);
+    });
+  }
+  if (Array.isArray(value)) return value.map((item) => interpolateEnv(item, vars));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, vars)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Resolves a named profile: the config's `defaults` overridden by the profile, with
+ * environment variables interpolated. Only the selected profile's variables need to be set.
+ *
+ * @param {string} name - Profile name
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - Configuration file; found in `cwd` when not given
+ * @param {string} [options.cwd=process.cwd()] - Directory the configuration file is looked up in
+ * @param {Object<string, string>} [options.vars=process.env] - Variables for interpolation
+ * @returns {Promise<Object>} Settings named like the `copyCollections` options (`sourceUri`,
+ *          `targetUri`, `dbName`, `collections`, `filter`, ...)
+ * @throws {ConfigError} If there is no configuration file, the profile does not exist or a
+ *         variable it uses is not set
+ *
+ * @example
+ * // mongodbcopy.config.json
+ * // { "profiles": { "prod-to-staging": { "sourceUri": "${PROD_URI}", "dbName": "shop" } } }
+ * const settings = await loadProfile('prod-to-staging');
+ * await copyCollections(settings);
+ */
+export async function loadProfile(name, { configPath, cwd = process.cwd(), vars } = {}) {
+  const filePath = configPath ? path.resolve(cwd, configPath) : findConfigFile(cwd);
+  if (!filePath) {
+    throw new ConfigError(`No ${CONFIG_FILES.join(" or ")} found in ${cwd}`);
+  }
+  if (!fs.existsSync(filePath)) throw new ConfigError(`Configuration file ${filePath} not found`);
+  const config = await loadConfigFile(filePath);
+  const profiles = config.profiles || {};
+  if (!Object.hasOwn(profiles, name)) {
+    const available = Object.keys(profiles).join(", ") || "none";
+    throw new ConfigError(`Profile "${name}" not found in ${filePath} (available: ${available})`);
+  }
+  let settings;
+  try {
+    settings = interpolateEnv({ ...config.defaults, ...profiles[name] }, vars);
+  } catch (err) {
+    throw new ConfigError(`${err.message} (used by profile "${name}")`);
+  }
+  return filePath.endsWith(".json") ? EJSON.deserialize(settings) : settings;
+}
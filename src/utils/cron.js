@@ -0,0 +1,110 @@
+import { ConfigError } from "./errors.js";
+
+// Fields of a cron expression with their ranges; day of week 7 is Sunday like 0
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const SHORTCUTS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// Parses one field ("*", "5", "1-5", "*/15", "0,30") into the set of values it allows
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new ConfigError(`Invalid cron ${name} "${part}"`);
+    const [, , from, to, step] = match;
+    const start = from === undefined ? min : Number(from);
+    const end = to !== undefined ? Number(to) : from === undefined || step ? max : start;
+    const by = step ? Number(step) : 1;
+    if (start < min || end > max || start > end || by < 1) {
+      throw new ConfigError(`Invalid cron ${name} "${part}" (expected ${min}-${max})`);
+    }
+    for (let v = start; v <= end; v += by) values.add(v);
+  }
+  return values;
+}
+
+// Parses an expression into the values each field allows, and a test of both day fields
+function parseFields(expression) {
+  const text = SHORTCUTS[expression.trim()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new ConfigError(`Invalid cron expression "${expression}" (expected 5 fields)`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) =>
+    parseField(part, FIELDS[i])
+  );
+  if (weekdays.has(7)) weekdays.add(0);
+  const anyDay = parts[2] === "*";
+  const anyWeekday = parts[4] === "*";
+  const dayMatches = (date) => {
+    const dayOk = days.has(date.getDate());
+    const weekdayOk = weekdays.has(date.getDay());
+    return anyDay || anyWeekday ? dayOk && weekdayOk : dayOk || weekdayOk;
+  };
+  return { minutes, hours, months, dayMatches };
+}
+
+/**
+ * Parses a five-field cron expression (minute, hour, day of month, month, day of week) or
+ * one of `@hourly`, `@daily`, `@weekly` and `@monthly`. Fields take `*`, numbers, ranges,
+ * lists and `/step`s. As in cron, when both day fields are restricted either one matching
+ * is enough.
+ *
+ * @param {string} expression - Cron expression, e.g. "30 2 * * *" for 02:30 every day
+ * @returns {(date: Date) => boolean} Tells whether a minute (local time) matches
+ * @throws {ConfigError} If the expression is malformed
+ */
+export function parseCron(expression) {
+  const { minutes, hours, months, dayMatches } = parseFields(expression);
+  return (date) =>
+    minutes.has(date.getMinutes()) &&
+    hours.has(date.getHours()) &&
+    months.has(date.getMonth() + 1) &&
+    dayMatches(date);
+}
+
+/**
+ * Finds the next minute after `from` that a cron expression matches. Months, days and hours
+ * that do not match are skipped whole, so this takes at most a few thousand steps.
+ * @param {string} expression - Cron expression, see {@link parseCron}
+ * @param {Date} [from=new Date()] - Start, exclusive
+ * @returns {Date} Next matching minute
+ * @throws {ConfigError} If the expression is malformed or never matches (e.g. "0 0 31 2 *")
+ */
+export function nextCronRun(expression, from = new Date()) {
+  const { minutes, hours, months, dayMatches } = parseFields(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  // Four years cover every combination of month, day and weekday
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + 4);
+  while (date < limit) {
+    if (!months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches(date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new ConfigError(`Cron expression "${expression}" never matches`);
+}
@@ -0,0 +1,408 @@
+import { BSON, ObjectId } from "mongodb";
+import { bsonTypeOf } from "./jsonSchema.js";
+import { createTextWriter, openTextStream } from "./jsonStream.js";
+import { BackupFileError, ConfigError } from "./errors.js";
+
+const { EJSON, Decimal128, Double, Long } = BSON;
+
+/**
+ * Column types understood by CSV imports. "json" cells hold relaxed Extended JSON (arrays,
+ * nested objects and other BSON values); "auto" reads `true`/`false` as booleans, decimal
+ * numbers as numbers and anything else as a string.
+ */
+export const CSV_TYPES = [
+  "string",
+  "int",
+  "long",
+  "double",
+  "decimal",
+  "bool",
+  "date",
+  "objectId",
+  "json",
+  "auto",
+];
+
+// Types written as plain cell text; any other value is written as relaxed Extended JSON
+const TEXT_TYPES = ["string", "int", "long", "double", "decimal", "bool", "date", "objectId"];
+const NUMERIC_TYPES = ["int", "long", "double"];
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+
+// Columns are inferred from this many documents when no fields are given
+const DEFAULT_SAMPLE_SIZE = 1000;
+
+/**
+ * Parses `field:type` type hints, e.g. `["age:int", "createdAt:date"]`.
+ * @param {string[]} hints - Hints as given on the command line
+ * @returns {Object<string, string>} Column to type
+ * @throws {ConfigError} If a hint is malformed or names an unknown type
+ */
+export function parseCsvTypes(hints) {
+  const types = {};
+  for (const hint of hints) {
+    const sep = hint.lastIndexOf(":");
+    if (sep <= 0) throw new ConfigError(`Invalid type hint "${hint}" (expected field:type)`);
+    types[hint.slice(0, sep)] = hint.slice(sep + 1);
+  }
+  assertCsvTypes(types);
+  return types;
+}
+
+/**
+ * Throws unless every column type is one of {@link CSV_TYPES}.
+ * @param {Object<string, string>} types - Column to type
+ */
+export function assertCsvTypes(types) {
+  for (const [column, type] of Object.entries(types)) {
+    if (!CSV_TYPES.includes(type)) {
+      throw new ConfigError(
+        `Invalid type "${type}" for column ${column} (expected one of ${CSV_TYPES.join(", ")})`
+      );
+    }
+  }
+}
+
+const isPlainObject = (value) => value != null && bsonTypeOf(value) === "object";
+
+/**
+ * Flattens nested objects into dotted paths; arrays, empty objects and BSON values are
+ * kept whole.
+ * @param {Object} doc - Document
+ * @returns {Object<string, *>} e.g. `{ "_id": 1, "address.city": "Oslo" }`
+ */
+export function flattenDocument(doc) {
+  const out = {};
+  const visit = (object, prefix) => {
+    for (const [key, value] of Object.entries(object)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (isPlainObject(value) && Object.keys(value).length > 0) visit(value, path);
+      else out[path] = value;
+    }
+  };
+  visit(doc, "");
+  return out;
+}
+
+// Reads a dotted path through nested objects
+function valueAt(doc, path) {
+  let value = doc;
+  for (const key of path.split(".")) {
+    if (!isPlainObject(value) || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function csvTypeOf(value) {
+  const type = bsonTypeOf(value);
+  return TEXT_TYPES.includes(type) ? type : "json";
+}
+
+/**
+ * Formats a value as cell text; null and missing values are empty.
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+export function formatCell(value) {
+  if (value == null) return "";
+  const type = csvTypeOf(value);
+  if (type === "date") return Number.isNaN(value.getTime()) ? "" : value.toISOString();
+  if (type === "objectId") return value.toHexString();
+  if (type === "json") return EJSON.stringify(value, { relaxed: true });
+  return String(value);
+}
+
+/**
+ * Converts cell text to a value of the given type.
+ * @param {string} text - Cell text (not empty)
+ * @param {string} [type="auto"] - One of {@link CSV_TYPES}
+ * @returns {*}
+ * @throws {Error} If the text is not a valid value of the type
+ */
+export function parseCell(text, type = "auto") {
+  const invalid = () => new Error(`"${text}" is not a valid ${type}`);
+  switch (type) {
+    case "string":
+      return text;
+    case "int": {
+      const n = Number(text);
+      if (!/^[+-]?\d+$/.test(text) || n < INT32_MIN || n > INT32_MAX) throw invalid();
+      return n;
+    }
+    case "long":
+      if (!/^[+-]?\d+$/.test(text)) throw invalid();
+      return Long.fromString(text);
+    case "double": {
+      const n = Number(text);
+      if (text.trim() === "" || Number.isNaN(n)) throw invalid();
+      return new Double(n);
+    }
+    case "decimal":
+      try {
+        return Decimal128.fromString(text);
+      } catch {
+        throw invalid();
+      }
+    case "bool":
+      if (!/^(true|false)$/i.test(text)) throw invalid();
+      return text.toLowerCase() === "true";
+    case "date": {
+      const date = new Date(text);
+      if (Number.isNaN(date.getTime())) throw invalid();
+      return date;
+    }
+    case "objectId":
+      if (!/^[0-9a-f]{24}$/i.test(text)) throw invalid();
+      return new ObjectId(text);
+    case "json":
+      try {
+        return EJSON.parse(text, { relaxed: true });
+      } catch {
+        throw invalid();
+      }
+    case "auto":
+      if (/^(true|false)$/.test(text)) return text === "true";
+      // Leading zeros (zip codes, phone numbers) mark text rather than numbers
+      if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) return Number(text);
+      return text;
+    default:
+      throw new Error(`Unknown column type "${type}"`);
+  }
+}
+
+/**
+ * Builds a document from a CSV record: cells are converted with the column types and
+ * dotted column names become nested objects. Empty cells leave their field out.
+ * @param {Object<string, string>} record - Column to cell text
+ * @param {Object<string, string>} [types={}] - Column to type; other columns are "auto"
+ * @returns {Object}
+ * @throws {Error} If a cell does not match its type, or columns overlap (`a` and `a.b`)
+ */
+export function unflattenRecord(record, types = {}) {
+  const doc = {};
+  for (const [column, text] of Object.entries(record)) {
+    if (text === "") continue;
+    let value;
+    try {
+      value = parseCell(text, types[column]);
+    } catch (err) {
+      throw new Error(`column ${column}: ${err.message}`);
+    }
+    const keys = column.split(".");
+    let parent = doc;
+    for (const key of keys.slice(0, -1)) {
+      if (parent[key] === undefined) parent[key] = {};
+      else if (!isPlainObject(parent[key])) throw new Error(`column ${column} overlaps ${key}`);
+      parent = parent[key];
+    }
+    const last = keys[keys.length - 1];
+    if (parent[last] !== undefined) throw new Error(`column ${column} overlaps another column`);
+    parent[last] = value;
+  }
+  return doc;
+}
+
+/**
+ * Passes a document through a CSV export and import, giving the form it is restored in.
+ * @param {Object} doc - Document
+ * @param {{columns?: string[]|null, types?: Object<string, string>}} layout - Columns written
+ *        (all fields when not given) and their types
+ * @returns {Object}
+ */
+export function roundTripCsv(doc, { columns = null, types = {} }) {
+  const record = {};
+  for (const column of columns || Object.keys(flattenDocument(doc))) {
+    record[column] = formatCell(valueAt(doc, column));
+  }
+  return unflattenRecord(record, types);
+}
+
+const quoteCell = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+const formatRow = (cells) => `${cells.map(quoteCell).join(",")}\n`;
+
+// The single type of a column's values, widening integers; mixed columns are left to "auto"
+function columnType(seen) {
+  if (seen.size <= 1) return [...seen][0] || null;
+  if ([...seen].every((type) => NUMERIC_TYPES.includes(type))) {
+    return seen.has("double") ? "double" : "long";
+  }
+  return null;
+}
+
+/**
+ * Creates a streaming CSV writer with a header row of dotted field paths.
+ *
+ * Without `fields`, the columns are the flattened fields of the first documents (`_id`
+ * first); fields that only appear later are left out and listed by `layout().omitted`.
+ *
+ * @param {string} filePath - Destination file (overwritten if it exists)
+ * @param {Object} [options]
+ * @param {string[]|null} [options.fields=null] - Dotted paths to write as columns
+ * @param {string|null} [options.compress=null] - Compress the file ("gzip" or "zstd")
+ * @param {number} [options.sampleSize=1000] - Documents the columns are inferred from
+ * @returns {Object} Writer with the methods of `createJsonArrayWriter`, plus `layout()`
+ *          returning `{columns, types, omitted}` once closed; `types` holds the type of each
+ *          column whose values all share one, for {@link unflattenRecord}
+ */
+export function createCsvWriter(
+  filePath,
+  { fields = null, compress = null, sampleSize = DEFAULT_SAMPLE_SIZE } = {}
+) {
+  const out = createTextWriter(filePath, { compress });
+  const pending = [];
+  const seenTypes = new Map();
+  const omitted = new Set();
+  let columns = fields && fields.length > 0 ? [...fields] : null;
+  let inferred = false;
+  let started = false;
+  let count = 0;
+
+  const writeRow = async (doc) => {
+    if (inferred) {
+      for (const path of Object.keys(flattenDocument(doc))) {
+        const covered = columns.some((c) => path === c || path.startsWith(`${c}.`));
+        if (!covered) omitted.add(path);
+      }
+    }
+    const cells = columns.map((column) => {
+      const value = valueAt(doc, column);
+      if (value != null) seenTypes.get(column).add(csvTypeOf(value));
+      return formatCell(value);
+    });
+    await out.push(formatRow(cells));
+  };
+
+  const start = async () => {
+    if (!columns) {
+      const names = new Set(["_id"]);
+      for (const doc of pending) Object.keys(flattenDocument(doc)).forEach((p) => names.add(p));
+      if (!pending.some((doc) => Object.hasOwn(doc, "_id"))) names.delete("_id");
+      columns = [...names];
+      inferred = true;
+    }
+    for (const column of columns) seenTypes.set(column, new Set());
+    started = true;
+    await out.push(formatRow(columns));
+    for (const doc of pending.splice(0)) await writeRow(doc);
+  };
+
+  return {
+    async write(doc) {
+      count++;
+      if (started) return writeRow(doc);
+      pending.push(doc);
+      if (columns || pending.length >= sampleSize) await start();
+    },
+
+    async close() {
+      if (!started) await start();
+      await out.end();
+      return count;
+    },
+
+    destroy: out.destroy,
+    checksum: out.checksum,
+
+    layout() {
+      const types = {};
+      for (const [column, seen] of seenTypes) {
+        const type = columnType(seen);
+        if (type) types[column] = type;
+      }
+      return { columns, types, omitted: [...omitted] };
+    },
+  };
+}
+
+/**
+ * Reads a CSV file (RFC 4180: quoted cells may hold commas, quotes and line breaks) whose
+ * first row names the columns, and yields one document per row.
+ *
+ * @param {string} filePath - CSV file, optionally `.gz` or `.zst` compressed
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.types={}] - Column types; other columns are "auto"
+ * @yields {Object} Each row as a document, see {@link unflattenRecord}
+ * @throws {Error} If a row has more cells than the header, or a cell does not match its type
+ */
+export async function* readCsv(filePath, { types = {} } = {}) {
+  assertCsvTypes(types);
+  let header = null;
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let quoteSeen = false;
+  let pendingQuote = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(cell);
+    const cells = row;
+    const blank = cells.length === 1 && cells[0] === "" && !quoteSeen;
+    row = [];
+    cell = "";
+    quoteSeen = false;
+    if (blank) return null;
+    if (!header) {
+      header = cells.map((name, i) => (i === 0 ? name.replace(/^\uFEFF/, "") : name));
+      return null;
+    }
+    if (cells.length > header.length) {
+      throw new BackupFileError(
+        `Invalid CSV backup ${filePath} line ${rowLine}: more cells than columns`
+      );
+    }
+    const record = Object.fromEntries(header.map((column, i) => [column, cells[i] ?? ""]));
+    try {
+      return unflattenRecord(record, types);
+    } catch (err) {
+      throw new BackupFileError(`Invalid CSV backup ${filePath} line ${rowLine}: ${err.message}`);
+    }
+  };
+
+  for await (const chunk of openTextStream(filePath)) {
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+      if (pendingQuote) {
+        // A quote inside quotes is either an escaped quote or the end of the cell
+        pendingQuote = false;
+        if (ch === '"') {
+          cell += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+      if (inQuotes) {
+        if (ch === '"') pendingQuote = true;
+        else {
+          if (ch === "\n") line++;
+          cell += ch;
+        }
+        continue;
+      }
+      if (ch === '"' && cell === "") {
+        inQuotes = true;
+        quoteSeen = true;
+      } else if (ch === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (ch === "\n") {
+        if (cell.endsWith("\r")) cell = cell.slice(0, -1);
+        const doc = endRow();
+        line++;
+        rowLine = line;
+        if (doc) yield doc;
+      } else {
+        cell += ch;
+      }
+    }
+  }
+  if (inQuotes && !pendingQuote) {
+    throw new BackupFileError(`Invalid CSV backup ${filePath}: unterminated quoted cell`);
+  }
+  if (cell !== "" || row.length > 0 || quoteSeen) {
+    const doc = endRow();
+    if (doc) yield doc;
+  }
+}
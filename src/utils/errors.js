@@ -0,0 +1,56 @@
+/**
+ * Base class of the errors mongodbcopy throws on purpose, so callers can tell them apart from
+ * driver and file system errors with `instanceof`. Each subclass has a stable `code`.
+ */
+export class MongodbCopyError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+    this.code = "ERR_MONGODBCOPY";
+  }
+}
+
+/**
+ * Invalid or missing options: bad values, settings that cannot be combined, unknown profiles.
+ */
+export class ConfigError extends MongodbCopyError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "ERR_MONGODBCOPY_CONFIG";
+  }
+}
+
+/**
+ * A source or target server could not be reached; the driver error is the `cause`.
+ */
+export class ConnectionError extends MongodbCopyError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "ERR_MONGODBCOPY_CONNECTION";
+  }
+}
+
+/**
+ * A backup file that cannot be parsed: malformed JSON, NDJSON or CSV.
+ */
+export class BackupFileError extends MongodbCopyError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "ERR_MONGODBCOPY_BACKUP_FILE";
+  }
+}
+
+/**
+ * A document already exists in the target under the "fail" conflict strategy.
+ */
+export class ConflictError extends MongodbCopyError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "ERR_MONGODBCOPY_CONFLICT";
+  }
+}
@@ -0,0 +1,243 @@
+import { BSON } from "mongodb";
+
+const { EJSON } = BSON;
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+const NUMERIC_TYPES = ["int", "long", "double", "decimal"];
+
+// `_bsontype` of driver value classes, as $jsonSchema bsonType aliases
+const WRAPPER_TYPES = {
+  ObjectId: "objectId",
+  Binary: "binData",
+  Int32: "int",
+  Long: "long",
+  Double: "double",
+  Decimal128: "decimal",
+  Timestamp: "timestamp",
+  BSONRegExp: "regex",
+  BSONSymbol: "symbol",
+  MinKey: "minKey",
+  MaxKey: "maxKey",
+};
+
+// JSON Schema `type` names and the BSON types they cover
+const JSON_TYPES = {
+  object: ["object"],
+  array: ["array"],
+  number: NUMERIC_TYPES,
+  boolean: ["bool"],
+  string: ["string"],
+  null: ["null"],
+};
+
+/**
+ * Returns the $jsonSchema `bsonType` alias of a value as the driver returns it.
+ * Plain numbers are reported as "int" when they fit in 32 bits, "long" for larger
+ * integers and "double" otherwise.
+ * @param {*} value - Field value
+ * @returns {string} e.g. "string", "objectId", "date", "int"
+ */
+export function bsonTypeOf(value) {
+  if (value === null) return "null";
+  if (value === undefined) return "undefined";
+  if (typeof value === "string") return "string";
+  if (typeof value === "boolean") return "bool";
+  if (typeof value === "bigint") return "long";
+  if (typeof value === "number") {
+    if (!Number.isInteger(value)) return "double";
+    return value >= INT32_MIN && value <= INT32_MAX ? "int" : "long";
+  }
+  if (value instanceof Date) return "date";
+  if (value instanceof RegExp) return "regex";
+  if (Array.isArray(value)) return "array";
+  if (value._bsontype === "Code") return value.scope ? "javascriptWithScope" : "javascript";
+  return WRAPPER_TYPES[value._bsontype] || "object";
+}
+
+function matchesBsonType(value, expected) {
+  const actual = bsonTypeOf(value);
+  if (expected === actual) return true;
+  if (expected === "number") return NUMERIC_TYPES.includes(actual);
+  // A promoted number does not say how it was stored: any number may have been a double,
+  // and any integer a long
+  if (typeof value === "number") {
+    return expected === "double" || (expected === "long" && Number.isInteger(value));
+  }
+  return false;
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "bigint") return Number(value);
+  return Number(value.toString());
+}
+
+const sameValue = (a, b) =>
+  EJSON.stringify({ v: a }, { relaxed: false }) === EJSON.stringify({ v: b }, { relaxed: false });
+
+const joinPath = (parent, key) => (parent ? `${parent}.${key}` : String(key));
+
+function check(schema, value, path, errors) {
+  const fail = (rule, message) => errors.push({ path: path || "(document)", rule, message });
+  const actual = bsonTypeOf(value);
+
+  if (schema.bsonType !== undefined) {
+    const types = [].concat(schema.bsonType);
+    if (!types.some((type) => matchesBsonType(value, type))) {
+      fail("bsonType", `expected ${types.join(" or ")}, found ${actual}`);
+      return;
+    }
+  }
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => (JSON_TYPES[type] || []).some((t) => matchesBsonType(value, t)))) {
+      fail("type", `expected ${types.join(" or ")}, found ${actual}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some((allowed) => sameValue(allowed, value))) {
+    fail("enum", `must be one of ${EJSON.stringify(schema.enum)}`);
+  }
+
+  if (NUMERIC_TYPES.includes(actual)) {
+    const n = toNumber(value);
+    if (schema.minimum !== undefined) {
+      const min = toNumber(schema.minimum);
+      if (schema.exclusiveMinimum ? n <= min : n < min) {
+        fail("minimum", `must be ${schema.exclusiveMinimum ? ">" : ">="} ${min}`);
+      }
+    }
+    if (schema.maximum !== undefined) {
+      const max = toNumber(schema.maximum);
+      if (schema.exclusiveMaximum ? n >= max : n > max) {
+        fail("maximum", `must be ${schema.exclusiveMaximum ? "<" : "<="} ${max}`);
+      }
+    }
+    const ratio = schema.multipleOf === undefined ? 0 : n / toNumber(schema.multipleOf);
+    if (Math.abs(ratio - Math.round(ratio)) > 1e-9) {
+      fail("multipleOf", `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (actual === "string") {
+    // Lengths count code points, like the server does
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail("minLength", `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail("maxLength", `must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      fail("pattern", `must match /${schema.pattern}/`);
+    }
+  }
+
+  if (actual === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail("minItems", `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail("maxItems", `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set(value.map((item) => EJSON.stringify({ v: item }, { relaxed: false })));
+      if (seen.size !== value.length) fail("uniqueItems", "must not contain duplicates");
+    }
+    if (Array.isArray(schema.items)) {
+      value.forEach((item, i) => {
+        const itemPath = joinPath(path, i);
+        if (i < schema.items.length) check(schema.items[i], item, itemPath, errors);
+        else if (schema.additionalItems === false) {
+          errors.push({ path: itemPath, rule: "additionalItems", message: "is not allowed" });
+        } else if (typeof schema.additionalItems === "object") {
+          check(schema.additionalItems, item, itemPath, errors);
+        }
+      });
+    } else if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, joinPath(path, i), errors));
+    }
+  }
+
+  if (actual === "object") {
+    const keys = Object.keys(value);
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) {
+        errors.push({ path: joinPath(path, key), rule: "required", message: "is required" });
+      }
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail("minProperties", `must have at least ${schema.minProperties} fields`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail("maxProperties", `must have at most ${schema.maxProperties} fields`);
+    }
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(([p, s]) => [
+      new RegExp(p),
+      s,
+    ]);
+    for (const key of keys) {
+      const keyPath = joinPath(path, key);
+      let matched = false;
+      if (Object.hasOwn(properties, key)) {
+        matched = true;
+        check(properties[key], value[key], keyPath, errors);
+      }
+      for (const [re, sub] of patterns) {
+        if (!re.test(key)) continue;
+        matched = true;
+        check(sub, value[key], keyPath, errors);
+      }
+      if (matched) continue;
+      if (schema.additionalProperties === false) {
+        errors.push({ path: keyPath, rule: "additionalProperties", message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        check(schema.additionalProperties, value[key], keyPath, errors);
+      }
+    }
+    for (const [key, dependency] of Object.entries(schema.dependencies || {})) {
+      if (!Object.hasOwn(value, key)) continue;
+      if (Array.isArray(dependency)) {
+        for (const needed of dependency.filter((field) => !Object.hasOwn(value, field))) {
+          errors.push({
+            path: joinPath(path, needed),
+            rule: "dependencies",
+            message: `is required when ${key} is present`,
+          });
+        }
+      } else {
+        check(dependency, value, path, errors);
+      }
+    }
+  }
+
+  const passes = (sub) => validateJsonSchema(sub, value, path).length === 0;
+  for (const sub of schema.allOf || []) check(sub, value, path, errors);
+  if (schema.anyOf && !schema.anyOf.some(passes)) fail("anyOf", "matches none of the schemas");
+  if (schema.oneOf && schema.oneOf.filter(passes).length !== 1) {
+    fail("oneOf", "must match exactly one of the schemas");
+  }
+  if (schema.not && passes(schema.not)) fail("not", "must not match the schema");
+}
+
+/**
+ * Checks a value against a MongoDB `$jsonSchema` (draft 4 keywords plus `bsonType`;
+ * `$ref` and `format` are not supported by MongoDB either).
+ *
+ * @param {Object} schema - The `$jsonSchema` document
+ * @param {*} value - Document (or value) to check
+ * @param {string} [path=""] - Dotted path of `value`, used in error paths
+ * @returns {Array<{path: string, rule: string, message: string}>} One entry per violation;
+ *          empty when the value is valid
+ *
+ * @example
+ * validateJsonSchema({ required: ['email'] }, { name: 'Ann' });
+ * // [{ path: 'email', rule: 'required', message: 'is required' }]
+ */
+export function validateJsonSchema(schema, value, path = "") {
+  const errors = [];
+  check(schema, value, path, errors);
+  return errors;
+}
@@ -0,0 +1,336 @@
+import fs from "fs";
+import crypto from "crypto";
+import zlib from "zlib";
+import { once } from "events";
+import { pipeline } from "stream";
+import { finished, pipeline as pipelineAsync } from "stream/promises";
+import { BSON } from "mongodb";
+import { BackupFileError, ConfigError } from "./errors.js";
+
+const { EJSON } = BSON;
+
+export const EJSON_MODES = ["canonical", "relaxed"];
+
+/**
+ * Supported backup compression formats and the extension appended to the backup file name.
+ */
+export const COMPRESSION_EXTENSIONS = { gzip: ".gz", zstd: ".zst" };
+
+/**
+ * Throws unless `compress` is a supported format available in this Node.js runtime.
+ * @param {string|null} compress - "gzip", "zstd" or null for no compression
+ */
+export function assertCompression(compress) {
+  if (!compress) return;
+  if (!Object.hasOwn(COMPRESSION_EXTENSIONS, compress)) {
+    const formats = Object.keys(COMPRESSION_EXTENSIONS).join(" or ");
+    throw new ConfigError(`Invalid compression "${compress}" (expected ${formats})`);
+  }
+  if (compress === "zstd" && typeof zlib.createZstdCompress !== "function") {
+    throw new ConfigError(
+      `zstd compression needs Node.js 22.15 or later (running ${process.version})`
+    );
+  }
+}
+
+function createCompressor(compress) {
+  if (!compress) return null;
+  assertCompression(compress);
+  return compress === "zstd" ? zlib.createZstdCompress() : zlib.createGzip();
+}
+
+// Compression of existing files is detected from their extension
+function createDecompressor(filePath) {
+  if (filePath.endsWith(COMPRESSION_EXTENSIONS.gzip)) return zlib.createGunzip();
+  if (filePath.endsWith(COMPRESSION_EXTENSIONS.zstd)) {
+    assertCompression("zstd");
+    return zlib.createZstdDecompress();
+  }
+  return null;
+}
+
+/**
+ * Serializes one document, as plain JSON or as Extended JSON in the given mode.
+ * @param {*} doc - Document to serialize
+ * @param {string|null} ejson - "canonical", "relaxed" or null for plain JSON
+ * @returns {string}
+ */
+export function stringifyDocument(doc, ejson) {
+  if (!ejson) return JSON.stringify(doc, null, 2);
+  return EJSON.stringify(doc, null, 2, { relaxed: ejson === "relaxed" });
+}
+
+/**
+ * Parses one document, reviving BSON types when reading Extended JSON.
+ * Canonical mode keeps Int32/Double/Long wrappers so numeric types survive re-insertion.
+ * @param {string} text - Serialized document
+ * @param {string|null} ejson - "canonical", "relaxed" or null for plain JSON
+ * @returns {*}
+ */
+export function parseDocument(text, ejson) {
+  if (!ejson) return JSON.parse(text);
+  return EJSON.parse(text, { relaxed: ejson === "relaxed" });
+}
+
+/**
+ * Serializes index definitions for `<name>_indexes.json`.
+ * Index files always use relaxed EJSON in EJSON mode: key directions must stay plain
+ * numbers for `createIndex`, while values such as dates in partial filters keep their type.
+ * @param {Array} indexes - Index definitions from `collection.indexes()`
+ * @param {string|null} ejson - EJSON mode of the export, or null for plain JSON
+ * @returns {string}
+ */
+export function stringifyIndexFile(indexes, ejson) {
+  if (!ejson) return JSON.stringify(indexes, null, 2);
+  return EJSON.stringify(indexes, null, 2, { relaxed: true });
+}
+
+/**
+ * Parses an `<name>_indexes.json` file written by {@link stringifyIndexFile}.
+ * @param {string} text - File contents
+ * @param {string|null} ejson - EJSON mode of the import, or null for plain JSON
+ * @returns {Array}
+ */
+export function parseIndexFile(text, ejson) {
+  if (!ejson) return JSON.parse(text);
+  return EJSON.parse(text, { relaxed: true });
+}
+
+/**
+ * Creates a streaming text file writer, optionally compressed, that keeps a SHA-256 of
+ * the uncompressed text. The document writers of every backup format are built on it.
+ *
+ * @param {string} filePath - Destination file (overwritten if it exists)
+ * @param {Object} [options]
+ * @param {string|null} [options.compress=null] - Compress the file ("gzip" or "zstd")
+ * @returns {{push: (text: string) => Promise<void>, end: () => Promise<void>, destroy: () => void,
+ *          checksum: () => string}} Writer; `destroy()` abandons the file and removes it,
+ *          `checksum()` returns the SHA-256 of the text once ended
+ */
+export function createTextWriter(filePath, { compress = null } = {}) {
+  const compressor = createCompressor(compress);
+  const file = fs.createWriteStream(filePath);
+  const stream = compressor || file;
+  const hash = crypto.createHash("sha256");
+  let streamError = null;
+  let checksum = null;
+  const done = compressor ? pipelineAsync(compressor, file) : finished(file);
+  done.catch((err) => {
+    streamError = err;
+  });
+
+  return {
+    async push(text) {
+      if (streamError) throw streamError;
+      hash.update(text);
+      if (!stream.write(text)) await once(stream, "drain");
+    },
+
+    async end() {
+      stream.end();
+      await done;
+      checksum = hash.digest("hex");
+    },
+
+    destroy() {
+      stream.destroy();
+      file.destroy();
+      fs.rmSync(filePath, { force: true });
+    },
+
+    checksum() {
+      return checksum;
+    },
+  };
+}
+
+/**
+ * Opens a text file for reading, decompressing `.gz` and `.zst` files on the fly.
+ * @param {string} filePath - File to read
+ * @returns {AsyncIterable<string>} UTF-8 chunks of the file
+ */
+export function openTextStream(filePath) {
+  const decompressor = createDecompressor(filePath);
+  const source = fs.createReadStream(filePath);
+  // pipeline() forwards read errors to the decompressor, which ends the caller's loop
+  const stream = decompressor ? pipeline(source, decompressor, () => {}) : source;
+  stream.setEncoding("utf8");
+  return stream;
+}
+
+/**
+ * Creates a streaming writer that produces the same pretty-printed JSON array
+ * layout as `JSON.stringify(docs, null, 2)`, one document at a time.
+ *
+ * @param {string} filePath - Destination file (overwritten if it exists)
+ * @param {Object} [options]
+ * @param {string|null} [options.ejson=null] - Write Extended JSON ("canonical" or "relaxed")
+ * @param {string|null} [options.compress=null] - Compress the file ("gzip" or "zstd")
+ * @returns {{write: (doc: Object) => Promise<void>, close: () => Promise<number>, destroy: () => void,
+ *          checksum: () => string}} Writer; `close()` resolves with the number of documents
+ *          written, `destroy()` abandons the file and removes it, `checksum()` returns the
+ *          SHA-256 of the uncompressed JSON once closed
+ */
+export function createJsonArrayWriter(filePath, { ejson = null, compress = null } = {}) {
+  const out = createTextWriter(filePath, { compress });
+  let count = 0;
+
+  return {
+    async write(doc) {
+      const body = stringifyDocument(doc, ejson).replace(/\n/g, "\n  ");
+      await out.push(`${count === 0 ? "[\n" : ",\n"}  ${body}`);
+      count++;
+    },
+
+    async close() {
+      await out.push(count === 0 ? "[]" : "\n]");
+      await out.end();
+      return count;
+    },
+
+    destroy: out.destroy,
+    checksum: out.checksum,
+  };
+}
+
+/**
+ * Creates a streaming NDJSON writer: one compact document per line, so files can be
+ * appended to and processed with line-based tools.
+ *
+ * @param {string} filePath - Destination file (overwritten if it exists)
+ * @param {Object} [options] - `ejson` and `compress` as for {@link createJsonArrayWriter}
+ * @returns {Object} Writer with the same methods as {@link createJsonArrayWriter}
+ */
+export function createNdjsonWriter(filePath, { ejson = null, compress = null } = {}) {
+  const out = createTextWriter(filePath, { compress });
+  let count = 0;
+
+  return {
+    async write(doc) {
+      const line = ejson
+        ? EJSON.stringify(doc, { relaxed: ejson === "relaxed" })
+        : JSON.stringify(doc);
+      await out.push(`${line}\n`);
+      count++;
+    },
+
+    async close() {
+      await out.end();
+      return count;
+    },
+
+    destroy: out.destroy,
+    checksum: out.checksum,
+  };
+}
+
+/**
+ * Reads an NDJSON file line by line; blank lines are skipped.
+ *
+ * @param {string} filePath - NDJSON file, optionally `.gz` or `.zst` compressed
+ * @param {Object} [options]
+ * @param {string|null} [options.ejson=null] - Parse Extended JSON ("canonical" or "relaxed")
+ * @yields {*} Each parsed line, in file order
+ * @throws {Error} If a line is not valid JSON
+ */
+export async function* readNdjson(filePath, { ejson = null } = {}) {
+  let rest = "";
+  let line = 0;
+  const parseLine = (text) => {
+    line++;
+    if (!text.trim()) return undefined;
+    try {
+      return parseDocument(text, ejson);
+    } catch (err) {
+      throw new BackupFileError(`Invalid NDJSON backup ${filePath} line ${line}: ${err.message}`);
+    }
+  };
+
+  for await (const chunk of openTextStream(filePath)) {
+    const lines = (rest + chunk).split("\n");
+    rest = lines.pop();
+    for (const text of lines) {
+      const doc = parseLine(text);
+      if (doc !== undefined) yield doc;
+    }
+  }
+  const doc = parseLine(rest);
+  if (doc !== undefined) yield doc;
+}
+
+/**
+ * Reads a JSON array file element by element without loading the whole file.
+ * Accepts any valid JSON array, including files written by older versions, and
+ * decompresses `.gz` and `.zst` files on the fly.
+ *
+ * @param {string} filePath - JSON file containing a top-level array
+ * @param {Object} [options]
+ * @param {string|null} [options.ejson=null] - Parse Extended JSON ("canonical" or "relaxed")
+ * @yields {*} Each parsed array element, in file order
+ * @throws {Error} If the file is not a well-formed JSON array
+ */
+export async function* readJsonArray(filePath, { ejson = null } = {}) {
+  const stream = openTextStream(filePath);
+  let started = false;
+  let ended = false;
+  let inString = false;
+  let escaped = false;
+  let depth = 0;
+  let current = "";
+
+  const takeElement = () => {
+    const text = current.trim();
+    current = "";
+    return text;
+  };
+
+  for await (const chunk of stream) {
+    let start = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (!started || ended) {
+        if (!started && ch === "[") {
+          started = true;
+          start = i + 1;
+        } else if (!/\s/.test(ch)) {
+          throw new BackupFileError(
+            `Invalid JSON backup ${filePath}: expected a single top-level array`
+          );
+        }
+        continue;
+      }
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === "{" || ch === "[") {
+        depth++;
+      } else if (ch === "}" || ch === "]") {
+        if (depth === 0) {
+          if (ch === "}")
+            throw new BackupFileError(`Invalid JSON backup ${filePath}: unbalanced "}"`);
+          current += chunk.slice(start, i);
+          ended = true;
+          const text = takeElement();
+          if (text) yield parseDocument(text, ejson);
+          continue;
+        }
+        depth--;
+      } else if (ch === "," && depth === 0) {
+        current += chunk.slice(start, i);
+        start = i + 1;
+        const text = takeElement();
+        if (text) yield parseDocument(text, ejson);
+      }
+    }
+    if (started && !ended) current += chunk.slice(start);
+  }
+
+  if (!started || !ended) {
+    throw new BackupFileError(`Invalid JSON backup ${filePath}: unexpected end of file`);
+  }
+}
@@ -2,6 +2,7 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import chalk from "chalk";
+import { ConfigError } from "./errors.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,33 @@ const LOG_TO_FILE =
   (process.env.LOG_PATH ? true : false);
 const LOG_PATH = process.env.LOG_PATH ? path.resolve(process.env.LOG_PATH) : DEFAULT_LOG_PATH;
 
+/**
+ * Output formats: "text" prints coloured lines for people, "json" one JSON object per line
+ * (`level`, `timestamp`, `message` and the fields given with the message) for log collectors.
+ */
+export const LOG_FORMATS = ["text", "json"];
+
+let logFormat = "text";
+
+/**
+ * Selects the output format of every following log line.
+ * @param {string} format - One of {@link LOG_FORMATS}
+ */
+export function setLogFormat(format) {
+  if (!LOG_FORMATS.includes(format)) {
+    throw new ConfigError(`Invalid log format "${format}" (expected ${LOG_FORMATS.join(" or ")})`);
+  }
+  logFormat = format;
+}
+
+/**
+ * Tells the current output format.
+ * @returns {string} One of {@link LOG_FORMATS}
+ */
+export function getLogFormat() {
+  return logFormat;
+}
+
 async function ensureLogDirectory(logFilePath) {
   try {
     const dir = path.dirname(logFilePath);
@@ -23,12 +51,12 @@ async function ensureLogDirectory(logFilePath) {
   }
 }
 
-async function writeLogToFile(level, message) {
+async function writeLogToFile(level, message, line = null) {
   if (!LOG_TO_FILE) return;
   try {
     await ensureLogDirectory(LOG_PATH);
     const time = new Date().toISOString();
-    const line = `[${time}] [${level}] ${message}\n`;
+    line = line ? `${line}\n` : `[${time}] [${level}] ${message}\n`;
     await fs.promises.appendFile(LOG_PATH, line, { encoding: "utf8" });
   } catch {
     // Ignore errors
@@ -54,26 +82,56 @@ function safeMessage(msg) {
   }
 }
 
+/**
+ * Prints a JSON log line, and appends it to the log file.
+ * @param {string} level - Log level
+ * @param {*} msg - Message, or an Error whose stack is included
+ * @param {Object} [fields] - Structured fields, e.g. `collection`, `copied`, `durationMs`
+ * @param {Function} print - console method to print with
+ */
+function logJson(level, msg, fields, print) {
+  const entry = {
+    level,
+    timestamp: new Date().toISOString(),
+    message: msg instanceof Error ? msg.message : safeMessage(msg),
+    ...fields,
+    ...(msg instanceof Error && msg.stack && { stack: msg.stack }),
+  };
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ level, timestamp: entry.timestamp, message: entry.message });
+  }
+  print(line);
+  writeLogToFile(level.toUpperCase(), entry.message, line);
+}
+
+// Each method takes a message and, for JSON output, optional structured fields
 const logger = {
-  info: (msg) => {
+  info: (msg, fields) => {
+    if (logFormat === "json") return logJson("info", msg, fields, console.log);
     const text = safeMessage(msg);
     console.log(`${chalk.gray(`[${fmtTime()}]`)} ${chalk.cyan("ℹ")} ${text}`);
     writeLogToFile("INFO", text);
   },
 
-  success: (msg) => {
+  success: (msg, fields) => {
+    if (logFormat === "json") return logJson("success", msg, fields, console.log);
     const text = safeMessage(msg);
     console.log(`${chalk.gray(`[${fmtTime()}]`)} ${chalk.green("✅")} ${chalk.green(text)}`);
     writeLogToFile("SUCCESS", text);
   },
 
-  warn: (msg) => {
+  warn: (msg, fields) => {
+    if (logFormat === "json") return logJson("warn", msg, fields, console.warn);
     const text = safeMessage(msg);
     console.warn(`${chalk.gray(`[${fmtTime()}]`)} ${chalk.yellow("⚠")} ${chalk.yellow(text)}`);
     writeLogToFile("WARN", text);
   },
 
-  error: (msg) => {
+  error: (msg, fields) => {
+    if (logFormat === "json") return logJson("error", msg, fields, console.error);
     const text = safeMessage(msg);
     if (msg instanceof Error && msg.stack) {
       console.error(`${chalk.gray(`[${fmtTime()}]`)} ${chalk.red("❌")} ${chalk.red(msg.message)}`);
@@ -85,8 +143,9 @@ const logger = {
     }
   },
 
-  debug: (msg) => {
+  debug: (msg, fields) => {
     if (!DEBUG) return;
+    if (logFormat === "json") return logJson("debug", msg, fields, console.log);
     const text = safeMessage(msg);
     console.log(`${chalk.gray(`[${fmtTime()}]`)} ${chalk.magenta("🐛")} ${chalk.magenta(text)}`);
     writeLogToFile("DEBUG", text);
@@ -0,0 +1,88 @@
+import { ConfigError } from "./errors.js";
+
+/**
+ * Compiles a name pattern: `/regex/flags`, or a glob where `*` matches any run of
+ * characters and `?` a single one. Plain names match only themselves.
+ * @param {string} pattern - Pattern text
+ * @returns {RegExp}
+ * @throws {ConfigError} If a `/regex/` pattern is invalid
+ */
+export function compilePattern(pattern) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regex) {
+    try {
+      // Stateful flags would make repeated test() calls skip matches
+      return new RegExp(regex[1], regex[2].replace(/[gy]/g, ""));
+    } catch (err) {
+      throw new ConfigError(`Invalid pattern ${pattern}: ${err.message}`);
+    }
+  }
+  const body = pattern
+    .split("")
+    .map((ch) => {
+      if (ch === "*") return ".*";
+      if (ch === "?") return ".";
+      return ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${body}$`);
+}
+
+/**
+ * Tells whether a pattern is a glob or regex rather than a literal name.
+ * @param {string} pattern - Pattern text
+ * @returns {boolean}
+ */
+export function isPattern(pattern) {
+  return /[*?]/.test(pattern) || /^\/.+\/[a-z]*$/.test(pattern);
+}
+
+/**
+ * Builds a predicate for a name selection: the explicit names plus those matching an include
+ * pattern (every name when there are neither), minus those matching an exclude pattern.
+ * @param {Object} [options]
+ * @param {string[]} [options.names=[]] - Names selected literally
+ * @param {string[]} [options.include=[]] - Patterns to keep
+ * @param {string[]} [options.exclude=[]] - Patterns to drop
+ * @returns {(name: string) => boolean}
+ */
+export function createNameMatcher({ names = [], include = [], exclude = [] } = {}) {
+  const includes = include.map(compilePattern);
+  const excludes = exclude.map(compilePattern);
+  const everything = names.length === 0 && includes.length === 0;
+  return (name) =>
+    (everything || names.includes(name) || includes.some((re) => re.test(name))) &&
+    !excludes.some((re) => re.test(name));
+}
+
+/**
+ * Selects names matching any of the include patterns (all names when there are none)
+ * and none of the exclude patterns.
+ * @param {string[]} names - Candidate names
+ * @param {Object} [options]
+ * @param {string[]} [options.include=[]] - Patterns to keep
+ * @param {string[]} [options.exclude=[]] - Patterns to drop
+ * @returns {string[]} Matching names, in their original order
+ */
+export function filterNames(names, { include = [], exclude = [] } = {}) {
+  return names.filter(createNameMatcher({ include, exclude }));
+}
+
+/**
+ * Resolves a selection against the names that exist.
+ * @param {string[]} available - Existing names
+ * @param {Object} [options] - Same as {@link createNameMatcher}
+ * @returns {{selected: string[], notFound: string[]}} Selected names (explicit ones first, in
+ *          the order given) and explicit names that do not exist
+ */
+export function selectNames(available, { names = [], include = [], exclude = [] } = {}) {
+  const matches = createNameMatcher({ names, include, exclude });
+  const explicit = names.filter((name) => available.includes(name) && matches(name));
+  return {
+    selected: [
+      ...explicit,
+      ...available.filter((name) => !explicit.includes(name) && matches(name)),
+    ],
+    notFound: names.filter((name) => !available.includes(name)),
+  };
+}
@@ -0,0 +1,37 @@
+import cliProgress from "cli-progress";
+
+/**
+ * Draws one terminal progress bar per collection from the events of a copy (see
+ * `COPY_EVENTS`): a bar appears on "start", moves on "progress" and goes on "result".
+ *
+ * @param {import("events").EventEmitter} events - Emitter passed to copyCollections as `events`
+ * @returns {{stop: () => void}} Removes the listeners and the remaining bars
+ */
+export function attachProgressBars(events) {
+  const multibar = new cliProgress.MultiBar({
+    format: "Progress |{bar}| {percentage}% | {value}/{total} documents | {collection}",
+    barCompleteChar: "█",
+    barIncompleteChar: "░",
+    hideCursor: true,
+  });
+  const bars = new Map();
+  const listeners = {
+    start: ({ name, total }) => bars.set(name, multibar.create(total, 0, { collection: name })),
+    progress: ({ name, processed }) => bars.get(name)?.update(processed),
+    result: ({ name }) => {
+      if (!bars.has(name)) return;
+      multibar.remove(bars.get(name));
+      bars.delete(name);
+    },
+  };
+  for (const [event, listener] of Object.entries(listeners)) events.on(event, listener);
+
+  return {
+    stop() {
+      for (const [event, listener] of Object.entries(listeners)) events.off(event, listener);
+      multibar.stop();
+    },
+  };
+}
+
+export default attachProgressBars;
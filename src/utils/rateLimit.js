@@ -0,0 +1,60 @@
+import { setTimeout as sleep } from "timers/promises";
+import { BSON } from "mongodb";
+import { ConfigError } from "./errors.js";
+
+// Shorter waits are carried over to the next document rather than slept one by one
+const MIN_SLEEP_MS = 10;
+
+/**
+ * Creates a limiter pacing documents to at most `maxDocsPerSec` documents and `maxMbPerSec`
+ * MiB (of BSON) per second. One limiter is shared by every collection of a run, so parallel
+ * collections split the budget.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxDocsPerSec] - Documents per second; unlimited when not given
+ * @param {number} [options.maxMbPerSec] - MiB per second; unlimited when not given
+ * @returns {{limited: boolean, take: (doc: Object) => Promise<void>}} `take` resolves once the
+ *          document fits in the budget
+ * @throws {ConfigError} If a limit is not a positive number
+ */
+export function createRateLimiter({ maxDocsPerSec = null, maxMbPerSec = null } = {}) {
+  for (const [name, value] of Object.entries({ maxDocsPerSec, maxMbPerSec })) {
+    if (value != null && !(Number.isFinite(value) && value > 0)) {
+      throw new ConfigError(`Invalid ${name} ${value} (expected a positive number)`);
+    }
+  }
+  const bytesPerSec = maxMbPerSec ? maxMbPerSec * 1024 * 1024 : null;
+  // Time at which the budget used so far is paid off
+  let clearAt = 0;
+
+  return {
+    limited: !!(maxDocsPerSec || bytesPerSec),
+
+    async take(doc) {
+      if (!maxDocsPerSec && !bytesPerSec) return;
+      const costMs = Math.max(
+        maxDocsPerSec ? 1000 / maxDocsPerSec : 0,
+        bytesPerSec ? (BSON.calculateObjectSize(doc) * 1000) / bytesPerSec : 0
+      );
+      const now = Date.now();
+      clearAt = Math.max(clearAt, now) + costMs;
+      const wait = clearAt - now - costMs;
+      if (wait >= MIN_SLEEP_MS) await sleep(wait);
+    },
+  };
+}
+
+/**
+ * Passes documents through a rate limiter.
+ * @param {AsyncIterable<Object>} docs - Documents, e.g. a cursor
+ * @param {{limited: boolean, take: Function}} limiter - Limiter from {@link createRateLimiter}
+ * @returns {AsyncIterable<Object>} The same documents, paced
+ */
+export async function* throttle(docs, limiter) {
+  for await (const doc of docs) {
+    if (limiter.limited) await limiter.take(doc);
+    yield doc;
+  }
+}
+
+export default createRateLimiter;
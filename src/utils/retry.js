@@ -0,0 +1,75 @@
+import { setTimeout as sleep } from "timers/promises";
+import { MongoNetworkError, MongoServerSelectionError } from "mongodb";
+
+// Server error codes that clear up on their own: failovers, shutdowns, network timeouts
+// and write concern failures
+const TRANSIENT_ERROR_CODES = new Set([
+  6, // HostUnreachable
+  7, // HostNotFound
+  64, // WriteConcernFailed
+  89, // NetworkTimeout
+  91, // ShutdownInProgress
+  189, // PrimarySteppedDown
+  262, // ExceededTimeLimit
+  9001, // SocketException
+  10107, // NotWritablePrimary
+  11600, // InterruptedAtShutdown
+  11602, // InterruptedDueToReplStateChange
+  13435, // NotPrimaryNoSecondaryOk
+  13436, // NotPrimaryOrSecondary
+]);
+
+/**
+ * Tells whether an error is worth retrying: network and server selection errors,
+ * errors labelled retryable by the server, and write concern failures.
+ * @param {Error} err - Error thrown by the driver
+ * @returns {boolean}
+ */
+export function isTransientError(err) {
+  if (!err) return false;
+  if (err instanceof MongoNetworkError || err instanceof MongoServerSelectionError) return true;
+  if (typeof err.hasErrorLabel === "function" && err.hasErrorLabel("RetryableWriteError")) {
+    return true;
+  }
+  if (err.writeConcernError || err.result?.getWriteConcernError?.()) return true;
+  return TRANSIENT_ERROR_CODES.has(err.code);
+}
+
+/**
+ * Runs `fn` until it succeeds, retrying transient errors with exponential backoff and jitter.
+ *
+ * @param {(attempt: number) => Promise<*>} fn - Operation to run; receives the attempt number (0 first)
+ * @param {Object} [options]
+ * @param {number} [options.retries=5] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=500] - Delay before the first retry; doubles on each retry
+ * @param {number} [options.maxDelayMs=30000] - Upper bound for a single delay
+ * @param {(err: Error) => boolean} [options.isRetryable=isTransientError] - Which errors to retry
+ * @param {(err: Error, attempt: number, delayMs: number) => void} [options.onRetry] - Called before
+ *        each retry
+ * @returns {Promise<*>} The result of `fn`
+ * @throws {Error} The last error once retries are exhausted, or the first non-retryable one
+ */
+export async function withRetry(
+  fn,
+  {
+    retries = 5,
+    baseDelayMs = 500,
+    maxDelayMs = 30000,
+    isRetryable = isTransientError,
+    onRetry = null,
+  } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      // Full jitter keeps parallel workers from retrying in lockstep
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      if (onRetry) onRetry(err, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+export default withRetry;
@@ -0,0 +1,27 @@
+/**
+ * Formats rows as a plain-text table with a header and a separator line.
+ * Numbers are right-aligned, everything else left-aligned.
+ *
+ * @param {string[]} headers - Column titles
+ * @param {Array<Array<*>>} rows - Cell values, one array per row
+ * @returns {string} Table text without a trailing newline
+ */
+export function formatTable(headers, rows) {
+  const cells = rows.map((row) => row.map((value) => String(value ?? "")));
+  const widths = headers.map((header, i) =>
+    Math.max(header.length, ...cells.map((row) => row[i].length))
+  );
+  const line = (values, raw) =>
+    values
+      .map((value, i) =>
+        typeof raw?.[i] === "number" ? value.padStart(widths[i]) : value.padEnd(widths[i])
+      )
+      .join("  ")
+      .trimEnd();
+  // Headers of numeric columns line up with their values
+  return [
+    line(headers, rows[0]),
+    widths.map((w) => "-".repeat(w)).join("  "),
+    ...cells.map((row, r) => line(row, rows[r])),
+  ].join("\n");
+}
@@ -0,0 +1,68 @@
+import { jest } from "@jest/globals";
+import { EventEmitter } from "events";
+import {
+  ConfigError,
+  ConflictError,
+  MongodbCopyError,
+  copyCollections,
+  iterateCopy,
+} from "../src/api.js";
+import { normalizeWriteConcern, openClients } from "../src/core/clients.js";
+import { attachProgressBars } from "../src/utils/progressBars.js";
+
+describe("programmatic API", () => {
+  it("should load without connection settings in the environment", () => {
+    expect(process.env.SOURCE_DB_URI).toBeUndefined();
+    expect(typeof copyCollections).toBe("function");
+  });
+
+  it("should throw typed errors with stable codes", () => {
+    const err = new ConflictError("exists");
+    expect(err).toBeInstanceOf(MongodbCopyError);
+    expect(err.name).toBe("ConflictError");
+    expect(err.code).toBe("ERR_MONGODBCOPY_CONFLICT");
+  });
+
+  it("should report missing connection settings as configuration errors", async () => {
+    await expect(openClients({ dbName: "shop" })).rejects.toThrow(ConfigError);
+    await expect(openClients({ sourceUri: "mongodb://x" })).rejects.toThrow("dbName is required");
+    await expect(openClients({ sourceUri: "mongodb://x", dbName: "shop" })).rejects.toThrow(
+      "targetUri or targetClient is required"
+    );
+  });
+
+  it("should use given clients without closing them", async () => {
+    const client = { close: jest.fn() };
+    const clients = await openClients({ sourceClient: client, targetClient: client, dbName: "a" });
+    expect(clients.source).toBe(client);
+    expect(clients.sameServer).toBe(true);
+    await clients.close();
+    expect(client.close).not.toHaveBeenCalled();
+
+    const other = await openClients({ sourceClient: client, targetClient: {}, dbName: "a" });
+    expect(other.sameServer).toBe(false);
+  });
+
+  it("should accept write concerns as a w value or an object", () => {
+    expect(normalizeWriteConcern("majority")).toEqual({ w: "majority" });
+    expect(normalizeWriteConcern("2")).toEqual({ w: 2 });
+    expect(normalizeWriteConcern({ w: 1, journal: true })).toEqual({ w: 1, journal: true });
+    expect(normalizeWriteConcern(null)).toBeNull();
+    expect(() => normalizeWriteConcern(-1)).toThrow(ConfigError);
+  });
+
+  it("should rethrow the copy's error from iterateCopy", async () => {
+    const iterate = async () => {
+      for await (const event of iterateCopy({ atomic: true, resume: true })) event;
+    };
+    await expect(iterate()).rejects.toThrow(ConfigError);
+  });
+
+  it("should stop listening when progress bars are stopped", () => {
+    const events = new EventEmitter();
+    const bars = attachProgressBars(events);
+    expect(events.listenerCount("progress")).toBe(1);
+    bars.stop();
+    expect(events.listenerCount("progress")).toBe(0);
+  });
+});
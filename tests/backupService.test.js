@@ -0,0 +1,113 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  BACKUP_STATE_FILE,
+  pruneSnapshots,
+  runBackup,
+  selectSnapshotsToKeep,
+} from "../src/core/backupService.js";
+import { SNAPSHOT_FILE, listSnapshots, snapshotName } from "../src/core/snapshots.js";
+import { ConfigError } from "../src/utils/errors.js";
+
+const snapshot = (iso, type = "full") => ({
+  name: snapshotName(new Date(iso)),
+  type,
+  createdAt: new Date(iso),
+  complete: true,
+});
+
+// Newest first, like listSnapshots; incremental snapshots follow the next older one
+const daysOfSnapshots = (days, type = () => "full") => {
+  const snapshots = Array.from({ length: days }, (_, i) =>
+    snapshot(new Date(Date.UTC(2026, 2, 31 - i, 3)).toISOString(), type(i))
+  );
+  snapshots.forEach((s, i) => {
+    if (s.type === "incremental") s.previous = snapshots[i + 1]?.name;
+  });
+  return snapshots;
+};
+
+describe("backupService", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-backup-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeSnapshot = ({ name, ...info }) => {
+    fs.mkdirSync(path.join(dir, name));
+    fs.writeFileSync(path.join(dir, name, SNAPSHOT_FILE), JSON.stringify({ name, ...info }));
+  };
+
+  it("should name snapshots after their start time", () => {
+    expect(snapshotName(new Date("2026-03-01T02:30:00.000Z"))).toBe("2026-03-01T02-30-00-000Z");
+  });
+
+  it("should keep the newest snapshot of each recent day and week", () => {
+    const snapshots = daysOfSnapshots(30);
+    // Two snapshots on the newest day; only the later one counts for it
+    snapshots.unshift(snapshot("2026-03-31T20:00:00.000Z"));
+    const keep = selectSnapshotsToKeep(snapshots, { daily: 3, weekly: 2 });
+    expect([...keep].sort()).toEqual(
+      [
+        "2026-03-31T20:00:00.000Z", // newest, also Tuesday of this week
+        "2026-03-30T03:00:00.000Z",
+        "2026-03-29T03:00:00.000Z", // Sunday, last week
+      ]
+        .map((iso) => snapshotName(new Date(iso)))
+        .sort()
+    );
+  });
+
+  it("should keep the newest snapshots and what incremental ones build on", () => {
+    const snapshots = daysOfSnapshots(6, (i) => (i === 3 ? "full" : "incremental"));
+    expect(selectSnapshotsToKeep(snapshots, {}).size).toBe(4);
+    expect(selectSnapshotsToKeep(snapshots, { last: 5 }).size).toBe(6);
+    // A snapshot outside the chain is not kept for it
+    snapshots[0].previous = snapshots[2].name;
+    expect(selectSnapshotsToKeep(snapshots, {}).has(snapshots[1].name)).toBe(false);
+    const fulls = daysOfSnapshots(3);
+    expect([...selectSnapshotsToKeep(fulls, { last: 2 })]).toEqual(
+      fulls.slice(0, 2).map((s) => s.name)
+    );
+  });
+
+  it("should fill no retention slot with incomplete snapshots", () => {
+    const snapshots = daysOfSnapshots(6);
+    for (const i of [0, 1, 3]) snapshots[i].complete = false;
+    const names = (retention) => [...selectSnapshotsToKeep(snapshots, retention)].sort();
+    const kept = (...indexes) => indexes.map((i) => snapshots[i].name).sort();
+    // The newest snapshot stays for inspection, but the newest complete one is kept too
+    expect(names({})).toEqual(kept(0, 2));
+    expect(names({ last: 2 })).toEqual(kept(0, 2, 4));
+    expect(names({ daily: 3 })).toEqual(kept(0, 2, 4, 5));
+    expect(names({ weekly: 1 })).toEqual(kept(0, 2));
+  });
+
+  it("should list snapshots newest first and prune the rest", () => {
+    const snapshots = daysOfSnapshots(4);
+    snapshots.forEach(writeSnapshot);
+    fs.mkdirSync(path.join(dir, "unrelated"));
+    expect(listSnapshots(dir).map((s) => s.name)).toEqual(snapshots.map((s) => s.name));
+    expect(listSnapshots(path.join(dir, "missing"))).toEqual([]);
+
+    expect(pruneSnapshots(dir, {})).toEqual([]);
+    expect(pruneSnapshots(dir, { last: 2 })).toEqual(snapshots.slice(2).map((s) => s.name));
+    expect(fs.readdirSync(dir).sort()).toEqual(
+      [...snapshots.slice(0, 2).map((s) => s.name), "unrelated"].sort()
+    );
+  });
+
+  it("should remove the snapshot of a failed run and leave the state alone", async () => {
+    await expect(
+      runBackup({ outputDir: dir, dbName: "shop", format: "xml", incremental: true })
+    ).rejects.toThrow(ConfigError);
+    expect(fs.readdirSync(dir)).toEqual([]);
+    expect(fs.existsSync(path.join(dir, BACKUP_STATE_FILE))).toBe(false);
+  });
+});
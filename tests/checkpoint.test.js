@@ -0,0 +1,68 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { BSON } from "mongodb";
+import { createCheckpoint, resumeQuery } from "../src/core/checkpoint.js";
+
+describe("checkpoint", () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-checkpoint-"));
+    filePath = path.join(dir, "checkpoint.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should persist the last copied _id with its BSON type", () => {
+    const lastId = new BSON.ObjectId();
+    createCheckpoint(filePath, { dbName: "app" }).save("users", { lastId, copied: 1000 });
+
+    const resumed = createCheckpoint(filePath, { dbName: "app", resume: true });
+    const progress = resumed.get("users");
+    expect(progress.copied).toBe(1000);
+    expect(progress.done).toBe(false);
+    expect(progress.lastId).toBeInstanceOf(BSON.ObjectId);
+    expect(progress.lastId.equals(lastId)).toBe(true);
+  });
+
+  it("should merge completion into existing progress", () => {
+    const checkpoint = createCheckpoint(filePath, { dbName: "app" });
+    checkpoint.save("users", { lastId: "user-5", copied: 5 });
+    checkpoint.save("users", { done: true });
+    expect(createCheckpoint(filePath, { dbName: "app", resume: true }).get("users")).toEqual({
+      lastId: "user-5",
+      copied: 5,
+      done: true,
+    });
+  });
+
+  it("should start fresh when not resuming or when the database differs", () => {
+    createCheckpoint(filePath, { dbName: "app" }).save("users", { lastId: 1, copied: 1 });
+    expect(createCheckpoint(filePath, { dbName: "app" }).get("users")).toBeNull();
+    expect(createCheckpoint(filePath, { dbName: "other", resume: true }).get("users")).toBeNull();
+  });
+
+  it("should resume after the last _id across BSON types", () => {
+    // A numeric _id is followed by strings, ObjectIds, dates and so on, which $gt skips
+    const [byValue, byType] = resumeQuery(new BSON.Int32(5)).$or;
+    expect(byValue).toEqual({ _id: { $gt: new BSON.Int32(5) } });
+    expect(byType._id.$type).toEqual(
+      expect.arrayContaining(["string", "object", "objectId", "date"])
+    );
+    expect(byType._id.$type).not.toContain("double");
+    const [, afterObjectId] = resumeQuery(new BSON.ObjectId()).$or;
+    expect(afterObjectId._id.$type).toEqual(["bool", "date", "timestamp", "regex", "maxKey"]);
+    expect(resumeQuery(new BSON.MaxKey())).toEqual({ _id: { $gt: new BSON.MaxKey() } });
+  });
+
+  it("should remove the checkpoint file", () => {
+    const checkpoint = createCheckpoint(filePath, { dbName: "app" });
+    checkpoint.save("users", { lastId: 1, copied: 1 });
+    checkpoint.remove();
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+});
@@ -0,0 +1,41 @@
+// Set env vars before importing modules that validate them
+process.env.SOURCE_DB_URI = "mongodb://localhost:27017";
+process.env.TARGET_DB_URI = "mongodb://localhost:27017";
+process.env.DB_NAME = "test_db";
+
+const { perDatabasePath, resolveDatabases } = await import("../src/core/clusterService.js");
+
+describe("clusterService", () => {
+  const available = ["admin", "config", "local", "shop", "crm", "analytics_raw"];
+
+  it("should skip system databases unless named explicitly", () => {
+    expect(resolveDatabases(available, { allDatabases: true })).toEqual([
+      "shop",
+      "crm",
+      "analytics_raw",
+    ]);
+    expect(resolveDatabases(available, { databases: ["*"] })).toEqual([
+      "shop",
+      "crm",
+      "analytics_raw",
+    ]);
+    expect(resolveDatabases(available, { databases: ["admin", "shop"] })).toEqual([
+      "admin",
+      "shop",
+    ]);
+  });
+
+  it("should apply exclusions and ignore unknown databases", () => {
+    expect(
+      resolveDatabases(available, { allDatabases: true, excludeDatabases: ["analytics_*"] })
+    ).toEqual(["shop", "crm"]);
+    expect(resolveDatabases(available, { databases: ["shop", "missing"] })).toEqual(["shop"]);
+  });
+
+  it("should derive per-database file paths", () => {
+    expect(perDatabasePath(".mongodbcopy-checkpoint.json", "shop")).toBe(
+      ".mongodbcopy-checkpoint.shop.json"
+    );
+    expect(perDatabasePath("/tmp/dead-letter.ndjson", "crm")).toBe("/tmp/dead-letter.crm.ndjson");
+  });
+});
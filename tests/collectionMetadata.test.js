@@ -0,0 +1,80 @@
+import { jest } from "@jest/globals";
+import { ObjectId } from "mongodb";
+import {
+  applyValidation,
+  createCollectionLike,
+  createView,
+  deserializeMetadata,
+  isInternalCollection,
+  readCollectionMetadata,
+  serializeMetadata,
+} from "../src/core/collectionMetadata.js";
+
+function fakeDb(existing = []) {
+  return {
+    listCollections: ({ name }) => ({
+      toArray: async () => existing.filter((c) => c.name === name),
+    }),
+    createCollection: jest.fn(async () => {}),
+    command: jest.fn(async () => ({ ok: 1 })),
+    collection: jest.fn(() => ({ drop: jest.fn(async () => true) })),
+  };
+}
+
+describe("collectionMetadata", () => {
+  it("should skip view definitions and time-series buckets", () => {
+    expect(isInternalCollection("system.views")).toBe(true);
+    expect(isInternalCollection("system.buckets.metrics")).toBe(true);
+    expect(isInternalCollection("users")).toBe(false);
+  });
+
+  it("should round-trip metadata through a manifest entry", () => {
+    const id = new ObjectId();
+    const metadata = readCollectionMetadata({
+      name: "users",
+      type: "collection",
+      options: { validator: { ownerId: id }, capped: true, size: 4096 },
+    });
+    const entry = JSON.parse(JSON.stringify(serializeMetadata(metadata)));
+    expect(entry.type).toBeUndefined();
+    expect(deserializeMetadata(entry)).toEqual(metadata);
+    expect(serializeMetadata(readCollectionMetadata({ name: "plain" }))).toEqual({});
+    expect(deserializeMetadata(undefined)).toEqual({ type: "collection", options: {} });
+  });
+
+  it("should create missing collections without their validator", async () => {
+    const db = fakeDb();
+    const metadata = {
+      type: "collection",
+      options: { capped: true, size: 4096, validator: { a: 1 }, validationAction: "warn" },
+    };
+    expect(await createCollectionLike(db, "logs", metadata)).toBe(true);
+    expect(db.createCollection).toHaveBeenCalledWith("logs", { capped: true, size: 4096 });
+
+    await applyValidation(db, "logs", metadata);
+    expect(db.command).toHaveBeenCalledWith({
+      collMod: "logs",
+      validator: { a: 1 },
+      validationAction: "warn",
+    });
+  });
+
+  it("should keep existing target collections", async () => {
+    const db = fakeDb([{ name: "logs", type: "collection", options: {} }]);
+    expect(await createCollectionLike(db, "logs", { type: "collection", options: {} })).toBe(false);
+    expect(db.createCollection).not.toHaveBeenCalled();
+  });
+
+  it("should point views at renamed collections and refuse to replace collections", async () => {
+    const options = { viewOn: "users", pipeline: [{ $match: { active: true } }] };
+    const db = fakeDb([{ name: "active", type: "view", options }]);
+    await createView(db, "active", { type: "view", options }, { users: "people" });
+    expect(db.collection).toHaveBeenCalledWith("active");
+    expect(db.createCollection).toHaveBeenCalledWith("active", { ...options, viewOn: "people" });
+
+    const taken = fakeDb([{ name: "active", type: "collection", options: {} }]);
+    await expect(createView(taken, "active", { type: "view", options })).rejects.toThrow(
+      /collection of that name exists/
+    );
+  });
+});
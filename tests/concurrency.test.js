@@ -0,0 +1,39 @@
+import { mapWithConcurrency } from "../src/utils/concurrency.js";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("mapWithConcurrency", () => {
+  it("should keep results in input order", async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+      await delay(ms);
+      return index;
+    });
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  it("should never exceed the concurrency limit", async () => {
+    let active = 0;
+    let peak = 0;
+    await mapWithConcurrency(Array.from({ length: 10 }), 3, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(5);
+      active--;
+    });
+    expect(peak).toBe(3);
+  });
+
+  it("should stop scheduling after a failure and rethrow it", async () => {
+    const started = [];
+    const run = mapWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+      started.push(item);
+      if (item === 2) throw new Error("boom");
+    });
+    await expect(run).rejects.toThrow("boom");
+    expect(started).toEqual([1, 2]);
+  });
+
+  it("should handle an empty list", async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
@@ -1,6 +1,9 @@
 import { jest } from "@jest/globals";
 import fs from "fs";
+import os from "os";
 import path from "path";
+import { MongoBulkWriteError, MongoNetworkError } from "mongodb";
+import { ConfigError, ConflictError } from "../src/utils/errors.js";
 
 // Set env vars before any imports to prevent validation errors
 process.env.SOURCE_DB_URI = "mongodb://localhost:27017";
@@ -20,6 +23,18 @@ describe("mongodbcopy", () => {
       expect(api.copyCollectionsNamed).toBeDefined();
       expect(typeof api.copyCollectionsNamed).toBe("function");
     });
+
+    it("should export syncCollections from api.js", async () => {
+      const api = await import("../src/api.js");
+      expect(api.syncCollections).toBeDefined();
+      expect(typeof api.syncCollections).toBe("function");
+    });
+
+    it("should export verifyCollections from api.js", async () => {
+      const api = await import("../src/api.js");
+      expect(api.verifyCollections).toBeDefined();
+      expect(typeof api.verifyCollections).toBe("function");
+    });
   });
 
   describe("copyCollections function", () => {
@@ -55,6 +70,29 @@ describe("mongodbcopy", () => {
       expect(copyCollections).toBeDefined();
       expect(() => copyCollections.length).not.toThrow();
     });
+
+    it("should reject unknown conflict strategies before connecting", async () => {
+      const { ON_CONFLICT_STRATEGIES } = await import("../src/core/copyService.js");
+      expect(ON_CONFLICT_STRATEGIES).toEqual([
+        "overwrite-collection",
+        "replace",
+        "skip-existing",
+        "merge",
+        "fail",
+      ]);
+      await expect(copyCollections({ onConflict: "upsert" })).rejects.toThrow(
+        'Invalid onConflict "upsert"'
+      );
+    });
+
+    it("should reject atomic copies that merge into the target", async () => {
+      await expect(copyCollections({ atomic: true, incremental: true })).rejects.toThrow(
+        'need onConflict "overwrite-collection"'
+      );
+      await expect(copyCollections({ atomic: true, resume: true })).rejects.toThrow(
+        "without resume"
+      );
+    });
   });
 
   describe("Configuration", () => {
@@ -71,6 +109,48 @@ describe("mongodbcopy", () => {
       expect(envModule.default).toBeDefined();
       expect(envModule.default.BATCH_SIZE).toBeDefined();
     });
+
+    it("should default TARGET_DB_NAME to DB_NAME", async () => {
+      const envModule = await import("../src/utils/config/env.js");
+      expect(envModule.TARGET_DB_NAME).toBe(envModule.DB_NAME);
+      expect(envModule.COLLECTION_RENAME).toEqual({});
+    });
+
+    it("should default the target database to the given one unless TARGET_DB_NAME is set", async () => {
+      const { resolveTargetDbName } = await import("../src/utils/config/env.js");
+      expect(resolveTargetDbName("shop")).toBe("shop");
+      process.env.TARGET_DB_NAME = "shop_copy";
+      try {
+        expect(resolveTargetDbName("shop")).toBe("shop_copy");
+      } finally {
+        delete process.env.TARGET_DB_NAME;
+      }
+    });
+
+    it("should report missing settings as a ConfigError", async () => {
+      const { validateEnv } = await import("../src/utils/config/env.js");
+      const uri = process.env.SOURCE_DB_URI;
+      delete process.env.SOURCE_DB_URI;
+      try {
+        expect(() => validateEnv()).toThrow(ConfigError);
+        expect(() => validateEnv()).toThrow(
+          "Missing required environment variables: SOURCE_DB_URI"
+        );
+        expect(() => validateEnv({ sourceUri: "mongodb://localhost:27017" })).not.toThrow();
+      } finally {
+        process.env.SOURCE_DB_URI = uri;
+      }
+    });
+
+    it("should parse source:target collection mappings", async () => {
+      const { parseCollectionMap } = await import("../src/utils/config/env.js");
+      expect(parseCollectionMap("users:users_archive, posts : posts_bak")).toEqual({
+        users: "users_archive",
+        posts: "posts_bak",
+      });
+      expect(parseCollectionMap(undefined)).toEqual({});
+      expect(() => parseCollectionMap("users")).toThrow("expected source:target");
+    });
   });
 
   describe("Utilities", () => {
@@ -215,4 +295,296 @@ describe("mongodbcopy", () => {
       expect(path.resolve).toBeDefined();
     });
   });
+
+  describe("Writes against stubbed collections", () => {
+    let copyCollections;
+    let dir;
+
+    beforeAll(async () => {
+      ({ copyCollections } = await import("../src/core/copyService.js"));
+    });
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-copy-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // A source "users" collection serving `docs`, and a target one recording its writes;
+    // `target` overrides the target collection's methods and `db` the target database's
+    const stubCopy = (docs, target = {}, db = {}) => {
+      const finds = [];
+      const writes = [];
+      const cursor = {
+        sort: () => cursor,
+        async *[Symbol.asyncIterator]() {
+          yield* docs;
+        },
+      };
+      const listed = { toArray: async () => [{ name: "users", type: "collection", options: {} }] };
+      const sourceDb = {
+        listCollections: () => listed,
+        collection: () => ({
+          countDocuments: async () => docs.length,
+          find: (query) => {
+            finds.push(query);
+            return cursor;
+          },
+          indexes: async () => [],
+        }),
+      };
+      const targetCol = {
+        collectionName: "users",
+        deleteMany: async (query) => writes.push(["deleteMany", query]),
+        findOne: async () => null,
+        // Copies reuse their batch array, so record what it held
+        insertMany: async (batch) => writes.push(["insertMany", [...batch]]),
+        bulkWrite: async (ops) => {
+          writes.push(["bulkWrite", ops]);
+          return { upsertedCount: 0 };
+        },
+        ...target,
+      };
+      const targetDb = { listCollections: () => listed, collection: () => targetCol, ...db };
+      const run = (options) =>
+        copyCollections({
+          sourceClient: { db: () => sourceDb },
+          targetClient: { db: () => targetDb },
+          dbName: "shop",
+          collections: ["users"],
+          showProgress: false,
+          retryDelay: 1,
+          checkpointPath: path.join(dir, "checkpoint.json"),
+          deadLetterPath: path.join(dir, "dead-letter.ndjson"),
+          ...options,
+        });
+      return { run, finds, writes };
+    };
+
+    const duplicateKey = (index, keyPattern) =>
+      new MongoBulkWriteError(
+        {
+          message: "E11000 duplicate key error",
+          code: 11000,
+          writeErrors: [{ index, code: 11000, errmsg: "E11000 duplicate key error", keyPattern }],
+        },
+        { insertedCount: 0, upsertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0 }
+      );
+
+    it("should combine the filter with the incremental window", async () => {
+      const since = new Date("2026-03-01T00:00:00Z");
+      const { run, finds } = stubCopy([{ _id: 1 }]);
+      await run({});
+      await run({ filter: { active: true } });
+      await run({ filter: { active: true }, incremental: true, since });
+      await run({
+        filter: { active: true },
+        collectionOptions: { users: { filter: { role: "admin" } } },
+        incremental: true,
+        since,
+      });
+      expect(finds).toEqual([
+        {},
+        { active: true },
+        { $and: [{ active: true }, { _updatedAt: { $gte: since } }] },
+        { $and: [{ role: "admin" }, { _updatedAt: { $gte: since } }] },
+      ]);
+    });
+
+    it("should leave out documents the transform returns null for", async () => {
+      const docs = [{ _id: 1 }, { _id: 2 }, { _id: 3 }];
+      const { run, writes } = stubCopy(docs);
+      const transform = (doc) => (doc._id === 2 ? null : { ...doc, copied: true });
+      const [result] = await run({ transform });
+      expect(result).toMatchObject({ status: "copied", copied: 2, excluded: 1, inserted: 2 });
+      expect(writes).toEqual([
+        ["deleteMany", {}],
+        [
+          "insertMany",
+          [
+            { _id: 1, copied: true },
+            { _id: 3, copied: true },
+          ],
+        ],
+      ]);
+    });
+
+    it("should write each conflict strategy's operations", async () => {
+      const docs = [
+        { _id: 1, name: "a" },
+        { _id: 2, name: "b" },
+      ];
+      const copy = async (onConflict, target) => {
+        const { run, writes } = stubCopy(docs, target);
+        const [result] = await run({ onConflict });
+        return { result, writes };
+      };
+
+      expect((await copy("overwrite-collection")).writes).toEqual([
+        ["deleteMany", {}],
+        ["insertMany", docs],
+      ]);
+
+      const checked = [];
+      const fail = await copy("fail", { findOne: async (query) => checked.push(query) && null });
+      expect(checked).toEqual([{ _id: { $in: [1, 2] } }]);
+      expect(fail.writes).toEqual([["insertMany", docs]]);
+
+      const replace = await copy("replace");
+      expect(replace.writes).toEqual([
+        [
+          "bulkWrite",
+          docs.map((doc) => ({
+            replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true },
+          })),
+        ],
+      ]);
+      expect(replace.result).toMatchObject({ inserted: 0, replaced: 2, skipped: 0 });
+
+      const merge = await copy("merge");
+      expect(merge.writes[0][1]).toEqual(
+        docs.map(({ _id, name }) => ({
+          updateOne: { filter: { _id }, update: { $set: { name } }, upsert: true },
+        }))
+      );
+
+      const skip = await copy("skip-existing");
+      expect(skip.writes[0][1]).toEqual(
+        docs.map(({ _id, name }) => ({
+          updateOne: { filter: { _id }, update: { $setOnInsert: { name } }, upsert: true },
+        }))
+      );
+      expect(skip.result).toMatchObject({ inserted: 0, replaced: 0, skipped: 2 });
+    });
+
+    it("should preview inserts, updates and deletes without writing", async () => {
+      const docs = [
+        { _id: 1, name: "a" },
+        { _id: 2, name: "b" },
+      ];
+      const existing = [
+        { _id: 2, name: "old" },
+        { _id: 3, name: "gone" },
+      ];
+      // Serves the target's documents, or those of an `_id` lookup
+      const find = (query) => {
+        const ids = query._id?.$in;
+        const found = ids ? existing.filter((doc) => ids.includes(doc._id)) : existing;
+        const cursor = {
+          sort: () => cursor,
+          async *[Symbol.asyncIterator]() {
+            yield* found;
+          },
+        };
+        return cursor;
+      };
+      const preview = async (onConflict) => {
+        const { run, writes } = stubCopy(docs, { find, indexes: async () => [] });
+        const [result] = await run({ diff: true, onConflict });
+        expect(writes).toEqual([]);
+        return result;
+      };
+
+      expect(await preview("replace")).toMatchObject({
+        status: "diff",
+        copied: 0,
+        total: 2,
+        diff: { insert: 1, update: 1, unchanged: 0, delete: 0, insertIds: [1], updateIds: [2] },
+      });
+      // Only a copy that replaces the collection deletes target-only documents
+      expect(await preview("overwrite-collection")).toMatchObject({
+        diff: { insert: 1, update: 1, delete: 1, deleteIds: [3] },
+      });
+    });
+
+    describe("atomic copies", () => {
+      const docs = [{ _id: 1 }, { _id: 2 }];
+      const swapName = "__mongodbcopy_tmp_users";
+
+      // A target database holding "users" with an email index; `ops` records every call on
+      // it and its collections, and `insertMany` replaces the collections' inserts
+      const stubTarget = (insertMany = null) => {
+        const ops = [];
+        const collection = (name) => ({
+          collectionName: name,
+          deleteMany: async (query) => ops.push(["deleteMany", name, query]),
+          insertMany: insertMany || (async (batch) => ops.push(["insertMany", name, [...batch]])),
+          drop: async () => ops.push(["drop", name]),
+          rename: async (to, options) => ops.push(["rename", name, to, options]),
+          createIndex: async (key, options) => ops.push(["createIndex", name, key, options]),
+          indexes: async () => [
+            { v: 2, key: { _id: 1 }, name: "_id_" },
+            { v: 2, key: { email: 1 }, name: "email_1", unique: true },
+          ],
+        });
+        const db = {
+          collection,
+          // Only the live collection exists
+          listCollections: (query) => ({
+            toArray: async () =>
+              query?.name === swapName ? [] : [{ name: "users", type: "collection", options: {} }],
+          }),
+          createCollection: async (name) => ops.push(["createCollection", name]),
+        };
+        return { db, ops };
+      };
+
+      it("should fill a temporary collection and swap it in with the live indexes", async () => {
+        const target = stubTarget();
+        const { run } = stubCopy(docs, {}, target.db);
+        const [result] = await run({ atomic: true });
+        expect(result).toMatchObject({ status: "copied", copied: 2 });
+        expect(target.ops).toEqual([
+          // Left over from a crashed run
+          ["drop", swapName],
+          ["createCollection", swapName],
+          ["deleteMany", swapName, {}],
+          ["insertMany", swapName, docs],
+          ["createIndex", swapName, { email: 1 }, { name: "email_1", unique: true }],
+          ["rename", swapName, "users", { dropTarget: true }],
+        ]);
+      });
+
+      it("should drop the temporary collection and keep the target when the copy fails", async () => {
+        const target = stubTarget(async () => {
+          throw new Error("disk full");
+        });
+        const { run } = stubCopy(docs, {}, target.db);
+        await expect(run({ atomic: true })).rejects.toThrow("disk full");
+        expect(target.ops.at(-1)).toEqual(["drop", swapName]);
+        expect(target.ops.some(([op]) => op === "rename")).toBe(false);
+        expect(target.ops.some(([, name]) => name === "users")).toBe(false);
+      });
+    });
+
+    it("should keep fail semantics when retrying an interrupted batch", async () => {
+      const docs = [{ _id: 1 }, { _id: 2 }];
+      let attempts = 0;
+      const { run, writes } = stubCopy(docs, {
+        insertMany: async () => {
+          attempts++;
+          // The first attempt dies after writing _id 1, so the retry finds it
+          if (attempts === 1) throw new MongoNetworkError("connection reset");
+          throw duplicateKey(0, { _id: 1 });
+        },
+      });
+      const [result] = await run({ onConflict: "fail" });
+      expect(attempts).toBe(2);
+      expect(result).toMatchObject({ status: "copied", copied: 2, inserted: 2, failed: 0 });
+      expect(writes.some(([op]) => op === "bulkWrite")).toBe(false);
+    });
+
+    it("should report other duplicate keys under fail as conflicts", async () => {
+      const { run } = stubCopy([{ _id: 1, email: "a@b" }], {
+        insertMany: async () => {
+          throw duplicateKey(0, { email: 1 });
+        },
+      });
+      const copy = run({ onConflict: "fail" });
+      await expect(copy).rejects.toThrow(ConflictError);
+      await expect(copy).rejects.toThrow("Document 1 conflicts with an existing document");
+    });
+  });
 });
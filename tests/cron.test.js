@@ -0,0 +1,43 @@
+import { nextCronRun, parseCron } from "../src/utils/cron.js";
+import { ConfigError } from "../src/utils/errors.js";
+
+const at = (...parts) => new Date(2026, ...parts);
+
+describe("cron", () => {
+  it("should match minutes, hours, ranges, lists and steps", () => {
+    const matches = parseCron("*/15 9-17 * * 1-5");
+    expect(matches(at(2, 2, 9, 30))).toBe(true); // Monday
+    expect(matches(at(2, 2, 9, 31))).toBe(false);
+    expect(matches(at(2, 2, 18, 0))).toBe(false);
+    expect(matches(at(2, 1, 10, 0))).toBe(false); // Sunday
+    expect(parseCron("0 0,12 * * *")(at(0, 5, 12, 0))).toBe(true);
+  });
+
+  it("should accept either day field when both are restricted", () => {
+    const matches = parseCron("0 0 1 * 7");
+    expect(matches(at(3, 1, 0, 0))).toBe(true); // 1st, a Wednesday
+    expect(matches(at(3, 5, 0, 0))).toBe(true); // a Sunday
+    expect(matches(at(3, 6, 0, 0))).toBe(false);
+  });
+
+  it("should find the next run after a time", () => {
+    expect(nextCronRun("30 2 * * *", at(0, 10, 2, 30))).toEqual(at(0, 11, 2, 30));
+    expect(nextCronRun("@hourly", at(0, 10, 2, 30, 15))).toEqual(at(0, 10, 3, 0));
+    expect(nextCronRun("@monthly", at(0, 10))).toEqual(at(1, 1));
+  });
+
+  it("should skip over months, days and hours that do not match", () => {
+    expect(nextCronRun("0 0 29 2 *", at(2, 1))).toEqual(new Date(2028, 1, 29));
+    expect(nextCronRun("59 23 31 12 *", at(11, 31, 23, 59))).toEqual(
+      new Date(2027, 11, 31, 23, 59)
+    );
+    expect(nextCronRun("0 12 13 * 5", at(0, 14))).toEqual(at(0, 16, 12, 0)); // a Friday
+  });
+
+  it("should reject malformed or impossible expressions", () => {
+    expect(() => parseCron("* * * *")).toThrow(ConfigError);
+    expect(() => parseCron("60 * * * *")).toThrow("Invalid cron minute");
+    expect(() => parseCron("* * * * mon")).toThrow("Invalid cron day of week");
+    expect(() => nextCronRun("0 0 31 2 *")).toThrow("never matches");
+  });
+});
@@ -0,0 +1,130 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { BSON } from "mongodb";
+import {
+  createCsvWriter,
+  flattenDocument,
+  parseCell,
+  parseCsvTypes,
+  readCsv,
+  roundTripCsv,
+} from "../src/utils/csvStream.js";
+
+const { ObjectId, Double, Long } = BSON;
+
+async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+describe("csvStream", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-csv-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should flatten nested objects into dotted paths", () => {
+    expect(flattenDocument({ _id: 1, a: { b: { c: 2 }, d: [1] }, e: {} })).toEqual({
+      _id: 1,
+      "a.b.c": 2,
+      "a.d": [1],
+      e: {},
+    });
+  });
+
+  it("should write flattened columns with quoting and record their types", async () => {
+    const id = new ObjectId();
+    const filePath = path.join(dir, "users.csv");
+    const writer = createCsvWriter(filePath);
+    await writer.write({ _id: id, name: 'Ann, "A"', address: { city: "Oslo" }, tags: ["x"] });
+    await writer.write({ _id: new ObjectId(), name: "Bob\nB", age: 40, note: null });
+    expect(await writer.close()).toBe(2);
+
+    const [header, firstRow] = fs.readFileSync(filePath, "utf8").split("\n");
+    expect(header).toBe("_id,name,address.city,tags,age,note");
+    expect(firstRow).toBe(`${id.toHexString()},"Ann, ""A""",Oslo,"[""x""]",,`);
+    expect(writer.layout()).toEqual({
+      columns: ["_id", "name", "address.city", "tags", "age", "note"],
+      types: {
+        _id: "objectId",
+        name: "string",
+        "address.city": "string",
+        tags: "json",
+        age: "int",
+      },
+      omitted: [],
+    });
+  });
+
+  it("should write only the given fields, and list fields missing from inferred columns", async () => {
+    const selected = createCsvWriter(path.join(dir, "selected.csv"), { fields: ["a.b", "c"] });
+    await selected.write({ a: { b: 1, x: 2 }, c: "y", d: 3 });
+    await selected.close();
+    expect(fs.readFileSync(path.join(dir, "selected.csv"), "utf8")).toBe("a.b,c\n1,y\n");
+
+    const inferred = createCsvWriter(path.join(dir, "inferred.csv"), { sampleSize: 1 });
+    await inferred.write({ _id: 1 });
+    await inferred.write({ _id: 2, late: true });
+    await inferred.close();
+    expect(inferred.layout().omitted).toEqual(["late"]);
+  });
+
+  it("should read rows back into nested, typed documents", async () => {
+    const filePath = path.join(dir, "users.csv");
+    fs.writeFileSync(
+      filePath,
+      '\uFEFF_id,name,address.city,zip,active,score,tags\r\n1,"Ann\r\n""A""",Oslo,01234,true,1.5,"[1,2]"\r\n2,Bob,,,false,,\r\n'
+    );
+    const docs = await collect(readCsv(filePath, { types: { tags: "json", _id: "long" } }));
+    expect(docs).toEqual([
+      {
+        _id: Long.fromNumber(1),
+        name: 'Ann\r\n"A"',
+        address: { city: "Oslo" },
+        zip: "01234",
+        active: true,
+        score: 1.5,
+        tags: [1, 2],
+      },
+      { _id: Long.fromNumber(2), name: "Bob", active: false },
+    ]);
+  });
+
+  it("should report the line of rows that do not match the header or their types", async () => {
+    const filePath = path.join(dir, "bad.csv");
+    fs.writeFileSync(filePath, "_id,age\n1,2\n2,x\n");
+    await expect(collect(readCsv(filePath, { types: { age: "int" } }))).rejects.toThrow(
+      'bad.csv line 3: column age: "x" is not a valid int'
+    );
+    fs.writeFileSync(filePath, "_id\n1,2\n");
+    await expect(collect(readCsv(filePath))).rejects.toThrow("line 2: more cells than columns");
+  });
+
+  it("should convert cells with type hints", () => {
+    expect(parseCell("2024-01-02T00:00:00Z", "date")).toEqual(new Date("2024-01-02T00:00:00Z"));
+    expect(parseCell("3", "double")).toEqual(new Double(3));
+    expect(parseCell("007", "auto")).toBe("007");
+    expect(parseCell("-2e3", "auto")).toBe(-2000);
+    expect(() => parseCell("3000000000", "int")).toThrow("not a valid int");
+    expect(parseCsvTypes(["age:int", "meta:key:json"])).toEqual({ age: "int", "meta:key": "json" });
+    expect(() => parseCsvTypes(["age"])).toThrow("expected field:type");
+    expect(() => parseCsvTypes(["age:integer"])).toThrow('Invalid type "integer"');
+  });
+
+  it("should give the form a document is restored in after a CSV round trip", () => {
+    const doc = { _id: 1, a: { b: "2" }, n: null, list: [1] };
+    expect(roundTripCsv(doc, { types: { "a.b": "string", list: "json" } })).toEqual({
+      _id: 1,
+      a: { b: "2" },
+      list: [1],
+    });
+    expect(roundTripCsv(doc, { columns: ["a.b"] })).toEqual({ a: { b: 2 } });
+  });
+});
@@ -0,0 +1,51 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { BSON } from "mongodb";
+import { createDeadLetter } from "../src/core/deadLetter.js";
+
+describe("deadLetter", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-dead-letter-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should only create the file once a document is rejected", () => {
+    const filePath = path.join(dir, "failed.ndjson");
+    const deadLetter = createDeadLetter(filePath);
+    expect(deadLetter.count()).toBe(0);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it("should write one line per rejected document and replace older runs", () => {
+    const filePath = path.join(dir, "failed.ndjson");
+    fs.writeFileSync(filePath, "stale\n");
+    const deadLetter = createDeadLetter(filePath);
+    const id = new BSON.ObjectId();
+    deadLetter.add({
+      collection: "users",
+      target: "users",
+      code: 121,
+      error: "invalid",
+      document: { _id: id },
+    });
+    deadLetter.add({
+      collection: "users",
+      target: "users",
+      code: 11000,
+      error: "dup",
+      document: { _id: 2 },
+    });
+
+    const lines = fs.readFileSync(filePath, "utf8").trim().split("\n").map(JSON.parse);
+    expect(deadLetter.count()).toBe(2);
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ collection: "users", code: 121, error: "invalid" });
+    expect(BSON.EJSON.deserialize(lines[0].document)._id.equals(id)).toBe(true);
+  });
+});
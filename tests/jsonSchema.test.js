@@ -0,0 +1,70 @@
+import { Decimal128, Int32, Long, ObjectId } from "mongodb";
+import { bsonTypeOf, validateJsonSchema } from "../src/utils/jsonSchema.js";
+
+describe("jsonSchema", () => {
+  it("should name BSON types like $jsonSchema does", () => {
+    expect(bsonTypeOf(new ObjectId())).toBe("objectId");
+    expect(bsonTypeOf(new Date())).toBe("date");
+    expect(bsonTypeOf(new Int32(1))).toBe("int");
+    expect(bsonTypeOf(Long.fromNumber(1))).toBe("long");
+    expect(bsonTypeOf(Decimal128.fromString("1.5"))).toBe("decimal");
+    expect(bsonTypeOf(1)).toBe("int");
+    expect(bsonTypeOf(2 ** 40)).toBe("long");
+    expect(bsonTypeOf(1.5)).toBe("double");
+    expect(bsonTypeOf({ a: 1 })).toBe("object");
+  });
+
+  it("should report failing fields by path", () => {
+    const schema = {
+      bsonType: "object",
+      required: ["email", "address"],
+      additionalProperties: false,
+      properties: {
+        _id: { bsonType: "objectId" },
+        email: { bsonType: "string", pattern: "@" },
+        age: { bsonType: ["int", "long"], minimum: 0 },
+        tags: { bsonType: "array", uniqueItems: true, items: { bsonType: "string" } },
+        address: { bsonType: "object", required: ["zip"] },
+      },
+    };
+    const doc = {
+      _id: new ObjectId(),
+      email: "nobody",
+      age: -1,
+      tags: ["a", "a", 1],
+      address: {},
+      extra: true,
+    };
+    expect(validateJsonSchema(schema, doc).map(({ path, rule }) => `${path}:${rule}`)).toEqual([
+      "email:pattern",
+      "age:minimum",
+      "tags:uniqueItems",
+      "tags.2:bsonType",
+      "address.zip:required",
+      "extra:additionalProperties",
+    ]);
+    expect(
+      validateJsonSchema(schema, { ...doc, email: "a@b", age: 3, tags: [], extra: undefined })
+    ).toHaveLength(2);
+  });
+
+  it("should accept promoted numbers for double and long", () => {
+    expect(validateJsonSchema({ bsonType: "double" }, 3)).toEqual([]);
+    expect(validateJsonSchema({ bsonType: "long" }, 3)).toEqual([]);
+    expect(validateJsonSchema({ bsonType: "int" }, 3.5)).toHaveLength(1);
+    expect(validateJsonSchema({ type: "number" }, new Int32(3))).toEqual([]);
+  });
+
+  it("should combine schemas with anyOf, oneOf and not", () => {
+    const schema = {
+      anyOf: [{ bsonType: "string" }, { bsonType: "int" }],
+      not: { enum: ["forbidden"] },
+    };
+    expect(validateJsonSchema(schema, "ok")).toEqual([]);
+    expect(validateJsonSchema(schema, "forbidden")[0].rule).toBe("not");
+    expect(validateJsonSchema(schema, true)[0].rule).toBe("anyOf");
+    expect(validateJsonSchema({ oneOf: [{ minimum: 0 }, { maximum: 10 }] }, 5)[0].rule).toBe(
+      "oneOf"
+    );
+  });
+});
@@ -0,0 +1,176 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import crypto from "crypto";
+import { BSON } from "mongodb";
+import {
+  createJsonArrayWriter,
+  createNdjsonWriter,
+  readJsonArray,
+  readNdjson,
+} from "../src/utils/jsonStream.js";
+
+async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+describe("jsonStream", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-json-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should write the same layout as JSON.stringify(docs, null, 2)", async () => {
+    const docs = [
+      { _id: 1, name: "a\nb", tags: ["x", "y"] },
+      { _id: 2, nested: { ok: true } },
+    ];
+    const filePath = path.join(dir, "users.json");
+    const writer = createJsonArrayWriter(filePath);
+    for (const doc of docs) await writer.write(doc);
+    expect(await writer.close()).toBe(2);
+    expect(fs.readFileSync(filePath, "utf8")).toBe(JSON.stringify(docs, null, 2));
+  });
+
+  it("should write an empty array when no documents are written", async () => {
+    const filePath = path.join(dir, "empty.json");
+    const writer = createJsonArrayWriter(filePath);
+    expect(await writer.close()).toBe(0);
+    expect(fs.readFileSync(filePath, "utf8")).toBe("[]");
+  });
+
+  it("should remove the file when destroyed", async () => {
+    const filePath = path.join(dir, "aborted.json");
+    const writer = createJsonArrayWriter(filePath);
+    await writer.write({ _id: 1 });
+    writer.destroy();
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it("should read back pretty-printed and compact arrays", async () => {
+    const docs = [
+      { _id: 1, text: 'quote " and bracket ] and brace }', list: [1, [2, 3]] },
+      { _id: 2, escaped: "back\\slash", empty: {} },
+      "plain",
+      42,
+    ];
+    const pretty = path.join(dir, "pretty.json");
+    const compact = path.join(dir, "compact.json");
+    fs.writeFileSync(pretty, JSON.stringify(docs, null, 2));
+    fs.writeFileSync(compact, JSON.stringify(docs));
+    expect(await collect(readJsonArray(pretty))).toEqual(docs);
+    expect(await collect(readJsonArray(compact))).toEqual(docs);
+  });
+
+  it("should read documents split across many stream chunks", async () => {
+    const docs = Array.from({ length: 2000 }, (_, i) => ({ _id: i, payload: "x".repeat(100) }));
+    const filePath = path.join(dir, "large.json");
+    fs.writeFileSync(filePath, JSON.stringify(docs, null, 2));
+    expect(await collect(readJsonArray(filePath))).toEqual(docs);
+  });
+
+  it("should read an empty array", async () => {
+    const filePath = path.join(dir, "empty.json");
+    fs.writeFileSync(filePath, "[ ]\n");
+    expect(await collect(readJsonArray(filePath))).toEqual([]);
+  });
+
+  it("should reject files that are not a JSON array", async () => {
+    const notArray = path.join(dir, "object.json");
+    const truncated = path.join(dir, "truncated.json");
+    fs.writeFileSync(notArray, '{"_id": 1}');
+    fs.writeFileSync(truncated, '[{"_id": 1},');
+    await expect(collect(readJsonArray(notArray))).rejects.toThrow("expected a single");
+    await expect(collect(readJsonArray(truncated))).rejects.toThrow("unexpected end");
+  });
+
+  it("should write and read back gzip-compressed files", async () => {
+    const docs = Array.from({ length: 500 }, (_, i) => ({ _id: i, text: "é€ ".repeat(20) }));
+    const filePath = path.join(dir, "users.json.gz");
+    const writer = createJsonArrayWriter(filePath, { compress: "gzip" });
+    for (const doc of docs) await writer.write(doc);
+    await writer.close();
+
+    const text = zlib.gunzipSync(fs.readFileSync(filePath)).toString("utf8");
+    expect(text).toBe(JSON.stringify(docs, null, 2));
+    expect(writer.checksum()).toBe(crypto.createHash("sha256").update(text).digest("hex"));
+    expect(await collect(readJsonArray(filePath))).toEqual(docs);
+  });
+
+  it("should reject unknown compression formats", () => {
+    expect(() => createJsonArrayWriter(path.join(dir, "x.json"), { compress: "lz4" })).toThrow(
+      'Invalid compression "lz4"'
+    );
+  });
+
+  it("should write one compact document per line in NDJSON files", async () => {
+    const docs = [
+      { _id: 1, text: "a\nb" },
+      { _id: 2, nested: { ok: true } },
+    ];
+    const filePath = path.join(dir, "users.ndjson.gz");
+    const writer = createNdjsonWriter(filePath, { compress: "gzip" });
+    for (const doc of docs) await writer.write(doc);
+    expect(await writer.close()).toBe(2);
+
+    const text = zlib.gunzipSync(fs.readFileSync(filePath)).toString("utf8");
+    expect(text).toBe('{"_id":1,"text":"a\\nb"}\n{"_id":2,"nested":{"ok":true}}\n');
+    expect(await collect(readNdjson(filePath))).toEqual(docs);
+  });
+
+  it("should skip blank lines and report the line of invalid NDJSON", async () => {
+    const filePath = path.join(dir, "users.ndjson");
+    fs.writeFileSync(filePath, '{"_id":1}\n\n{"_id":2}');
+    expect(await collect(readNdjson(filePath))).toEqual([{ _id: 1 }, { _id: 2 }]);
+
+    fs.writeFileSync(filePath, '{"_id":1}\n{"_id":\n');
+    await expect(collect(readNdjson(filePath))).rejects.toThrow("users.ndjson line 2");
+  });
+
+  describe("Extended JSON", () => {
+    const { ObjectId, Double, Int32, Long, Decimal128, Binary } = BSON;
+    const original = {
+      _id: new ObjectId(),
+      price: new Double(10),
+      qty: new Int32(3),
+      views: Long.fromString("9007199254740993"),
+      amount: Decimal128.fromString("12.345"),
+      blob: new Binary(Buffer.from("hello")),
+      createdAt: new Date("2024-01-01T00:00:00Z"),
+      nested: [{ ratio: new Double(1) }],
+    };
+
+    it("should round-trip BSON types byte-for-byte in canonical mode", async () => {
+      const raw = BSON.serialize(original);
+      const filePath = path.join(dir, "typed.json");
+      const writer = createJsonArrayWriter(filePath, { ejson: "canonical" });
+      await writer.write(BSON.deserialize(raw, { promoteValues: false }));
+      await writer.close();
+
+      expect(fs.readFileSync(filePath, "utf8")).toContain('"$numberDouble": "10.0"');
+      const [doc] = await collect(readJsonArray(filePath, { ejson: "canonical" }));
+      expect(BSON.serialize(doc).equals(raw)).toBe(true);
+    });
+
+    it("should revive ObjectId and Date values in relaxed mode", async () => {
+      const filePath = path.join(dir, "relaxed.json");
+      const writer = createJsonArrayWriter(filePath, { ejson: "relaxed" });
+      await writer.write(original);
+      await writer.close();
+
+      const [doc] = await collect(readJsonArray(filePath, { ejson: "relaxed" }));
+      expect(doc._id).toBeInstanceOf(ObjectId);
+      expect(doc._id.equals(original._id)).toBe(true);
+      expect(doc.createdAt).toBeInstanceOf(Date);
+      expect(doc.amount).toBeInstanceOf(Decimal128);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import { jest } from "@jest/globals";
+import logger, { getLogFormat, setLogFormat } from "../src/utils/logger.js";
+
+describe("logger", () => {
+  afterEach(() => {
+    setLogFormat("text");
+    jest.restoreAllMocks();
+  });
+
+  it("should print one JSON object per line with structured fields", () => {
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    setLogFormat("json");
+    logger.info("users: copied", { collection: "users", copied: 5, durationMs: 12 });
+    logger.error(new Error("boom"));
+
+    const info = JSON.parse(log.mock.calls[0][0]);
+    expect(info).toEqual({
+      level: "info",
+      timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      message: "users: copied",
+      collection: "users",
+      copied: 5,
+      durationMs: 12,
+    });
+    const failure = JSON.parse(error.mock.calls[0][0]);
+    expect(failure).toMatchObject({ level: "error", message: "boom" });
+    expect(failure.stack).toContain("Error: boom");
+  });
+
+  it("should reject unknown formats", () => {
+    expect(() => setLogFormat("xml")).toThrow('Invalid log format "xml"');
+    expect(getLogFormat()).toBe("text");
+  });
+});
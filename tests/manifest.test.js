@@ -0,0 +1,121 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  describeBackup,
+  findBackupFile,
+  listBackupCollections,
+  readManifest,
+  removeStaleBackupFiles,
+  writeManifest,
+} from "../src/core/manifest.js";
+
+describe("manifest", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-manifest-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should find plain and compressed backup files", () => {
+    expect(findBackupFile(dir, "users")).toBeNull();
+    fs.writeFileSync(path.join(dir, "users.json.gz"), "");
+    expect(findBackupFile(dir, "users")).toBe(path.join(dir, "users.json.gz"));
+    fs.writeFileSync(path.join(dir, "users.json"), "[]");
+    expect(findBackupFile(dir, "users")).toBe(path.join(dir, "users.json"));
+
+    const manifest = { collections: { users: { file: "users.json.gz" } } };
+    expect(findBackupFile(dir, "users", manifest)).toBe(path.join(dir, "users.json.gz"));
+  });
+
+  it("should find NDJSON and CSV backups and restrict the lookup to a format", () => {
+    fs.writeFileSync(path.join(dir, "users.csv.zst"), "");
+    expect(findBackupFile(dir, "users")).toBe(path.join(dir, "users.csv.zst"));
+    fs.writeFileSync(path.join(dir, "users.json"), "[]");
+    const manifest = { collections: { users: { file: "users.json" } } };
+    expect(findBackupFile(dir, "users", manifest, "csv")).toBe(path.join(dir, "users.csv.zst"));
+    expect(findBackupFile(dir, "users", null, "ndjson")).toBeNull();
+  });
+
+  it("should describe CSV backups with the columns and types of their manifest entry", () => {
+    fs.writeFileSync(path.join(dir, "users.csv"), "_id\n");
+    const entry = { file: "users.csv", columns: ["_id", "age"], types: { _id: "int", age: "int" } };
+    const backup = describeBackup(
+      dir,
+      "users",
+      { collections: { users: entry } },
+      {
+        csvTypes: { age: "string" },
+      }
+    );
+    expect(backup).toEqual({
+      filePath: path.join(dir, "users.csv"),
+      indexFilePath: path.join(dir, "users_indexes.json"),
+      csv: { columns: ["_id", "age"], types: { _id: "int", age: "string" } },
+    });
+  });
+
+  it("should list the collections of a backup", () => {
+    for (const file of [
+      "users.json.gz",
+      "users_indexes.json",
+      "users_ids.json",
+      "users_deleted.json.gz",
+      "posts.json",
+      "manifest.json",
+      "snapshot.json",
+    ]) {
+      fs.writeFileSync(path.join(dir, file), "[]");
+    }
+    fs.writeFileSync(path.join(dir, "events.ndjson"), "");
+    fs.writeFileSync(path.join(dir, "orders.csv.gz"), "");
+    // Snapshot _id lists live in directories of their own
+    fs.mkdirSync(path.join(dir, "$ids"));
+    fs.writeFileSync(path.join(dir, "$ids", "users.json"), "[]");
+    expect(listBackupCollections(dir)).toEqual([
+      "events",
+      "orders",
+      "posts",
+      "users",
+      "users_deleted",
+      "users_ids",
+    ]);
+  });
+
+  it("should remove other formats of a collection's backup", () => {
+    for (const file of [
+      "users.json",
+      "users.csv",
+      "users.json.gz",
+      "users_indexes.json",
+      "posts.json",
+    ]) {
+      fs.writeFileSync(path.join(dir, file), "[]");
+    }
+    removeStaleBackupFiles(dir, "users", "users.json.gz");
+    expect(fs.readdirSync(dir).sort()).toEqual([
+      "posts.json",
+      "users.json.gz",
+      "users_indexes.json",
+    ]);
+  });
+
+  it("should record the export and keep earlier entries of the same database", () => {
+    const users = { file: "users.json.gz", count: 2, sha256: "abc" };
+    const posts = { file: "posts.json", count: 1, sha256: "def" };
+    writeManifest(dir, { dbName: "app", ejson: null, compress: "gzip", collections: { users } });
+    writeManifest(dir, { dbName: "app", ejson: null, compress: null, collections: { posts } });
+
+    const manifest = readManifest(dir);
+    expect(manifest).toMatchObject({ tool: "mongodbcopy", dbName: "app", compression: null });
+    expect(manifest.version).toEqual(expect.any(String));
+    expect(manifest.collections).toEqual({ users, posts });
+
+    writeManifest(dir, { dbName: "other", ejson: null, compress: null, collections: { posts } });
+    expect(readManifest(dir).collections).toEqual({ posts });
+  });
+});
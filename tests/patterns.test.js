@@ -0,0 +1,59 @@
+import {
+  compilePattern,
+  createNameMatcher,
+  filterNames,
+  isPattern,
+  selectNames,
+} from "../src/utils/patterns.js";
+
+describe("patterns", () => {
+  it("should match globs, regexes and literal names", () => {
+    expect(compilePattern("logs_*").test("logs_2024")).toBe(true);
+    expect(compilePattern("logs_*").test("audit_logs_2024")).toBe(false);
+    expect(compilePattern("user?").test("users")).toBe(true);
+    expect(compilePattern("a.b").test("axb")).toBe(false);
+    expect(compilePattern("/^tmp_/i").test("TMP_1")).toBe(true);
+    expect(() => compilePattern("/(/")).toThrow(/Invalid pattern/);
+  });
+
+  it("should tell patterns from literal names", () => {
+    expect(isPattern("users")).toBe(false);
+    expect(isPattern("users_*")).toBe(true);
+    expect(isPattern("/^users/")).toBe(true);
+  });
+
+  it("should filter names by include and exclude patterns", () => {
+    const names = ["users", "orders", "logs_1", "logs_2"];
+    expect(filterNames(names)).toEqual(names);
+    expect(filterNames(names, { include: ["logs_*", "users"] })).toEqual([
+      "users",
+      "logs_1",
+      "logs_2",
+    ]);
+    expect(filterNames(names, { exclude: ["/^logs_/"] })).toEqual(["users", "orders"]);
+  });
+
+  it("should combine explicit names with include and exclude patterns", () => {
+    const matches = createNameMatcher({
+      names: ["users"],
+      include: ["orders_*"],
+      exclude: ["*.tmp"],
+    });
+    expect(matches("users")).toBe(true);
+    expect(matches("orders_2024")).toBe(true);
+    expect(matches("orders_2024.tmp")).toBe(false);
+    expect(matches("posts")).toBe(false);
+  });
+
+  it("should report explicit names that do not exist", () => {
+    const available = ["orders_1", "users", "system.views"];
+    expect(selectNames(available, { names: ["users", "ghost"], include: ["orders_*"] })).toEqual({
+      selected: ["users", "orders_1"],
+      notFound: ["ghost"],
+    });
+    expect(selectNames(available, { exclude: ["system.*"] })).toEqual({
+      selected: ["orders_1", "users"],
+      notFound: [],
+    });
+  });
+});
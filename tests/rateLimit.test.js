@@ -0,0 +1,38 @@
+import { createRateLimiter, throttle } from "../src/utils/rateLimit.js";
+
+async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+describe("rateLimit", () => {
+  it("should pace documents to the per-second limit", async () => {
+    const limiter = createRateLimiter({ maxDocsPerSec: 100 });
+    const started = Date.now();
+    const docs = await collect(
+      throttle(
+        Array.from({ length: 11 }, (_, i) => ({ _id: i })),
+        limiter
+      )
+    );
+    expect(docs).toHaveLength(11);
+    // The first document goes at once, the next ten take 10ms each
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+  });
+
+  it("should pace by document size", async () => {
+    const limiter = createRateLimiter({ maxMbPerSec: 1 });
+    const big = { data: "x".repeat(100 * 1024) };
+    const started = Date.now();
+    await collect(throttle([big, big, big], limiter));
+    expect(Date.now() - started).toBeGreaterThanOrEqual(150);
+  });
+
+  it("should pass documents straight through without limits", async () => {
+    const limiter = createRateLimiter();
+    expect(limiter.limited).toBe(false);
+    expect(await collect(throttle([{ _id: 1 }], limiter))).toEqual([{ _id: 1 }]);
+    expect(() => createRateLimiter({ maxDocsPerSec: 0 })).toThrow("Invalid maxDocsPerSec 0");
+  });
+});
@@ -0,0 +1,60 @@
+import { jest } from "@jest/globals";
+import { createLagGuard, measureReplicationLag } from "../src/core/replicationLag.js";
+
+const member = (stateStr, seconds, extra = {}) => ({
+  stateStr,
+  state: stateStr === "PRIMARY" ? 1 : 2,
+  health: 1,
+  optimeDate: new Date(Date.UTC(2026, 0, 1, 0, 0, seconds)),
+  ...extra,
+});
+
+const fakeClient = (...statuses) => {
+  const command = jest.fn();
+  for (const status of statuses) {
+    if (status instanceof Error) command.mockRejectedValueOnce(status);
+    else command.mockResolvedValueOnce(status);
+  }
+  return { db: () => ({ command }), command };
+};
+
+describe("replicationLag", () => {
+  it("should measure the slowest healthy secondary", async () => {
+    const client = fakeClient({
+      members: [
+        member("PRIMARY", 30),
+        member("SECONDARY", 28),
+        member("SECONDARY", 20),
+        member("SECONDARY", 0, { health: 0 }),
+      ],
+    });
+    expect(await measureReplicationLag(client)).toBe(10);
+    expect(await measureReplicationLag(fakeClient({ members: [member("PRIMARY", 5)] }))).toBe(0);
+  });
+
+  it("should pause while the lag is above the threshold", async () => {
+    const lagging = { members: [member("PRIMARY", 30), member("SECONDARY", 0)] };
+    const caughtUp = { members: [member("PRIMARY", 30), member("SECONDARY", 29)] };
+    const client = fakeClient(lagging, caughtUp);
+    const onPause = jest.fn();
+    const guard = createLagGuard(client, { maxLagSeconds: 5, intervalMs: 20, onPause });
+    await guard.wait();
+    expect(onPause).toHaveBeenCalledWith(30);
+    expect(client.command).toHaveBeenCalledTimes(2);
+    // Measured again only once the interval has passed
+    await guard.wait();
+    expect(client.command).toHaveBeenCalledTimes(2);
+  });
+
+  it("should stop checking when the lag cannot be read", async () => {
+    const client = fakeClient(new Error("not running with --replSet"));
+    const onUnavailable = jest.fn();
+    const guard = createLagGuard(client, { maxLagSeconds: 5, intervalMs: 0, onUnavailable });
+    await guard.wait();
+    await guard.wait();
+    expect(onUnavailable).toHaveBeenCalledTimes(1);
+    expect(client.command).toHaveBeenCalledTimes(1);
+    await createLagGuard(client, { maxLagSeconds: null }).wait();
+    expect(client.command).toHaveBeenCalledTimes(1);
+  });
+});
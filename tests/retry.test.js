@@ -0,0 +1,48 @@
+import { isTransientError, withRetry } from "../src/utils/retry.js";
+
+describe("retry", () => {
+  const transient = () => Object.assign(new Error("not primary"), { code: 10107 });
+
+  it("should classify transient and permanent errors", () => {
+    expect(isTransientError(transient())).toBe(true);
+    expect(isTransientError({ message: "wc", writeConcernError: { code: 64 } })).toBe(true);
+    expect(isTransientError(Object.assign(new Error("dup"), { code: 11000 }))).toBe(false);
+    expect(isTransientError(new Error("boom"))).toBe(false);
+  });
+
+  it("should retry transient errors and pass the attempt number", async () => {
+    const attempts = [];
+    const retries = [];
+    const result = await withRetry(
+      async (attempt) => {
+        attempts.push(attempt);
+        if (attempt < 2) throw transient();
+        return "ok";
+      },
+      { baseDelayMs: 1, onRetry: (err, attempt) => retries.push(attempt) }
+    );
+    expect(result).toBe("ok");
+    expect(attempts).toEqual([0, 1, 2]);
+    expect(retries).toEqual([1, 2]);
+  });
+
+  it("should give up after the configured retries", async () => {
+    let calls = 0;
+    const failing = async () => {
+      calls++;
+      throw transient();
+    };
+    await expect(withRetry(failing, { retries: 2, baseDelayMs: 1 })).rejects.toThrow("not primary");
+    expect(calls).toBe(3);
+  });
+
+  it("should not retry permanent errors", async () => {
+    let calls = 0;
+    const failing = async () => {
+      calls++;
+      throw new Error("validation failed");
+    };
+    await expect(withRetry(failing, { baseDelayMs: 1 })).rejects.toThrow("validation failed");
+    expect(calls).toBe(1);
+  });
+});
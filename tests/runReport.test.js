@@ -0,0 +1,55 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { EXIT_CODES, buildRunReport, runOutcome, writeRunReport } from "../src/core/runReport.js";
+
+describe("runReport", () => {
+  const copied = { name: "users", status: "copied", copied: 500, total: 500, durationMs: 250 };
+  const rejected = { name: "orders", status: "copied", copied: 8, total: 10, failed: 2 };
+  const mismatch = { ...copied, name: "posts", verification: { status: "mismatch" } };
+
+  it("should tell success, partial and total failure apart", () => {
+    expect(runOutcome([copied, { name: "logs", status: "empty" }])).toBe("success");
+    expect(runOutcome([copied, rejected])).toBe("partial");
+    expect(runOutcome([mismatch, { name: "a", status: "schema-validation-failed" }])).toBe(
+      "failure"
+    );
+    expect(runOutcome([])).toBe("success");
+    expect(new Set(Object.values(EXIT_CODES)).size).toBe(3);
+  });
+
+  it("should summarize results with totals and throughput", () => {
+    const startedAt = new Date("2026-01-01T00:00:00Z");
+    const finishedAt = new Date("2026-01-01T00:00:02Z");
+    const report = buildRunReport({
+      command: "copy",
+      startedAt,
+      finishedAt,
+      results: [copied, rejected],
+    });
+    expect(report).toMatchObject({
+      durationMs: 2000,
+      outcome: "partial",
+      exitCode: EXIT_CODES.partial,
+      totals: { collections: 2, failedCollections: 1, copied: 508, total: 510, failedDocuments: 2 },
+    });
+    expect(report.collections[0].docsPerSec).toBe(2000);
+    expect(report.collections[1].docsPerSec).toBeUndefined();
+  });
+
+  it("should record the error of an aborted run and write the report", () => {
+    const error = Object.assign(new Error("boom"), { code: "ERR_X" });
+    const report = buildRunReport({ command: "export", startedAt: new Date(), results: [], error });
+    expect(report.outcome).toBe("failure");
+    expect(report.error).toEqual({ name: "Error", code: "ERR_X", message: "boom" });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-report-"));
+    try {
+      const filePath = path.join(dir, "reports", "run.json");
+      writeRunReport(filePath, report);
+      expect(JSON.parse(fs.readFileSync(filePath, "utf8")).exitCode).toBe(EXIT_CODES.failure);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,130 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { BSON } from "mongodb";
+
+// Set env vars before importing modules that validate them
+process.env.SOURCE_DB_URI = "mongodb://localhost:27017";
+process.env.TARGET_DB_URI = "mongodb://localhost:27017";
+process.env.DB_NAME = "test_db";
+
+const { checkSchema, compareSchemas, diffSchemas, inferSchema } = await import(
+  "../src/core/schemaService.js"
+);
+
+describe("schemaService", () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-schema-"));
+    filePath = path.join(dir, "users.json");
+    const docs = [{ _id: 1, email: "a@b" }, { _id: 2 }, { _id: 3, email: 7 }];
+    fs.writeFileSync(filePath, JSON.stringify(docs));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const rules = {
+    origin: "target",
+    validator: {
+      $jsonSchema: { required: ["email"], properties: { email: { bsonType: "string" } } },
+      status: { $exists: true },
+    },
+  };
+
+  it("should report failing fields of every document", async () => {
+    const report = await checkSchema("users", { filePath }, rules, { sampleSize: 0 });
+    expect(report).toMatchObject({
+      validator: "target",
+      validationAction: "error",
+      checked: 3,
+      failed: 2,
+      fields: {
+        email: { count: 2, rules: ["required", "bsonType"] },
+      },
+      unchecked: ["status"],
+    });
+    expect(report.failures.map((f) => f._id)).toEqual([2, 3]);
+  });
+
+  it("should check only the sample and apply the transform", async () => {
+    const transform = (doc) => ({ ...doc, email: "fixed@x" });
+    const report = await checkSchema("users", { filePath, transform }, rules, { sampleSize: 2 });
+    expect(report).toMatchObject({ checked: 2, failed: 0 });
+  });
+
+  it("should report when there is no schema to check", async () => {
+    const report = await checkSchema("users", { filePath }, null);
+    expect(report).toMatchObject({ validator: null, checked: 0, failed: 0 });
+  });
+
+  it("should infer field paths, types and frequencies", async () => {
+    const schema = await inferSchema([
+      { _id: 1, name: "a", tags: ["x", 2] },
+      { _id: 2, name: null, address: { zip: "1" } },
+    ]);
+    expect(schema.sampled).toBe(2);
+    expect(schema.fields).toEqual({
+      _id: { count: 2, types: { int: 2 } },
+      name: { count: 2, types: { string: 1, null: 1 } },
+      tags: { count: 1, types: { array: 1 } },
+      "tags[]": { count: 1, types: { string: 1, int: 1 } },
+      address: { count: 1, types: { object: 1 } },
+      "address.zip": { count: 1, types: { string: 1 } },
+    });
+  });
+
+  it("should list missing fields and type changes", async () => {
+    const source = await inferSchema([{ _id: 1, email: "a", age: 3 }]);
+    const target = await inferSchema([{ _id: 1, age: "3", legacy: true }, { _id: 2 }]);
+    expect(diffSchemas(source, target)).toEqual([
+      {
+        path: "age",
+        status: "type-mismatch",
+        source: { frequency: 1, types: { int: 1 } },
+        target: { frequency: 0.5, types: { string: 1 } },
+      },
+      {
+        path: "email",
+        status: "missing-in-target",
+        source: { frequency: 1, types: { string: 1 } },
+        target: null,
+      },
+      {
+        path: "legacy",
+        status: "missing-in-source",
+        source: null,
+        target: { frequency: 0.5, types: { bool: 1 } },
+      },
+    ]);
+    expect(diffSchemas(source, source)).toEqual([]);
+  });
+
+  it("should compare a plain JSON backup with the source in the backup's types", async () => {
+    const doc = { _id: new BSON.ObjectId(), at: new Date("2026-03-01T00:00:00Z"), n: 5 };
+    fs.writeFileSync(filePath, JSON.stringify([doc]));
+    const sourceClient = {
+      db: () => ({
+        listCollections: () => ({ toArray: async () => [{ name: "users", type: "collection" }] }),
+        collection: () => ({
+          find: async function* () {
+            yield { ...doc, n: new BSON.Int32(5) };
+          },
+        }),
+      }),
+    };
+    const [result] = await compareSchemas({
+      sourceClient,
+      dbName: "shop",
+      againstJson: true,
+      outputDir: dir,
+      collections: ["users"],
+      sampleSize: 0,
+    });
+    expect(result).toMatchObject({ name: "users", status: "match", drift: [] });
+    expect(result.schemas.source.fields._id.types).toEqual({ string: 1 });
+  });
+});
@@ -0,0 +1,157 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { BSON } from "mongodb";
+import {
+  SNAPSHOT_FILE,
+  planDelta,
+  compareIds,
+  readIdList,
+  resolveChain,
+  snapshotScope,
+  writeIdLists,
+} from "../src/core/snapshots.js";
+import { BackupFileError, ConfigError, MongodbCopyError } from "../src/utils/errors.js";
+
+async function* ids(...values) {
+  yield* values;
+}
+
+describe("snapshots", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-snapshots-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeSnapshot = (name, info) => {
+    fs.mkdirSync(path.join(dir, name));
+    fs.writeFileSync(
+      path.join(dir, name, SNAPSHOT_FILE),
+      JSON.stringify({ name, createdAt: `2026-03-0${name[1]}T00:00:00.000Z`, ...info })
+    );
+  };
+
+  it("should resolve the chain of the newest snapshot taken by a time", () => {
+    writeSnapshot("d1", { type: "full", complete: true });
+    writeSnapshot("d2", { type: "incremental", previous: "d1", complete: true });
+    writeSnapshot("d3", { type: "incremental", previous: "d2", complete: false });
+    writeSnapshot("d4", { type: "incremental", previous: "d2", complete: true });
+    writeSnapshot("d5", { type: "full", complete: true });
+
+    const names = (at) => resolveChain(dir, new Date(at)).map((s) => s.name);
+    expect(names("2026-03-01T12:00:00Z")).toEqual(["d1"]);
+    expect(names("2026-03-03T12:00:00Z")).toEqual(["d1", "d2"]);
+    expect(names("2026-03-04T12:00:00Z")).toEqual(["d1", "d2", "d4"]);
+    expect(names("2026-03-09T00:00:00Z")).toEqual(["d5"]);
+    expect(() => resolveChain(dir, new Date("2026-02-01"))).toThrow(ConfigError);
+
+    fs.rmSync(path.join(dir, "d2"), { recursive: true });
+    expect(() => resolveChain(dir, new Date("2026-03-04T12:00:00Z"))).toThrow(BackupFileError);
+  });
+
+  it("should build a delta on the newest complete snapshot of the same scope", () => {
+    const shop = snapshotScope({ dbName: "shop" });
+    const users = snapshotScope({ dbName: "shop", collections: ["users"] });
+    const cluster = snapshotScope({ databases: ["shop", "crm"], excludeDatabases: ["x"] });
+    expect(shop).toEqual({ dbName: "shop" });
+    expect(users).toEqual({ dbName: "shop", collections: ["users"] });
+    expect(cluster).toEqual({
+      databases: ["shop", "crm"],
+      allDatabases: false,
+      excludeDatabases: ["x"],
+    });
+
+    writeSnapshot("d1", { type: "full", scope: shop, complete: true });
+    writeSnapshot("d2", { type: "full", scope: cluster, complete: true });
+    writeSnapshot("d3", { type: "full", scope: users, complete: true });
+    writeSnapshot("d4", { type: "full", scope: shop, complete: false });
+
+    const { delta, previous } = planDelta(dir, shop, { timestampField: "_updatedAt" });
+    expect(previous.name).toBe("d1");
+    expect(delta).toMatchObject({ type: "incremental", base: "d1", previous: "d1", scope: shop });
+    expect(delta.since).toEqual(new Date("2026-03-01T00:00:00Z"));
+    expect(planDelta(dir, cluster, {}).previous.name).toBe("d2");
+    expect(() => planDelta(dir, { dbName: "crm" }, {})).toThrow(ConfigError);
+  });
+
+  it("should sort _ids like MongoDB does without a collation", () => {
+    const oid = new BSON.ObjectId("0123456789abcdef01234567");
+    const ids = [
+      new Date("2026-01-01"),
+      true,
+      oid,
+      { a: 1 },
+      "b",
+      "B",
+      new BSON.Long(10),
+      new BSON.Double(2.5),
+      new BSON.Int32(2),
+      null,
+    ];
+    expect([...ids].sort(compareIds)).toEqual([...ids].reverse());
+    expect(compareIds(new BSON.Int32(3), 3)).toBe(0);
+    expect(compareIds(new BSON.ObjectId("0123456789abcdef01234567"), oid)).toBe(0);
+    expect(compareIds({ a: 1, b: 1 }, { a: 1 })).toBeGreaterThan(0);
+  });
+
+  it("should compare Long and Decimal128 _ids by their exact value", () => {
+    const { Decimal128, Long } = BSON;
+    const ids = [
+      Decimal128.fromString("NaN"),
+      -Infinity,
+      Long.fromString("-9007199254740993"),
+      0.1,
+      Decimal128.fromString("0.11"),
+      Long.fromString("9007199254740992"),
+      Decimal128.fromString("9007199254740992.5"),
+      Long.fromString("9007199254740993"),
+      Decimal128.fromString("1E+400"),
+      Infinity,
+    ];
+    expect([...ids].reverse().sort(compareIds)).toEqual(ids);
+    // 0.1 as a double is slightly more than one tenth
+    expect(compareIds(Decimal128.fromString("0.1"), 0.1)).toBeLessThan(0);
+    expect(compareIds(Decimal128.fromString("2.50"), new BSON.Double(2.5))).toBe(0);
+    expect(compareIds(Long.fromString("9007199254740993"), 9007199254740992)).toBeGreaterThan(0);
+  });
+
+  it("should list _ids and record the ones deleted since the previous list", async () => {
+    const oid = new BSON.ObjectId();
+    // The data file of a collection named users_ids is left alone
+    fs.writeFileSync(path.join(dir, "users_ids.json"), "[]");
+    expect(await writeIdLists(dir, "users", [ids(1, "a", oid)], null)).toEqual({
+      idsFile: "$ids/users.json",
+    });
+    expect(readIdList(path.join(dir, "$ids/posts.json"))).toBeNull();
+
+    const next = path.join(dir, "next");
+    fs.mkdirSync(next);
+    const previous = readIdList(path.join(dir, "$ids/users.json"));
+    // An _id may come from both the export and the scan of unchanged documents
+    expect(await writeIdLists(next, "users", [ids("a", "b"), ids("b", "c")], previous)).toEqual({
+      idsFile: "$ids/users.json",
+      deletedFile: "$deleted/users.json",
+      deleted: 2,
+    });
+    const read = async (file) => {
+      const list = [];
+      for await (const _id of readIdList(path.join(next, file))) list.push(_id);
+      return list;
+    };
+    expect(await read("$ids/users.json")).toEqual(["a", "b", "c"]);
+    expect(fs.readFileSync(path.join(dir, "users_ids.json"), "utf8")).toBe("[]");
+    const deleted = await read("$deleted/users.json");
+    expect(deleted).toEqual([new BSON.Int32(1), oid]);
+  });
+
+  it("should refuse _id lists out of order", async () => {
+    await expect(writeIdLists(dir, "users", [ids("b", "a")], null)).rejects.toThrow(
+      MongodbCopyError
+    );
+  });
+});
@@ -0,0 +1,224 @@
+import { jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const copyCollections = jest.fn(async () => []);
+jest.unstable_mockModule("../src/core/copyService.js", () => ({
+  copyCollections,
+  default: copyCollections,
+}));
+const { syncCollections } = await import("../src/core/syncService.js");
+
+const fakeClient = () => ({ db: () => ({ command: async () => ({ ok: 1 }) }) });
+
+/**
+ * Source and target stubs whose change stream yields `events` and then ends.
+ * `findOne` answers the re-reads of filtered or projected collections.
+ */
+function fakeSync(events = [], findOne = jest.fn(async () => null)) {
+  const writes = [];
+  const watched = [];
+  const stream = {
+    resumeToken: null,
+    async *[Symbol.asyncIterator]() {
+      for (const event of events) {
+        this.resumeToken = event._id;
+        yield event;
+      }
+    },
+    close: async () => {},
+  };
+  const source = {
+    command: async () => ({ ok: 1 }),
+    watch: (pipeline, options) => {
+      watched.push({ pipeline, options });
+      return stream;
+    },
+    collection: (name) => ({ findOne: (query, options) => findOne(name, query, options) }),
+  };
+  const target = {
+    collection: (name) => ({
+      deleteOne: async (filter) => {
+        writes.push(["deleteOne", name, filter]);
+        return { deletedCount: 1 };
+      },
+      replaceOne: async (filter, doc, options) => {
+        writes.push(["replaceOne", name, filter, doc, options]);
+        return { matchedCount: 1 };
+      },
+    }),
+  };
+  return {
+    sourceClient: { db: () => source },
+    targetClient: { db: () => target },
+    writes,
+    watched,
+    findOne,
+  };
+}
+
+const event = (operationType, _id, fullDocument) => ({
+  _id: { _data: `token-${_id}` },
+  operationType,
+  ns: { db: "prod", coll: "users" },
+  documentKey: { _id },
+  fullDocument,
+});
+
+describe("syncCollections", () => {
+  let tokenPath;
+
+  beforeEach(() => {
+    copyCollections.mockClear();
+    tokenPath = path.join(os.tmpdir(), `mongodbcopy-sync-${process.pid}-${Date.now()}.json`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tokenPath, { force: true });
+  });
+
+  it("should run the initial copy with the target, renames and transforms of the sync", async () => {
+    const transform = (doc) => ({ ...doc, email: undefined });
+    const collectionOptions = { users: { projection: { ssn: 0 } } };
+    const controller = new AbortController();
+    copyCollections.mockImplementationOnce(async () => {
+      controller.abort();
+      return [];
+    });
+
+    await syncCollections({
+      sourceClient: fakeClient(),
+      targetClient: fakeClient(),
+      dbName: "prod",
+      targetDbName: "staging",
+      rename: { users: "users_copy" },
+      collections: ["users"],
+      filter: { tenantId: "acme" },
+      transform,
+      collectionOptions,
+      tokenPath,
+      signal: controller.signal,
+    });
+
+    expect(copyCollections).toHaveBeenCalledWith(
+      expect.objectContaining({
+        dbName: "prod",
+        targetDbName: "staging",
+        rename: { users: "users_copy" },
+        filter: { tenantId: "acme" },
+        transform,
+        collectionOptions,
+      })
+    );
+  });
+
+  it("should delete the target copy of a document updated out of the filter", async () => {
+    const fake = fakeSync([event("update", 1, { _id: 1, tenantId: "other" })]);
+
+    const { applied } = await syncCollections({
+      ...fake,
+      dbName: "prod",
+      collections: ["users"],
+      filter: { tenantId: "acme" },
+      tokenPath,
+    });
+
+    expect(fake.findOne).toHaveBeenCalledWith(
+      "users",
+      { $and: [{ _id: 1 }, { tenantId: "acme" }] },
+      {}
+    );
+    expect(fake.writes).toEqual([["deleteOne", "users", { _id: 1 }]]);
+    expect(applied).toEqual({ users: { update: 1 } });
+  });
+
+  it("should write changed documents with the collection's projection", async () => {
+    const findOne = jest.fn(async () => ({ _id: 1, name: "Ada" }));
+    const fake = fakeSync([event("insert", 1, { _id: 1, name: "Ada", ssn: "123" })], findOne);
+
+    await syncCollections({
+      ...fake,
+      dbName: "prod",
+      collections: ["users"],
+      collectionOptions: { users: { projection: { ssn: 0 } } },
+      tokenPath,
+    });
+
+    expect(findOne).toHaveBeenCalledWith("users", { _id: 1 }, { projection: { ssn: 0 } });
+    expect(fake.writes).toEqual([
+      ["replaceOne", "users", { _id: 1 }, { _id: 1, name: "Ada" }, { upsert: true }],
+    ]);
+  });
+
+  it("should apply replace and delete events to the renamed target collection", async () => {
+    const fake = fakeSync([
+      event("replace", 1, { _id: 1, name: "Ada" }),
+      event("delete", 2),
+      // Deleted before the update lookup: nothing to write
+      event("update", 3, null),
+    ]);
+    const onChange = jest.fn();
+
+    const { initial, applied } = await syncCollections({
+      ...fake,
+      dbName: "prod",
+      rename: { users: "people" },
+      collections: ["users"],
+      onChange,
+      tokenPath,
+    });
+
+    expect(initial).toEqual([]);
+    expect(fake.writes).toEqual([
+      ["replaceOne", "people", { _id: 1 }, { _id: 1, name: "Ada" }, { upsert: true }],
+      ["deleteOne", "people", { _id: 2 }],
+    ]);
+    expect(applied).toEqual({ users: { replace: 1, delete: 1 } });
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(fake.watched[0].pipeline).toEqual([
+      {
+        $match: {
+          operationType: { $in: ["insert", "update", "replace", "delete"] },
+          "ns.coll": { $in: ["users"] },
+        },
+      },
+    ]);
+  });
+
+  it("should save the resume token of the last event", async () => {
+    const fake = fakeSync([event("insert", 1, { _id: 1 }), event("insert", 2, { _id: 2 })]);
+
+    await syncCollections({ ...fake, dbName: "prod", collections: ["users"], tokenPath });
+
+    const saved = JSON.parse(fs.readFileSync(tokenPath, "utf8"));
+    expect(saved).toMatchObject({ dbName: "prod", resumeToken: { _data: "token-2" } });
+  });
+
+  it("should skip the initial copy and resume after a saved token", async () => {
+    fs.writeFileSync(tokenPath, JSON.stringify({ dbName: "prod", resumeToken: { _data: "t1" } }));
+    const fake = fakeSync([event("delete", 1)]);
+
+    const { initial, applied } = await syncCollections({
+      ...fake,
+      dbName: "prod",
+      collections: ["users"],
+      tokenPath,
+    });
+
+    expect(copyCollections).not.toHaveBeenCalled();
+    expect(initial).toBeNull();
+    expect(fake.watched[0].options).toMatchObject({ resumeAfter: { _data: "t1" } });
+    expect(applied).toEqual({ users: { delete: 1 } });
+  });
+
+  it("should ignore a token saved for another database", async () => {
+    fs.writeFileSync(tokenPath, JSON.stringify({ dbName: "other", resumeToken: { _data: "t1" } }));
+    const fake = fakeSync();
+
+    await syncCollections({ ...fake, dbName: "prod", collections: ["users"], tokenPath });
+
+    expect(copyCollections).toHaveBeenCalledTimes(1);
+    expect(fake.watched[0].options.resumeAfter).toBeUndefined();
+  });
+});
@@ -0,0 +1,23 @@
+import { formatTable } from "../src/utils/table.js";
+
+describe("formatTable", () => {
+  it("should pad columns and right-align numbers", () => {
+    const table = formatTable(
+      ["Collection", "Insert", "Indexes"],
+      [
+        ["users", 8, "same"],
+        ["orders -> orders_2026", 12345, null],
+      ]
+    );
+    expect(table.split("\n")).toEqual([
+      "Collection             Insert  Indexes",
+      "---------------------  ------  -------",
+      "users                       8  same",
+      "orders -> orders_2026   12345",
+    ]);
+  });
+
+  it("should print only the header when there are no rows", () => {
+    expect(formatTable(["A", "B"], [])).toBe("A  B\n-  -");
+  });
+});
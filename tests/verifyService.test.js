@@ -0,0 +1,392 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { BSON } from "mongodb";
+
+// Set env vars before importing modules that validate them
+process.env.SOURCE_DB_URI = "mongodb://localhost:27017";
+process.env.TARGET_DB_URI = "mongodb://localhost:27017";
+process.env.DB_NAME = "test_db";
+
+const { diffCollection, verifyCollection, verifyCollections } = await import(
+  "../src/core/verifyService.js"
+);
+
+const { EJSON, ObjectId } = BSON;
+
+// Equality and `$in` on top-level fields combined with `$and`: the queries verify sends
+const matches = (doc, query) =>
+  Object.entries(query).every(([field, condition]) => {
+    if (field === "$and") return condition.every((part) => matches(doc, part));
+    if (condition?.$in) return condition.$in.includes(doc[field]);
+    return doc[field] === condition;
+  });
+
+const project = (doc, projection) => {
+  if (!projection) return doc;
+  if (Object.values(projection).includes(1)) {
+    return Object.fromEntries(Object.keys(projection).map((field) => [field, doc[field]]));
+  }
+  return Object.fromEntries(Object.entries(doc).filter(([field]) => projection[field] !== 0));
+};
+
+// An in-memory collection serving `docs` and `indexes`; `finds` records its queries
+const stubCollection = (docs, indexes = [{ v: 2, key: { _id: 1 }, name: "_id_" }]) => {
+  const finds = [];
+  return {
+    finds,
+    find(query, { projection } = {}) {
+      finds.push(query);
+      let found = docs.filter((doc) => matches(doc, query)).map((doc) => project(doc, projection));
+      const cursor = {
+        sort() {
+          found = [...found].sort((a, b) => (a._id < b._id ? -1 : a._id > b._id ? 1 : 0));
+          return cursor;
+        },
+        async *[Symbol.asyncIterator]() {
+          yield* found;
+        },
+      };
+      return cursor;
+    },
+    indexes: async () => indexes,
+  };
+};
+
+const users = [
+  { _id: 1, name: "Ada" },
+  { _id: 2, name: "Grace" },
+  { _id: 3, name: "Linus" },
+];
+
+describe("verifyCollection", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-verify-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeBackup = (docs, ejson = "canonical") => {
+    const filePath = path.join(dir, "users.json");
+    const text = ejson ? EJSON.stringify(docs, { relaxed: false }) : JSON.stringify(docs);
+    fs.writeFileSync(filePath, text);
+    return filePath;
+  };
+
+  describe("between databases", () => {
+    it("should match identical collections", async () => {
+      const result = await verifyCollection(
+        "users",
+        { col: stubCollection(users) },
+        { col: stubCollection(users.map((doc) => ({ ...doc }))) }
+      );
+      expect(result).toMatchObject({
+        name: "users",
+        status: "match",
+        sourceCount: 3,
+        targetCount: 3,
+        missing: 0,
+        extra: 0,
+        different: 0,
+        indexes: { missing: [], extra: [], different: [] },
+      });
+      expect(result.sourceChecksum).toBe(result.targetChecksum);
+    });
+
+    it("should report missing, extra and different documents", async () => {
+      const target = [{ _id: 1, name: "Ada" }, { _id: 3, name: "Torvalds" }, { _id: 4 }];
+      const result = await verifyCollection(
+        "users",
+        { col: stubCollection(users) },
+        { col: stubCollection(target) },
+        { batchSize: 2 }
+      );
+      expect(result).toMatchObject({
+        status: "mismatch",
+        sourceCount: 3,
+        targetCount: 3,
+        missing: 1,
+        missingIds: [2],
+        extra: 1,
+        extraIds: [4],
+        different: 1,
+        differentIds: [3],
+      });
+      expect(result.sourceChecksum).not.toBe(result.targetChecksum);
+    });
+
+    it("should cap the listed _ids but count every difference", async () => {
+      const result = await verifyCollection(
+        "users",
+        { col: stubCollection(users) },
+        { col: stubCollection([]) },
+        { maxReportedIds: 2, batchSize: 2 }
+      );
+      expect(result).toMatchObject({ status: "mismatch", missing: 3, missingIds: [1, 2] });
+    });
+
+    it("should compare the source with its filter, projection and transform", async () => {
+      const source = stubCollection([
+        ...users.map((doc) => ({ ...doc, active: true })),
+        { _id: 5, name: "Bob", active: false },
+      ]);
+      const target = stubCollection([
+        { _id: 1, name: "ADA" },
+        { _id: 2, name: "GRACE" },
+        { _id: 3, name: "LINUS" },
+      ]);
+      const result = await verifyCollection(
+        "users",
+        {
+          col: source,
+          query: { active: true },
+          projection: { active: 0 },
+          transform: (doc) => ({ ...doc, name: doc.name.toUpperCase() }),
+        },
+        { col: target }
+      );
+      expect(result).toMatchObject({ status: "match", sourceCount: 3, targetCount: 3 });
+      expect(source.finds[0]).toEqual({ active: true });
+    });
+
+    it("should report index differences even when the documents match", async () => {
+      const id = { v: 2, key: { _id: 1 }, name: "_id_" };
+      const result = await verifyCollection(
+        "users",
+        {
+          col: stubCollection(users, [
+            id,
+            { v: 2, key: { email: 1 }, name: "email_1", unique: true },
+            { v: 2, key: { age: 1 }, name: "age_1" },
+          ]),
+        },
+        {
+          col: stubCollection(users, [
+            // Only the index version differs, which is not a difference
+            { v: 1, key: { _id: 1 }, name: "_id_" },
+            { v: 2, key: { email: 1 }, name: "email_1" },
+            { v: 2, key: { city: 1 }, name: "city_1" },
+          ]),
+        }
+      );
+      expect(result).toMatchObject({
+        status: "mismatch",
+        missing: 0,
+        extra: 0,
+        different: 0,
+        indexes: { missing: ["age_1"], extra: ["city_1"], different: ["email_1"] },
+      });
+    });
+
+    it("should skip the index comparison when asked to", async () => {
+      const result = await verifyCollection(
+        "users",
+        { col: stubCollection(users, [{ key: { a: 1 }, name: "a_1" }]) },
+        { col: stubCollection(users) },
+        { checkIndexes: false }
+      );
+      expect(result).toMatchObject({ status: "match", indexes: null });
+    });
+  });
+
+  describe("against a backup file", () => {
+    // _ids are reported with their exact BSON type, as canonical EJSON reads them
+    const int = (value) => new BSON.Int32(value);
+
+    it("should match a collection with its canonical EJSON backup", async () => {
+      const docs = [{ _id: new ObjectId(), total: new BSON.Int32(3) }, { _id: new ObjectId() }];
+      const result = await verifyCollection(
+        "users",
+        { col: stubCollection(docs) },
+        { filePath: writeBackup(docs) },
+        { ejson: "canonical" }
+      );
+      expect(result).toMatchObject({ status: "match", sourceCount: 2, targetCount: 2 });
+    });
+
+    it("should match a plain JSON backup despite the types it loses", async () => {
+      const docs = [
+        { _id: new ObjectId(), at: new Date("2026-03-01T00:00:00Z") },
+        { _id: new ObjectId(), at: new Date("2026-03-02T00:00:00Z") },
+      ];
+      const result = await verifyCollection(
+        "users",
+        { col: stubCollection(docs) },
+        { filePath: writeBackup(docs, null) }
+      );
+      expect(result).toMatchObject({ status: "match", sourceCount: 2, targetCount: 2 });
+    });
+
+    it("should report documents missing from, extra in and different in the backup", async () => {
+      const filePath = writeBackup([
+        { _id: 4, name: "Bob" },
+        { _id: 3, name: "Torvalds" },
+        { _id: 1, name: "Ada" },
+      ]);
+      const result = await verifyCollection(
+        "users",
+        { col: stubCollection(users) },
+        { filePath },
+        { ejson: "canonical" }
+      );
+      expect(result).toMatchObject({
+        status: "mismatch",
+        sourceCount: 3,
+        targetCount: 3,
+        missing: 1,
+        missingIds: [int(2)],
+        extra: 1,
+        extraIds: [int(4)],
+        different: 1,
+        differentIds: [int(3)],
+      });
+    });
+
+    it("should report database-only documents as extra after an import", async () => {
+      const filePath = writeBackup([{ _id: 1, name: "Ada" }, { _id: 9 }]);
+      const result = await verifyCollection(
+        "users",
+        { filePath },
+        { col: stubCollection(users) },
+        { ejson: "canonical", maxReportedIds: 1 }
+      );
+      expect(result).toMatchObject({
+        status: "mismatch",
+        sourceCount: 2,
+        targetCount: 3,
+        missing: 1,
+        missingIds: [int(9)],
+        extra: 2,
+        extraIds: [int(2)],
+        different: 0,
+      });
+    });
+
+    it("should compare index files when the backup has one", async () => {
+      const indexFilePath = path.join(dir, "users_indexes.json");
+      fs.writeFileSync(indexFilePath, JSON.stringify([{ key: { _id: 1 }, name: "_id_" }]));
+      const result = await verifyCollection(
+        "users",
+        { col: stubCollection(users, [{ key: { _id: 1 }, name: "_id_" }, { name: "a_1" }]) },
+        { filePath: writeBackup(users), indexFilePath },
+        { ejson: "canonical" }
+      );
+      expect(result).toMatchObject({
+        status: "mismatch",
+        different: 0,
+        indexes: { missing: ["a_1"], extra: [], different: [] },
+      });
+    });
+  });
+});
+
+describe("verifyCollections", () => {
+  const client = (collections) => ({
+    db: () => ({
+      listCollections: () => ({
+        toArray: async () => Object.keys(collections).map((name) => ({ name, type: "collection" })),
+      }),
+      collection: (name) => collections[name] || stubCollection([]),
+    }),
+    close: async () => {},
+  });
+
+  it("should verify renamed collections and report unknown ones", async () => {
+    const results = await verifyCollections({
+      sourceClient: client({ users: stubCollection(users), logs: stubCollection([{ _id: 1 }]) }),
+      targetClient: client({ people: stubCollection(users), logs: stubCollection([]) }),
+      dbName: "shop",
+      rename: { users: "people" },
+      collections: ["users", "logs", "orders"],
+    });
+    expect(results).toEqual([
+      expect.objectContaining({ name: "users", target: "people", status: "match" }),
+      expect.objectContaining({ name: "logs", status: "mismatch", missing: 1 }),
+      { name: "orders", status: "not-found" },
+    ]);
+  });
+});
+
+describe("diffCollection", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mongodbcopy-diff-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const target = [
+    { _id: 1, name: "Ada" },
+    { _id: 3, name: "Torvalds" },
+    { _id: 4, name: "Bob" },
+  ];
+
+  it("should count inserts, updates, unchanged documents and deletes", async () => {
+    const changes = await diffCollection(
+      "users",
+      { col: stubCollection(users) },
+      { col: stubCollection(target) }
+    );
+    expect(changes).toEqual({
+      insert: 1,
+      update: 1,
+      unchanged: 1,
+      delete: 1,
+      insertIds: [2],
+      updateIds: [3],
+      deleteIds: [4],
+      indexes: { missing: [], extra: [], different: [] },
+    });
+  });
+
+  it("should not look for deletes when the copy keeps target-only documents", async () => {
+    const copy = stubCollection(target);
+    const changes = await diffCollection(
+      "users",
+      { col: stubCollection(users) },
+      { col: copy },
+      { deletes: false }
+    );
+    expect(changes).toMatchObject({ insert: 1, update: 1, unchanged: 1, delete: 0, deleteIds: [] });
+    // Only the lookups of source _ids, no scan of the target
+    expect(copy.finds.every((query) => query._id?.$in)).toBe(true);
+  });
+
+  it("should preview an export onto an existing backup file", async () => {
+    const filePath = path.join(dir, "users.json");
+    fs.writeFileSync(filePath, EJSON.stringify(target, { relaxed: false }));
+    const changes = await diffCollection(
+      "users",
+      { col: stubCollection(users) },
+      { filePath },
+      { ejson: "canonical" }
+    );
+    expect(changes).toMatchObject({ insert: 1, update: 1, unchanged: 1, delete: 1 });
+  });
+
+  it("should preview an import of a backup file", async () => {
+    const filePath = path.join(dir, "users.json");
+    fs.writeFileSync(filePath, EJSON.stringify(users, { relaxed: false }));
+    const changes = await diffCollection(
+      "users",
+      { filePath },
+      { col: stubCollection(target) },
+      { ejson: "canonical", deletes: false }
+    );
+    expect(changes).toMatchObject({
+      insert: 1,
+      update: 1,
+      unchanged: 1,
+      delete: 0,
+      insertIds: [new BSON.Int32(2)],
+      updateIds: [new BSON.Int32(3)],
+    });
+  });
+});